@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { parseArgs } from '../src/cli/args-parser.js';
+import { resolveConfig } from '../src/core/config-loader.js';
 import { build } from '../src/core/file-processor.js';
 import { watch } from '../src/core/file-watcher.js';
 import { DevServer } from '../src/server/dev-server.js';
@@ -29,22 +30,27 @@ async function main() {
       process.exit(0);
     }
     
+    // Merge dompile.config.* with the flags given on the command line
+    const config = await resolveConfig(args);
+    
     // Execute commands
-    switch (args.command) {
+    switch (config.command) {
       case 'build':
         logger.info('Building static site...');
-        await build(args);
+        await build(config);
         logger.info('Build completed successfully!');
         break;
         
-      case 'watch':
+      case 'watch': {
         logger.info('Starting file watcher...');
-        await watch(args);
+        const watcher = await watch(config);
+        stopOnSignal(() => watcher.close());
         break;
+      }
         
       case 'serve':
         logger.info('Starting development server with live reload...');
-        const server = new DevServer(args);
+        const server = new DevServer(config);
         
         // Enable live reload
         liveReload.setEnabled(true);
@@ -54,13 +60,17 @@ async function main() {
         
         // Start file watcher with live reload callback
         const watchConfig = {
-          ...args,
+          ...config,
           onReload: (eventType, filePath) => {
             liveReload.notifyReload(eventType, filePath);
           }
         };
         
-        await watch(watchConfig);
+        const serveWatcher = await watch(watchConfig);
+        stopOnSignal(async () => {
+          await serveWatcher.close();
+          await server.stop();
+        });
         break;
         
       default:
@@ -70,6 +80,9 @@ async function main() {
     }
   } catch (error) {
     logger.error('Error:', error.message);
+    if (error.codeFrame) {
+      console.error(error.codeFrame);
+    }
     if (process.env.DEBUG) {
       console.error(error.stack);
     }
@@ -77,6 +90,22 @@ async function main() {
   }
 }
 
+/**
+ * Stop watching and exit on Ctrl+C or SIGTERM
+ * @param {Function} stop - Closes the watcher and any server
+ */
+function stopOnSignal(stop) {
+  logger.info('Press Ctrl+C to stop watching');
+
+  const shutdown = async () => {
+    logger.info('Stopping file watcher...');
+    await stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
 function showHelp() {
   console.log(`
 dompile v${VERSION}
@@ -97,6 +126,7 @@ Options:
   --host          Server host (default: localhost)
   --pretty-urls   Generate pretty URLs (about.md → about/index.html)
   --base-url      Base URL for sitemap.xml (default: https://example.com)
+  --config, -c    Config file path (default: dompile.config.{js,mjs,json})
   --help, -h      Show this help message
   --version, -v   Show version number
 
@@ -14,8 +14,11 @@ export function parseArgs(argv) {
     host: 'localhost',
     prettyUrls: false,
     baseUrl: 'https://example.com',
+    config: null,
     help: false,
-    version: false
+    version: false,
+    // Options given on the command line (these override the config file)
+    explicitOptions: []
   };
   
   for (let i = 0; i < argv.length; i++) {
@@ -48,24 +51,28 @@ export function parseArgs(argv) {
     // Options with values
     if ((arg === '--source' || arg === '-s') && nextArg) {
       args.source = nextArg;
+      args.explicitOptions.push('source');
       i++;
       continue;
     }
     
     if ((arg === '--output' || arg === '-o') && nextArg) {
       args.output = nextArg;
+      args.explicitOptions.push('output');
       i++;
       continue;
     }
     
     if ((arg === '--includes' || arg === '-i') && nextArg) {
       args.includes = nextArg;
+      args.explicitOptions.push('includes');
       i++;
       continue;
     }
     
     if (arg === '--head' && nextArg) {
       args.head = nextArg;
+      args.explicitOptions.push('head');
       i++;
       continue;
     }
@@ -75,23 +82,33 @@ export function parseArgs(argv) {
       if (isNaN(args.port) || args.port < 1 || args.port > 65535) {
         throw new Error('Port must be a number between 1 and 65535');
       }
+      args.explicitOptions.push('port');
       i++;
       continue;
     }
     
     if (arg === '--host' && nextArg) {
       args.host = nextArg;
+      args.explicitOptions.push('host');
       i++;
       continue;
     }
     
     if (arg === '--pretty-urls') {
       args.prettyUrls = true;
+      args.explicitOptions.push('prettyUrls');
       continue;
     }
     
     if (arg === '--base-url' && nextArg) {
       args.baseUrl = nextArg;
+      args.explicitOptions.push('baseUrl');
+      i++;
+      continue;
+    }
+    
+    if ((arg === '--config' || arg === '-c') && nextArg) {
+      args.config = nextArg;
       i++;
       continue;
     }
@@ -0,0 +1,157 @@
+/**
+ * Content collections for dompile
+ * Groups markdown pages by directory or frontmatter into date-sorted lists with next/previous links
+ */
+
+/**
+ * Describe a markdown page for collections
+ * @param {string} relativePath - Page path relative to the source root
+ * @param {string} url - Page URL
+ * @param {Object} metadata - Result of processMarkdown(): frontmatter, title and excerpt
+ * @returns {Object} Collection entry: the item fields plus the names of its collections
+ */
+export function createCollectionEntry(relativePath, url, metadata) {
+  const { frontmatter = {}, title = '', excerpt = '' } = metadata;
+  const segments = relativePath.split(/[\\/]/);
+
+  // Explicit collections first: the first name is the page's own collection (see createPageData)
+  const names = [...toNames(frontmatter.collection)];
+  // A directory's index page lists the directory rather than belonging to it
+  if (segments.length > 1 && !/^index\.md$/i.test(segments[segments.length - 1])) {
+    names.push(segments[0]);
+  }
+  names.push(...toNames(frontmatter.tags));
+
+  return {
+    names: [...new Set(names)],
+    url,
+    title,
+    excerpt,
+    date: toDate(frontmatter.date),
+    data: frontmatter
+  };
+}
+
+/**
+ * Group entries into collections. Items are sorted by date, newest first, with undated
+ * items last; `previous` links to the next older item and `next` to the next newer one.
+ * @param {Object[]} entries - Entries from createCollectionEntry()
+ * @returns {Map<string, Object[]>} Collection name → items
+ */
+export function createCollections(entries) {
+  const collections = new Map();
+
+  for (const entry of entries) {
+    for (const name of entry.names) {
+      if (!collections.has(name)) {
+        collections.set(name, []);
+      }
+      const { names, ...item } = entry;
+      collections.get(name).push(item);
+    }
+  }
+
+  for (const items of collections.values()) {
+    items.sort(compareItems);
+    items.forEach((item, index) => {
+      item.previous = items[index + 1] || null;
+      item.next = items[index - 1] || null;
+    });
+  }
+
+  return collections;
+}
+
+/**
+ * Create the `collections` object seen by templates. Each collection is a getter that
+ * reports its name when read, so pages can be rebuilt when a collection changes.
+ * @param {Map<string, Object[]>} collections - Collections from createCollections()
+ * @param {function(string): void} [onRead] - Called with each collection name a page reads
+ * @returns {Object} Collection name → items
+ */
+export function createCollectionsData(collections, onRead = () => {}) {
+  const data = {};
+
+  for (const [name, items] of collections) {
+    Object.defineProperty(data, name, {
+      enumerable: true,
+      get() {
+        onRead(name);
+        return items;
+      }
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Create the `page` object seen by a page's layout: its URL, title, excerpt and date, and
+ * its neighbours in its own collection (the first `collection` in its frontmatter, else its
+ * directory, else its first tag)
+ * @param {Object} entry - The page's entry from createCollectionEntry()
+ * @param {Map<string, Object[]>} collections - Collections from createCollections()
+ * @param {function(string): void} [onRead] - Called with the collection name when the neighbours are read
+ * @returns {Object} Page data; `collection`, `previous` and `next` are null outside collections
+ */
+export function createPageData(entry, collections, onRead = () => {}) {
+  const { names, ...fields } = entry;
+  const name = names.find(candidate => collections.has(candidate)) || null;
+  const page = { ...fields, collection: name };
+
+  for (const key of ['previous', 'next']) {
+    Object.defineProperty(page, key, {
+      enumerable: true,
+      get() {
+        if (!name) {
+          return null;
+        }
+        onRead(name);
+        const item = collections.get(name).find(candidate => candidate.url === entry.url);
+        return item ? item[key] : null;
+      }
+    });
+  }
+
+  return page;
+}
+
+/**
+ * Sort items newest first, undated items last, then by URL
+ * @param {Object} a - Collection item
+ * @param {Object} b - Collection item
+ * @returns {number} Sort order
+ */
+function compareItems(a, b) {
+  if (a.date && b.date && a.date.getTime() !== b.date.getTime()) {
+    return b.date - a.date;
+  }
+  if (Boolean(a.date) !== Boolean(b.date)) {
+    return a.date ? -1 : 1;
+  }
+  return a.url.localeCompare(b.url);
+}
+
+/**
+ * Read collection names from a frontmatter value
+ * @param {*} value - String, list of strings, or nothing
+ * @returns {string[]} Collection names
+ */
+function toNames(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim());
+}
+
+/**
+ * Read a frontmatter date (YAML dates are already Date objects)
+ * @param {*} value - Date, date string or timestamp
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,376 @@
+/**
+ * Project Configuration Loader for dompile
+ * Discovers, loads and validates dompile.config.{js,mjs,json} files
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ConfigError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Configuration file names, in discovery order
+ */
+export const CONFIG_FILE_NAMES = [
+  'dompile.config.js',
+  'dompile.config.mjs',
+  'dompile.config.json'
+];
+
+/**
+ * Default configuration used when neither a config file nor a flag sets an option
+ */
+export const DEFAULT_CONFIG = {
+  source: 'src',
+  output: 'dist',
+  includes: 'includes',
+  head: null,
+  clean: true,
+  prettyUrls: false,
+  baseUrl: 'https://example.com',
+  layoutsDir: 'layouts',
+  componentsDir: 'components',
+  defaultLayout: 'default.html',
+  maxIncludeDepth: 10,
+  scopedStyles: false,
+  bundleComponentScripts: false,
+  dataDir: '_data',
+  port: 3000,
+  host: 'localhost',
+  markdown: {
+    html: true,
+    xhtmlOut: false,
+    breaks: false,
+    langPrefix: 'language-',
+    linkify: true,
+    typographer: true,
+    plugins: []
+  },
+  sitemap: {
+    enabled: true,
+    changefreq: null,
+    priority: null
+  },
+  plugins: []
+};
+
+/**
+ * Expected type of every supported configuration key.
+ * Nested objects describe the keys allowed inside a section.
+ */
+const CONFIG_SCHEMA = {
+  source: 'string',
+  output: 'string',
+  includes: 'string',
+  head: 'string|null',
+  clean: 'boolean',
+  prettyUrls: 'boolean',
+  baseUrl: 'string',
+  layoutsDir: 'string',
+  componentsDir: 'string',
+  defaultLayout: 'string',
+  maxIncludeDepth: 'number',
+  scopedStyles: 'boolean',
+  bundleComponentScripts: 'boolean',
+  dataDir: 'string',
+  port: 'number',
+  host: 'string',
+  markdown: {
+    html: 'boolean',
+    xhtmlOut: 'boolean',
+    breaks: 'boolean',
+    langPrefix: 'string',
+    linkify: 'boolean',
+    typographer: 'boolean',
+    plugins: 'array'
+  },
+  sitemap: {
+    enabled: 'boolean',
+    changefreq: 'string|null',
+    priority: 'number|string|null'
+  },
+  plugins: 'array'
+};
+
+/**
+ * Config keys holding filesystem paths resolved relative to the config file
+ */
+const PATH_KEYS = ['source', 'output'];
+
+/**
+ * Valid sitemap change frequencies (sitemaps.org protocol)
+ */
+const SITEMAP_CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * Find a configuration file in a directory
+ * @param {string} [cwd=process.cwd()] - Directory to search
+ * @returns {Promise<string|null>} Path to config file or null if none found
+ */
+export async function findConfigFile(cwd = process.cwd()) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const configPath = path.resolve(cwd, fileName);
+    try {
+      await fs.access(configPath);
+      return configPath;
+    } catch {
+      // File doesn't exist, try next
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load and validate a configuration file
+ * @param {string} configPath - Path to the config file
+ * @returns {Promise<Object>} Validated configuration from the file
+ * @throws {ConfigError} When the file cannot be read, parsed or validated
+ */
+export async function loadConfigFile(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  let config;
+
+  if (path.extname(resolvedPath) === '.json') {
+    let content;
+    try {
+      content = await fs.readFile(resolvedPath, 'utf-8');
+    } catch (error) {
+      throw new ConfigError(`cannot read ${resolvedPath} (${error.message})`, resolvedPath);
+    }
+
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new ConfigError(`${resolvedPath} is not valid JSON (${error.message})`, resolvedPath);
+    }
+  } else {
+    try {
+      const module = await import(pathToFileURL(resolvedPath).href);
+      config = module.default;
+    } catch (error) {
+      throw new ConfigError(`cannot load ${resolvedPath} (${error.message})`, resolvedPath);
+    }
+
+    // Allow config modules to export a (possibly async) factory
+    if (typeof config === 'function') {
+      config = await config();
+    }
+  }
+
+  validateConfig(config, resolvedPath);
+  logger.debug(`Loaded configuration from ${resolvedPath}`);
+
+  return resolveConfigPaths(config, path.dirname(resolvedPath));
+}
+
+/**
+ * Validate a configuration object against the supported keys and types
+ * @param {Object} config - Configuration object to validate
+ * @param {string|null} configPath - Path of the file the config came from (for messages)
+ * @throws {ConfigError} When unknown keys or wrong types are found
+ */
+export function validateConfig(config, configPath = null) {
+  const source = configPath ? path.basename(configPath) : 'configuration';
+
+  if (!isPlainObject(config)) {
+    throw new ConfigError(`${source} must export an object`, configPath);
+  }
+
+  const issues = [];
+  collectIssues(config, CONFIG_SCHEMA, '', issues);
+
+  const changefreq = config.sitemap && config.sitemap.changefreq;
+  if (typeof changefreq === 'string' && !SITEMAP_CHANGEFREQS.includes(changefreq)) {
+    issues.push(`"sitemap.changefreq" must be one of ${SITEMAP_CHANGEFREQS.join(', ')} (got "${changefreq}")`);
+  }
+
+  if (typeof config.maxIncludeDepth === 'number' && (!Number.isInteger(config.maxIncludeDepth) || config.maxIncludeDepth < 1)) {
+    issues.push(`"maxIncludeDepth" must be a positive integer (got ${config.maxIncludeDepth})`);
+  }
+
+  if (typeof config.port === 'number' && (config.port < 1 || config.port > 65535)) {
+    issues.push(`"port" must be between 1 and 65535 (got ${config.port})`);
+  }
+
+  // markdown-it plugins are functions, so only config modules can pass them
+  const markdownPlugins = isPlainObject(config.markdown) ? config.markdown.plugins : undefined;
+  if (Array.isArray(markdownPlugins)) {
+    markdownPlugins.forEach((entry, index) => {
+      if (!isMarkdownPlugin(entry)) {
+        issues.push(`"markdown.plugins[${index}]" must be a markdown-it plugin function or a [plugin, options] pair (got ${describeType(entry)}); import plugins in dompile.config.js`);
+      }
+    });
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError(`${issues.length} problem(s) found in ${source}`, configPath, issues);
+  }
+}
+
+/**
+ * Walk a config section and record unknown keys and type mismatches
+ * @param {Object} section - Config values for this section
+ * @param {Object} schema - Schema for this section
+ * @param {string} prefix - Dotted key prefix for messages
+ * @param {string[]} issues - Accumulated issues
+ */
+function collectIssues(section, schema, prefix, issues) {
+  for (const [key, value] of Object.entries(section)) {
+    const keyPath = `${prefix}${key}`;
+    const expected = schema[key];
+
+    if (expected === undefined) {
+      const known = Object.keys(schema).join(', ');
+      issues.push(`Unknown key "${keyPath}" (supported keys: ${known})`);
+      continue;
+    }
+
+    if (isPlainObject(expected)) {
+      if (!isPlainObject(value)) {
+        issues.push(`"${keyPath}" must be an object (got ${describeType(value)})`);
+        continue;
+      }
+      collectIssues(value, expected, `${keyPath}.`, issues);
+      continue;
+    }
+
+    const allowedTypes = expected.split('|');
+    if (!allowedTypes.includes(describeType(value))) {
+      issues.push(`"${keyPath}" must be of type ${allowedTypes.join(' or ')} (got ${describeType(value)})`);
+    }
+  }
+}
+
+/**
+ * Check whether a `markdown.plugins` entry can be passed to markdown-it's `use()`
+ * @param {*} entry - Entry to check
+ * @returns {boolean} True for a function or a `[function, options]` pair
+ */
+function isMarkdownPlugin(entry) {
+  const plugin = Array.isArray(entry) ? entry[0] : entry;
+  return typeof plugin === 'function' && (!Array.isArray(entry) || entry.length <= 2);
+}
+
+/**
+ * Describe a value's type using the names in CONFIG_SCHEMA
+ * @param {*} value - Value to describe
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Resolve path options relative to the directory holding the config file
+ * @param {Object} config - Validated configuration
+ * @param {string} configDir - Directory of the config file
+ * @returns {Object} Configuration with absolute paths
+ */
+function resolveConfigPaths(config, configDir) {
+  const resolved = { ...config };
+
+  for (const key of PATH_KEYS) {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    }
+  }
+  
+  // Local plugin modules are referenced relative to the config file
+  if (Array.isArray(resolved.plugins)) {
+    resolved.plugins = resolved.plugins.map(spec => resolvePluginSpec(spec, configDir));
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolve a relative plugin module specifier against the config directory
+ * @param {*} spec - Plugin entry from the config file
+ * @param {string} configDir - Directory of the config file
+ * @returns {*} Plugin entry with an absolute path for local modules
+ */
+function resolvePluginSpec(spec, configDir) {
+  if (Array.isArray(spec)) {
+    return [resolvePluginSpec(spec[0], configDir), ...spec.slice(1)];
+  }
+  
+  if (typeof spec === 'string' && spec.startsWith('.')) {
+    return path.resolve(configDir, spec);
+  }
+  
+  return spec;
+}
+
+/**
+ * Merge configuration layers over the defaults.
+ * Later layers win; the `markdown` and `sitemap` sections are merged key by key.
+ * @param {...Object} layers - Configuration layers, lowest precedence first
+ * @returns {Object} Merged configuration
+ */
+export function mergeConfig(...layers) {
+  const merged = {
+    ...DEFAULT_CONFIG,
+    markdown: { ...DEFAULT_CONFIG.markdown },
+    sitemap: { ...DEFAULT_CONFIG.sitemap }
+  };
+
+  for (const layer of layers) {
+    if (!layer) continue;
+
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined) continue;
+
+      if ((key === 'markdown' || key === 'sitemap') && isPlainObject(value)) {
+        merged[key] = { ...merged[key], ...value };
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Resolve the effective configuration for a CLI invocation.
+ * Loads the config file (explicit `--config` path or discovered in `cwd`) and
+ * applies explicitly passed flags on top of it.
+ * @param {Object} args - Parsed CLI arguments from parseArgs(); only the keys listed in
+ *   `args.explicitOptions` override the config file
+ * @param {string} [cwd=process.cwd()] - Project root used for discovery
+ * @returns {Promise<Object>} Effective configuration
+ */
+export async function resolveConfig(args = {}, cwd = process.cwd()) {
+  const configPath = args.config ? path.resolve(cwd, args.config) : await findConfigFile(cwd);
+
+  let fileConfig = {};
+  if (configPath) {
+    fileConfig = await loadConfigFile(configPath);
+    logger.info(`Using configuration file ${path.relative(cwd, configPath) || configPath}`);
+  }
+
+  // Only flags the user actually typed override the config file
+  const explicitArgs = {};
+  for (const key of args.explicitOptions || []) {
+    explicitArgs[key] = args[key];
+  }
+
+  return {
+    ...mergeConfig(fileConfig, explicitArgs),
+    command: args.command,
+    configPath
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * Data Loader for dompile
+ * Reads the JSON, YAML and CSV files in the data directory, exposed to templates as `site`
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import matter from 'gray-matter';
+import { expandGlob } from '../utils/glob.js';
+import { logger } from '../utils/logger.js';
+import { DataError } from '../utils/errors.js';
+
+/**
+ * Data file extensions, in lookup order
+ */
+export const DATA_EXTENSIONS = ['.json', '.yaml', '.yml', '.csv'];
+
+/**
+ * Get the files a data name can be loaded from
+ * @param {string} dataRoot - Absolute path of the data directory
+ * @param {string} name - Data name (file name without extension)
+ * @returns {string[]} Candidate file paths, in lookup order
+ * @throws {DataError} When the name is not a plain file name
+ */
+export function getDataFileCandidates(dataRoot, name) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new DataError(`Invalid data name "${name}" (use letters, digits, "_" and "-")`);
+  }
+
+  return DATA_EXTENSIONS.map(extension => path.join(dataRoot, name + extension));
+}
+
+/**
+ * Load a named data file, e.g. `team` from `_data/team.json` or `_data/team.yaml`
+ * @param {string} dataRoot - Absolute path of the data directory
+ * @param {string} name - Data name (file name without extension)
+ * @returns {Promise<{filePath: string, data: *}|null>} Parsed data and its file, or null if no file exists
+ * @throws {DataError} When the file cannot be read or parsed
+ */
+export async function loadDataFile(dataRoot, name) {
+  for (const filePath of getDataFileCandidates(dataRoot, name)) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new DataError(`Could not read data file ${path.basename(filePath)}: ${error.message}`, filePath);
+    }
+
+    return { filePath, data: parseDataFile(content, filePath) };
+  }
+
+  return null;
+}
+
+/**
+ * Load every data file in the data directory. Files in subdirectories get `/`-separated
+ * names (`authors/ann`); when several files share a name, the first extension in
+ * DATA_EXTENSIONS wins.
+ * @param {string} dataRoot - Absolute path of the data directory
+ * @returns {Promise<Map<string, {filePath: string, data: *}>>} Data by name (empty if the directory doesn't exist)
+ * @throws {DataError} When a file cannot be read or parsed
+ */
+export async function loadSiteData(dataRoot) {
+  const extensionOrder = filePath => DATA_EXTENSIONS.indexOf(path.extname(filePath).toLowerCase());
+  const files = (await expandGlob(path.join(dataRoot, '**', '*')))
+    .filter(filePath => extensionOrder(filePath) !== -1)
+    .sort((a, b) => extensionOrder(a) - extensionOrder(b));
+  
+  const dataFiles = new Map();
+  for (const filePath of files) {
+    const relativePath = path.relative(dataRoot, filePath).split(path.sep).join('/');
+    const name = relativePath.slice(0, -path.extname(relativePath).length);
+    
+    // A name is either a value or a directory of values, never both
+    const taken = [...dataFiles.keys()].find(other => other === name || other.startsWith(`${name}/`) || name.startsWith(`${other}/`));
+    if (taken) {
+      logger.warn(`Ignoring data file ${relativePath}: site.${taken.replace(/\//g, '.')} is already defined by ${path.basename(dataFiles.get(taken).filePath)}`);
+      continue;
+    }
+    
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new DataError(`Could not read data file ${relativePath}: ${error.message}`, filePath);
+    }
+    dataFiles.set(name, { filePath, data: parseDataFile(content, filePath) });
+  }
+  
+  return dataFiles;
+}
+
+/**
+ * Create the `site` object of a page from loaded data. Reading an entry reports its
+ * file, so a page only depends on the data files it actually uses, and looking up a
+ * name that has no file reports the name, so adding that file later can rebuild the page.
+ * @param {Map<string, {filePath: string, data: *}>} dataFiles - Data from loadSiteData()
+ * @param {function(string): void} [onRead] - Called with the path of each data file read
+ * @param {function(string): void} [onMissing] - Called with each data name looked up that has
+ *   no file, `/`-separated like the names of loadSiteData()
+ * @returns {Object} Data keyed by file name, with subdirectories as nested objects
+ *
+ * @example
+ * // _data/team.csv and _data/authors/ann.yaml
+ * const site = createSiteData(await loadSiteData(dataRoot));
+ * site.team[0].name;
+ * site.authors.ann.bio;
+ */
+export function createSiteData(dataFiles, onRead = () => {}, onMissing = () => {}) {
+  const site = {};
+  
+  for (const [name, { filePath, data }] of dataFiles) {
+    const segments = name.split('/');
+    const key = segments.pop();
+    
+    let target = site;
+    for (const segment of segments) {
+      target[segment] ??= {};
+      target = target[segment];
+    }
+    
+    Object.defineProperty(target, key, {
+      enumerable: true,
+      get() {
+        onRead(filePath);
+        return data;
+      }
+    });
+  }
+  
+  return reportMissingNames(site, '', onMissing);
+}
+
+/**
+ * Wrap a `site` object, and the directory objects inside it, so that looking up a name
+ * it doesn't have is reported
+ * @param {Object} target - Site or directory object
+ * @param {string} prefix - Data name prefix of the object's entries (`authors/`)
+ * @param {function(string): void} onMissing - Called with each missing data name
+ * @returns {Proxy} Wrapped object
+ */
+function reportMissingNames(target, prefix, onMissing) {
+  for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(target))) {
+    if ('value' in descriptor) {
+      target[key] = reportMissingNames(descriptor.value, `${prefix}${key}/`, onMissing);
+    }
+  }
+  
+  const check = key => {
+    if (typeof key === 'string' && !Object.hasOwn(target, key)) {
+      onMissing(prefix + key);
+    }
+  };
+  
+  return new Proxy(target, {
+    get(object, key, receiver) {
+      if (!(key in object)) {
+        check(key);
+      }
+      return Reflect.get(object, key, receiver);
+    },
+    getOwnPropertyDescriptor(object, key) {
+      check(key);
+      return Reflect.getOwnPropertyDescriptor(object, key);
+    }
+  });
+}
+
+/**
+ * Parse the content of a data file according to its extension
+ * @param {string} content - File content
+ * @param {string} filePath - File path (selects the format and names the file in errors)
+ * @returns {*} Parsed data
+ * @throws {DataError} When the content is not valid JSON, YAML or CSV
+ */
+export function parseDataFile(content, filePath) {
+  try {
+    switch (path.extname(filePath).toLowerCase()) {
+      case '.json':
+        return JSON.parse(content);
+      case '.csv':
+        return parseCSV(content);
+      default:
+        return matter.engines.yaml.parse(content);
+    }
+  } catch (error) {
+    throw new DataError(`Invalid data file ${path.basename(filePath)}: ${error.message}`, filePath);
+  }
+}
+
+/**
+ * Parse CSV into one object per row, keyed by the header row. Fields may be quoted,
+ * with `""` for a quote inside them; all values are strings and blank lines are skipped.
+ * @param {string} content - CSV text
+ * @returns {Object<string, string>[]} Rows
+ * @throws {Error} When a quoted field is not closed
+ */
+export function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let index = content.charCodeAt(0) === 0xfeff ? 1 : 0;
+  
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+  
+  while (index < content.length) {
+    const char = content[index];
+    
+    if (char === '"' && field === '') {
+      const close = findQuoteEnd(content, index);
+      field = content.slice(index + 1, close).replace(/""/g, '"');
+      index = close + 1;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+      index++;
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      index += content.startsWith('\r\n', index) ? 2 : 1;
+    } else {
+      field += char;
+      index++;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  
+  const [headers = [], ...records] = rows;
+  return records.map(record => Object.fromEntries(headers.map((header, column) => [header.trim(), record[column] ?? ''])));
+}
+
+/**
+ * Find the quote closing a quoted CSV field
+ * @param {string} content - CSV text
+ * @param {number} open - Index of the opening quote
+ * @returns {number} Index of the closing quote
+ * @throws {Error} When the field is not closed
+ */
+function findQuoteEnd(content, open) {
+  for (let index = open + 1; index < content.length; index++) {
+    if (content[index] === '"') {
+      if (content[index + 1] !== '"') {
+        return index;
+      }
+      index++;
+    }
+  }
+  throw new Error(`Unclosed quoted field at offset ${open}`);
+}
@@ -3,8 +3,10 @@
  * Tracks include relationships for selective rebuilds
  */
 
+import path from 'path';
 import { logger } from '../utils/logger.js';
-import { extractIncludeDependencies } from './include-processor.js';
+import { matchesGlob } from '../utils/glob.js';
+import { extractIncludeDirectives } from './include-processor.js';
 
 /**
  * Dependency tracker for managing include relationships
@@ -17,6 +19,21 @@ export class DependencyTracker {
     // Maps include file path to array of page file paths that depend on it
     this.pagesByInclude = new Map();
     
+    // Maps page file path to the parameters it passes to each include
+    this.includeParamsInPage = new Map();
+    
+    // Maps page file path to the absolute glob patterns it includes
+    this.globsInPage = new Map();
+    
+    // Maps page file path to the data files it reads through `site`
+    this.dataInPage = new Map();
+    
+    // Maps page file path to the content collections it reads
+    this.collectionsInPage = new Map();
+    
+    // Files that can belong to collections; the build narrows this to markdown pages
+    this.isCollectionSource = filePath => /\.md$/i.test(filePath);
+    
     // Cache of all known files for efficient lookups
     this.knownFiles = new Set();
   }
@@ -76,6 +93,151 @@ export class DependencyTracker {
       
       this.includesInPage.delete(pagePath);
     }
+    
+    this.includeParamsInPage.delete(pagePath);
+    this.globsInPage.delete(pagePath);
+    this.dataInPage.delete(pagePath);
+    this.collectionsInPage.delete(pagePath);
+  }
+  
+  /**
+   * Record the glob patterns a page includes. Any file matching one of them,
+   * including files added later, is treated as a dependency of the page.
+   * @param {string} pagePath - Path to the page file
+   * @param {string[]} patterns - Absolute glob patterns
+   */
+  recordGlobDependencies(pagePath, patterns) {
+    if (patterns.length > 0) {
+      this.globsInPage.set(pagePath, [...new Set(patterns)]);
+      this.knownFiles.add(pagePath);
+    } else {
+      this.globsInPage.delete(pagePath);
+    }
+  }
+  
+  /**
+   * Record the layouts and components a DOM-mode page was built from.
+   * Nested layouts and components are recorded against the page itself, so a change to any
+   * of them rebuilds exactly the pages that use it.
+   * @param {string} pagePath - Path to the page file
+   * @param {string[]} filePaths - Layouts and components, at every nesting level
+   * @param {string[]} [globPatterns=[]] - Absolute glob patterns of the page's `<include>` tags
+   */
+  recordDOMDependencies(pagePath, filePaths, globPatterns = []) {
+    this.recordDependencies(pagePath, [...new Set(filePaths)]);
+    this.recordGlobDependencies(pagePath, globPatterns);
+  }
+  
+  /**
+   * Record the data files a page read while it was built. Call after the page's includes
+   * are recorded, which clear this list.
+   * @param {string} pagePath - Path to the page file
+   * @param {string[]} dataFiles - Absolute paths of the data files
+   */
+  recordDataDependencies(pagePath, dataFiles) {
+    if (dataFiles.length > 0) {
+      this.dataInPage.set(pagePath, [...new Set(dataFiles)]);
+      this.knownFiles.add(pagePath);
+    } else {
+      this.dataInPage.delete(pagePath);
+    }
+  }
+  
+  /**
+   * Get the pages that read a data file. Pages also depend on the extensionless paths of
+   * data names they looked up before any file existed, and on the files added under them.
+   * @param {string} filePath - Path to the data file
+   * @returns {string[]} Pages using the data file
+   */
+  getDataDependents(filePath) {
+    const dataName = filePath.slice(0, filePath.length - path.extname(filePath).length);
+    const matches = dataFile => dataFile === filePath ||
+      dataFile === dataName ||
+      dataName.startsWith(dataFile + path.sep);
+    
+    return [...this.dataInPage]
+      .filter(([, dataFiles]) => dataFiles.some(matches))
+      .map(([pagePath]) => pagePath);
+  }
+  
+  /**
+   * Record the content collections a page read while it was built. Call after the page's
+   * includes are recorded, which clear this list.
+   * @param {string} pagePath - Path to the page file
+   * @param {string[]} names - Collection names
+   */
+  recordCollectionDependencies(pagePath, names) {
+    if (names.length > 0) {
+      this.collectionsInPage.set(pagePath, [...new Set(names)]);
+      this.knownFiles.add(pagePath);
+    } else {
+      this.collectionsInPage.delete(pagePath);
+    }
+  }
+  
+  /**
+   * Set which files can belong to collections. Markdown partials are only rendered where they
+   * are included, so they are never collection members.
+   * @param {function(string): boolean} predicate - Returns true for files that can be collection members
+   */
+  setCollectionFilter(predicate) {
+    this.isCollectionSource = predicate;
+  }
+  
+  /**
+   * Get the pages that read collections a markdown page may belong to. Any page can join a
+   * collection through its frontmatter, so every collection reader is affected.
+   * @param {string} filePath - Path to the changed file
+   * @returns {string[]} Pages reading collections, other than the file itself
+   */
+  getCollectionDependents(filePath) {
+    if (!this.isCollectionSource(filePath)) {
+      return [];
+    }
+    return [...this.collectionsInPage.keys()].filter(pagePath => pagePath !== filePath);
+  }
+  
+  /**
+   * Get the pages whose glob includes match a file
+   * @param {string} filePath - Path to the file
+   * @returns {string[]} Pages including the file through a glob
+   */
+  getGlobDependents(filePath) {
+    const pages = [];
+    
+    for (const [pagePath, patterns] of this.globsInPage) {
+      if (pagePath !== filePath && patterns.some(pattern => matchesGlob(filePath, pattern))) {
+        pages.push(pagePath);
+      }
+    }
+    
+    return pages;
+  }
+  
+  /**
+   * Record the parameters a page passes to its includes
+   * @param {string} pagePath - Path to the page file
+   * @param {Array<{resolvedPath: string, params: Object}>} directives - Include directives with parameters
+   */
+  recordIncludeParams(pagePath, directives) {
+    const usages = directives
+      .filter(directive => Object.keys(directive.params).length > 0)
+      .map(directive => ({ includePath: directive.resolvedPath, params: { ...directive.params } }));
+    
+    if (usages.length > 0) {
+      this.includeParamsInPage.set(pagePath, usages);
+    } else {
+      this.includeParamsInPage.delete(pagePath);
+    }
+  }
+  
+  /**
+   * Get the parameters a page passes to its includes
+   * @param {string} pagePath - Path to the page file
+   * @returns {Array<{includePath: string, params: Object}>} One entry per parameterised include
+   */
+  getIncludeParams(pagePath) {
+    return this.includeParamsInPage.get(pagePath) || [];
   }
   
   /**
@@ -88,25 +250,30 @@ export class DependencyTracker {
   }
 
   /**
-   * Get all pages that depend on a specific include file
+   * Get all pages that depend on a specific include file, directly, through nested
+   * includes or through a glob include matching it, or that read it as a data file or
+   * through a collection
    * @param {string} includePath - Path to the include file
+   * @param {Set<string>} [visited] - Include files already followed (guards against cycles)
    * @returns {string[]} Array of page paths that depend on the include
    */
-  getAffectedPages(includePath) {
-    const directlyAffected = this.pagesByInclude.get(includePath) || [];
+  getAffectedPages(includePath, visited = new Set()) {
+    visited.add(includePath);
+    
+    const directlyAffected = [
+      ...(this.pagesByInclude.get(includePath) || []),
+      ...this.getGlobDependents(includePath),
+      ...this.getDataDependents(includePath),
+      ...this.getCollectionDependents(includePath)
+    ];
     const allAffected = new Set(directlyAffected);
     
     // Check for nested dependencies - if this include is included by other includes
-    const includesUsingThis = [];
-    for (const [page, includes] of this.includesInPage.entries()) {
-      if (includes.includes(includePath) && this.isIncludeFile(page)) {
-        includesUsingThis.push(page);
-      }
-    }
+    const includesUsingThis = directlyAffected.filter(page => this.isIncludeFile(page) && !visited.has(page));
     
     // Recursively find pages affected by nested includes
     for (const nestedInclude of includesUsingThis) {
-      const nestedAffected = this.getAffectedPages(nestedInclude);
+      const nestedAffected = this.getAffectedPages(nestedInclude, visited);
       nestedAffected.forEach(page => allAffected.add(page));
     }
     
@@ -174,13 +341,27 @@ export class DependencyTracker {
    * @param {string} sourceRoot - Source root directory
    */
   analyzePage(pagePath, htmlContent, sourceRoot) {
-    const dependencies = extractIncludeDependencies(htmlContent, pagePath, sourceRoot);
-    this.recordDependencies(pagePath, dependencies);
+    const directives = extractIncludeDirectives(htmlContent, pagePath, sourceRoot);
+    this.recordDirectives(pagePath, directives);
     
     // Also analyze nested dependencies for deeper tracking
     this.analyzeNestedDependencies(pagePath, sourceRoot);
   }
 
+  /**
+   * Record file includes, glob includes and include parameters for a page
+   * @param {string} pagePath - Path to the page file
+   * @param {Array<Object>} directives - Include directives from extractIncludeDirectives()
+   */
+  recordDirectives(pagePath, directives) {
+    const fileIncludes = directives.filter(directive => !directive.isGlob);
+    const globIncludes = directives.filter(directive => directive.isGlob);
+    
+    this.recordDependencies(pagePath, fileIncludes.map(directive => directive.resolvedPath));
+    this.recordIncludeParams(pagePath, directives);
+    this.recordGlobDependencies(pagePath, globIncludes.map(directive => directive.resolvedPath));
+  }
+
   /**
    * Analyze nested dependencies by reading include files
    * @param {string} pagePath - Path to the page file
@@ -194,11 +375,11 @@ export class DependencyTracker {
         // Read the include file to find its dependencies
         const fs = await import('fs/promises');
         const includeContent = await fs.readFile(includePath, 'utf-8');
-        const nestedDependencies = extractIncludeDependencies(includeContent, includePath, sourceRoot);
+        const nestedDirectives = extractIncludeDirectives(includeContent, includePath, sourceRoot);
         
-        if (nestedDependencies.length > 0) {
-          this.recordDependencies(includePath, nestedDependencies);
-          logger.debug(`Found ${nestedDependencies.length} nested dependencies in ${includePath}`);
+        if (nestedDirectives.length > 0) {
+          this.recordDirectives(includePath, nestedDirectives);
+          logger.debug(`Found ${nestedDirectives.length} nested dependencies in ${includePath}`);
         }
       } catch (error) {
         // Include file might not exist or be readable - log but continue
@@ -256,6 +437,10 @@ export class DependencyTracker {
   clear() {
     this.includesInPage.clear();
     this.pagesByInclude.clear();
+    this.includeParamsInPage.clear();
+    this.globsInPage.clear();
+    this.dataInPage.clear();
+    this.collectionsInPage.clear();
     this.knownFiles.clear();
     logger.debug('Cleared all dependency data');
   }
@@ -268,6 +453,10 @@ export class DependencyTracker {
     return {
       includesInPage: Object.fromEntries(this.includesInPage),
       pagesByInclude: Object.fromEntries(this.pagesByInclude),
+      includeParamsInPage: Object.fromEntries(this.includeParamsInPage),
+      globsInPage: Object.fromEntries(this.globsInPage),
+      dataInPage: Object.fromEntries(this.dataInPage),
+      collectionsInPage: Object.fromEntries(this.collectionsInPage),
       knownFiles: Array.from(this.knownFiles)
     };
   }
@@ -287,6 +476,22 @@ export class DependencyTracker {
       this.pagesByInclude = new Map(Object.entries(data.pagesByInclude));
     }
     
+    if (data.includeParamsInPage) {
+      this.includeParamsInPage = new Map(Object.entries(data.includeParamsInPage));
+    }
+    
+    if (data.globsInPage) {
+      this.globsInPage = new Map(Object.entries(data.globsInPage));
+    }
+    
+    if (data.dataInPage) {
+      this.dataInPage = new Map(Object.entries(data.dataInPage));
+    }
+    
+    if (data.collectionsInPage) {
+      this.collectionsInPage = new Map(Object.entries(data.collectionsInPage));
+    }
+    
     if (data.knownFiles) {
       this.knownFiles = new Set(data.knownFiles);
     }
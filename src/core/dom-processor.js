@@ -1,65 +1,276 @@
 /**
  * DOM Mode Processor v2 for dompile
- * String-based approach to handle slot replacement properly
+ * Parser-driven layout, slot and include handling that rewrites the original source
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { JSDOM } from 'jsdom';
 import { logger } from '../utils/logger.js';
 import { isPathWithinDirectory } from '../utils/path-resolver.js';
-import { FileSystemError } from '../utils/errors.js';
+import { isGlobPattern, expandGlob, GLOB_SORT_ORDERS } from '../utils/glob.js';
+import { getLocation, createCodeFrame } from '../utils/code-frame.js';
+import { MAX_INCLUDE_DEPTH } from './include-processor.js';
+import { escapeHtml } from './ssi-variables.js';
+import { getScopeAttribute, scopeCSS } from './scoped-css.js';
+import { getDataFileCandidates, loadDataFile } from './data-loader.js';
+import {
+  CircularDependencyError,
+  ComponentError,
+  DataError,
+  FileSystemError,
+  IncludeDepthError,
+  IncludeNotFoundError,
+  MalformedDirectiveError,
+  MissingPropError,
+  MissingSlotError,
+  PathTraversalError,
+  VanillaWaferError
+} from '../utils/errors.js';
+
+// Elements whose content the HTML parser keeps as text; slots and includes inside them
+// (e.g. <title><slot name="title"></slot></title>) are found by parsing that text
+const RCDATA_ELEMENTS = ['title', 'textarea'];
+
+// Types a component prop can declare
+const PROP_TYPES = ['string', 'number', 'boolean'];
+
+// Where a component script can ask to be placed with data-placement
+const SCRIPT_PLACEMENTS = ['head', 'body'];
+
+// Script types that hold JavaScript; other scripts (JSON, templates) are data and stay in place
+const JAVASCRIPT_TYPES = ['', 'module', 'text/javascript', 'application/javascript', 'text/ecmascript',
+  'application/ecmascript', 'application/x-javascript'];
+
+/**
+ * File names of component script bundles written to the output root
+ */
+export const SCRIPT_BUNDLE_PATTERN = /^components\.[0-9a-f]{8}\.js$/;
+
+// The `scoped` attribute of a <style> start tag
+const SCOPED_ATTRIBUTE = /\s+scoped(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]*))?(?=[\s/>]|$)/i;
 
 /**
- * Process a page using DOM mode templating with string-based slot replacement
+ * Process a page using DOM mode templating.
+ * Pages, layouts and components are parsed with JSDOM to find `<slot>`, `<template data-slot>`
+ * and `<include>` elements, and the original source is rewritten at the parser's offsets, so
+ * everything else (doctype, attributes, whitespace) is kept as written.
+ * A layout may declare its own `data-layout`; the filled layout then becomes the page of its
+ * parent layout, and page slots it does not use pass through to the outer layouts.
  * @param {string} pageContent - Raw HTML content of the page
  * @param {string} pagePath - Path to the page file
  * @param {string} sourceRoot - Source root directory
  * @param {Object} config - DOM processor configuration
+ * @param {string[]} [config.globDependencies] - Receives the absolute glob patterns of `<include>` tags
+ * @param {string[]} [config.dependencies] - Receives the absolute paths of the layouts and components
+ *   (at every nesting level) the page is built from, including ones that turn out to be missing
+ * @param {number} [config.maxIncludeDepth=MAX_INCLUDE_DEPTH] - Maximum component nesting depth
+ * @param {boolean} [config.scopedStyles=false] - Scope every component `<style>`, not only `<style scoped>`
+ * @param {Object|null} [config.scriptBundle=null] - Bundle from createScriptBundle() replacing inline component scripts
+ * @param {string} [config.dataDir='_data'] - Directory of the data files `data-each` templates read; files
+ *   read directly (or, for missing data, every candidate file) are reported in config.dependencies
+ * @param {Object|null} [config.site=null] - Site data from createSiteData(), readable by bindings and
+ *   `data-each` as `site.<name>` in pages, layouts and components
+ * @param {Object|null} [config.collections=null] - Markdown collections from createCollectionsData(),
+ *   readable the same way as `collections.<name>`
  * @returns {Promise<string>} Processed HTML content
+ * @throws {CircularDependencyError} When layouts wrap each other or components include each other in a cycle
+ * @throws {IncludeDepthError} When components nest deeper than maxIncludeDepth
+ * @throws {DataError} When the data of a `data-each` template is missing or not a list
  */
 export async function processDOMMode(pageContent, pagePath, sourceRoot, config = {}) {
   const domConfig = { 
     layoutsDir: 'layouts',
     componentsDir: 'components', 
     defaultLayout: 'default.html',
+    dataDir: '_data',
     sourceRoot, 
-    ...config 
+    ...config,
+    pagePath,
+    dataCache: new Map()
   };
   
   try {
     // Parse the page HTML
-    const dom = new JSDOM(pageContent, { contentType: "text/html" });
-    const document = dom.window.document;
+    const page = parseHTML(pageContent);
     
     // Detect layout from root element
-    const layoutPath = await detectLayout(document, sourceRoot, domConfig);
-    logger.debug(`Using layout: ${layoutPath}`);
-    
-    // Load layout content as string
-    const layoutContent = await fs.readFile(layoutPath, 'utf-8');
+    let layoutPath = await detectLayout(page.document, sourceRoot, domConfig);
     
     // Extract slot content from page
-    const slotData = extractSlotData(document);
+    let slotData = extractSlotData(page, pageContent);
     
-    // Apply slots to layout using string replacement
-    let processedHTML = applySlots(layoutContent, slotData);
+    // Source files the result is composed of, page first
+    const sources = [{ filePath: pagePath, content: pageContent }];
+    let processedHTML;
     
-    // Process includes in the result
-    processedHTML = await processIncludesInHTML(processedHTML, sourceRoot, domConfig);
+    while (layoutPath) {
+      const chain = sources.slice(1).map(source => source.filePath);
+      if (chain.includes(layoutPath)) {
+        throw locateLayoutCycle(new CircularDependencyError(layoutPath, chain), sources[sources.length - 1]);
+      }
+      logger.debug(`Using layout: ${layoutPath}`);
+      recordDependency(domConfig, layoutPath);
+      
+      // Load layout content as string
+      const layoutContent = await fs.readFile(layoutPath, 'utf-8');
+      sources.push({ filePath: layoutPath, content: layoutContent });
+      
+      // Fill the layout's slots
+      processedHTML = applySlots(layoutContent, slotData, layoutPath, pagePath);
+      
+      layoutPath = await detectLayout(parseHTML(layoutContent).document, sourceRoot, domConfig, false);
+      
+      if (layoutPath) {
+        // The filled layout is the page of its parent layout
+        const usedSlots = getSlotNames(layoutContent);
+        const passThrough = Object.entries(slotData)
+          .filter(([slotName]) => slotName !== 'default' && !usedSlots.has(slotName));
+        
+        slotData = { ...extractSlotData(parseHTML(processedHTML), processedHTML), ...Object.fromEntries(passThrough) };
+      }
+    }
+    
+    // Repeat data-each templates and fill page bindings first, so repeated includes can bind
+    // their item to data-* attributes
+    processedHTML = await processDataTemplates(processedHTML, sourceRoot, domConfig, sources);
+    
+    // Process includes in the result; failures are reported in the page or layout that holds the tag
+    processedHTML = await processIncludesInHTML(processedHTML, sourceRoot, domConfig, sources);
     
     return processedHTML;
     
   } catch (error) {
     logger.error(`DOM processing failed for ${pagePath}: ${error.message}`);
+    if (error instanceof VanillaWaferError) {
+      throw error;
+    }
     throw new FileSystemError('dom-process', pagePath, error);
   }
 }
 
 /**
- * Detect which layout to use for a page
+ * Report a layout or component the page is built from
+ * @param {Object} config - DOM processor configuration
+ * @param {string} filePath - Absolute path of the layout or component
+ */
+function recordDependency(config, filePath) {
+  if (config.dependencies && !config.dependencies.includes(filePath)) {
+    config.dependencies.push(filePath);
+  }
+}
+
+/**
+ * Parse HTML, keeping the source offsets of every node
+ * @param {string} source - HTML source
+ * @returns {{document: Document, locate: function(Node): Object|null}} Parsed document and a
+ *   lookup for parse5 node locations (`startOffset`, `endOffset`, `startTag`, `endTag`, `attrs`)
+ */
+function parseHTML(source) {
+  const dom = new JSDOM(source, { contentType: "text/html", includeNodeLocations: true });
+  return { document: dom.window.document, locate: node => dom.nodeLocation(node) };
+}
+
+/**
+ * Get the source range of an element from its parse5 location.
+ * Elements without an end tag (`<slot />`, `<include src="..." />`) cover only their start tag:
+ * HTML has no self-closing custom elements, so whatever the parser nested inside them is
+ * left where it was written.
+ * @param {Object} location - Node location
+ * @param {number} [offset=0] - Offset of the parsed source within the full source
+ * @returns {{start: number, end: number, tagEnd: number, attributes: Object<string, {start: number, end: number}>, innerStart?: number, innerEnd?: number}}
+ *   Source range, with the range of each attribute
+ */
+function getElementRange(location, offset = 0) {
+  const { startTag, endTag } = location;
+  const range = {
+    start: startTag.startOffset + offset,
+    end: startTag.endOffset + offset,
+    tagEnd: startTag.endOffset + offset
+  };
+  
+  range.attributes = Object.fromEntries(Object.entries(location.attrs || {}).map(([name, attr]) => [
+    name,
+    { start: attr.startOffset + offset, end: attr.endOffset + offset }
+  ]));
+  
+  if (endTag) {
+    range.end = endTag.endOffset + offset;
+    range.innerStart = startTag.endOffset + offset;
+    range.innerEnd = endTag.startOffset + offset;
+  }
+  
+  return range;
+}
+
+/**
+ * Find the elements matching a selector in HTML source, in source order.
+ * Searches `<template>` contents and the text of RCDATA elements as well.
+ * @param {string} source - HTML source
+ * @param {string} selector - CSS selector, e.g. a lowercase tag name
+ * @param {number} [offset=0] - Offset of source within the full source (for RCDATA text)
+ * @returns {Array<{element: Element, start: number, end: number, tagEnd: number, attributes: Object, innerStart?: number, innerEnd?: number}>}
+ *   Elements with their source ranges
+ */
+function findElements(source, selector, offset = 0) {
+  const { document, locate } = parseHTML(source);
+  const candidates = [selector, 'template', ...RCDATA_ELEMENTS].join(', ');
+  const roots = [document];
+  const found = [];
+  
+  while (roots.length > 0) {
+    for (const element of roots.shift().querySelectorAll(candidates)) {
+      const location = locate(element);
+      const range = location && location.startTag ? getElementRange(location, offset) : null;
+      
+      if (element.matches(selector)) {
+        if (range) {
+          found.push({ element, ...range });
+        }
+      } else if (RCDATA_ELEMENTS.includes(element.localName)) {
+        if (range && range.innerStart !== undefined) {
+          const text = source.slice(range.innerStart - offset, range.innerEnd - offset);
+          found.push(...findElements(text, selector, range.innerStart));
+        }
+      }
+      
+      if (element.localName === 'template') {
+        roots.push(element.content);
+      }
+    }
+  }
+  
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace ranges of a string
+ * @param {string} source - Original text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Non-overlapping replacements
+ * @returns {string} Text with the replacements applied
  */
-async function detectLayout(document, sourceRoot, config) {
+function applyEdits(source, edits) {
+  let result = '';
+  let position = 0;
+  
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    result += source.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  
+  return result + source.slice(position);
+}
+
+/**
+ * Detect which layout to use for a page or layout
+ * @param {Document} document - Parsed page or layout
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {boolean} [useDefault=true] - Fall back to the default layout (pages only)
+ * @returns {Promise<string|null>} Absolute layout path, or null for a layout without a parent
+ */
+async function detectLayout(document, sourceRoot, config, useDefault = true) {
   const rootElements = [
     document.documentElement,
     document.body,
@@ -87,141 +298,572 @@ async function detectLayout(document, sourceRoot, config) {
     }
   }
   
+  if (!useDefault) {
+    return null;
+  }
+  
   // Fall back to default layout
   const defaultLayoutPath = path.join(sourceRoot, config.layoutsDir, config.defaultLayout);
   return defaultLayoutPath;
 }
 
 /**
- * Extract slot data from page document
+ * Extract slot data from a parsed page: the source of each `<template data-slot>` and, as
+ * the default slot, the body source without those templates and the `data-layout` attribute
+ * @param {{document: Document, locate: Function}} page - Parsed page
+ * @param {string} source - Page source
+ * @returns {Object<string, string>} Slot content by name
  */
-function extractSlotData(document) {
+function extractSlotData(page, source) {
+  const { document, locate } = page;
   const slots = {};
+  const removals = [];
   
   // Extract named slots
-  const slotTemplates = document.querySelectorAll('template[data-slot]');
-  slotTemplates.forEach(template => {
-    const slotName = template.getAttribute('data-slot');
-    slots[slotName] = template.innerHTML;
-  });
+  for (const template of document.querySelectorAll('template[data-slot]')) {
+    const location = locate(template);
+    if (!location || !location.startTag) continue;
+    
+    const range = getElementRange(location);
+    slots[template.getAttribute('data-slot')] = range.innerStart === undefined
+      ? ''
+      : source.slice(range.innerStart, range.innerEnd);
+    removals.push({ ...range, text: '' });
+  }
   
-  // Extract default slot content (everything not in a template)
+  // The element that names the layout stays in the default content without the attribute
   const body = document.body || document.documentElement;
-  const defaultContent = [];
+  const rootElement = body.querySelector('[data-layout]');
+  const rootLocation = rootElement && locate(rootElement);
+  if (rootLocation && rootLocation.attrs && rootLocation.attrs['data-layout']) {
+    const attribute = rootLocation.attrs['data-layout'];
+    let start = attribute.startOffset;
+    while (/\s/.test(source[start - 1])) start--;
+    removals.push({ start, end: attribute.endOffset, text: '' });
+  }
+  
+  // Extract default slot content (everything in the body not in a template)
+  const nodeSource = (node) => {
+    const location = locate(node);
+    if (!location) {
+      // Elements the parser implied (e.g. <tbody>) have no source of their own
+      return [...node.childNodes].map(nodeSource).join('');
+    }
+    const edits = removals
+      .filter(removal => removal.start >= location.startOffset && removal.end <= location.endOffset)
+      .map(removal => ({ ...removal, start: removal.start - location.startOffset, end: removal.end - location.startOffset }));
+    return applyEdits(source.slice(location.startOffset, location.endOffset), edits);
+  };
   
-  // Clone the body and remove template elements
-  const bodyClone = body.cloneNode(true);
-  const templates = bodyClone.querySelectorAll('template[data-slot]');
-  templates.forEach(template => template.remove());
+  slots['default'] = [...body.childNodes].map(nodeSource).join('');
   
-  // Also remove the data-layout attribute from the root element
-  const rootElement = bodyClone.querySelector('[data-layout]');
-  if (rootElement) {
-    rootElement.removeAttribute('data-layout');
+  return slots;
+}
+
+/**
+ * Get the names of the named slots a layout declares
+ * @param {string} layoutContent - Layout HTML
+ * @returns {Set<string>} Slot names
+ */
+function getSlotNames(layoutContent) {
+  const names = findElements(layoutContent, 'slot').map(slot => getSlotName(slot.element));
+  return new Set(names.filter(name => name !== 'default'));
+}
+
+/**
+ * Get the name of a slot element
+ * @param {Element} slot - Slot element
+ * @returns {string} Slot name, `default` when unnamed
+ */
+function getSlotName(slot) {
+  return slot.getAttribute('name') || 'default';
+}
+
+/**
+ * Point a layout cycle at the `data-layout` attribute that closes it
+ * @param {CircularDependencyError} error - Cycle error
+ * @param {{filePath: string, content: string}} layout - Layout that declares the repeated parent
+ * @returns {CircularDependencyError} The same error
+ */
+function locateLayoutCycle(error, layout) {
+  const offset = layout.content.search(/data-layout\s*=/i);
+  if (offset === -1) {
+    return error;
   }
   
-  slots['default'] = bodyClone.innerHTML;
+  const { line, column } = getLocation(layout.content, offset);
+  return error.setLocation(layout.filePath, line, column, createCodeFrame(layout.content, line, column));
+}
+
+/**
+ * Apply slot content to a layout.
+ * Slots the page doesn't fill render their inner content as fallback; unfilled `required`
+ * slots fail the build.
+ * @param {string} layoutContent - Layout HTML
+ * @param {Object<string, string>} slotData - Slot content by name (`default` for the default slot)
+ * @param {string} layoutPath - Layout file (for errors)
+ * @param {string} pagePath - Page being built (for errors)
+ * @returns {string} Layout with slots replaced
+ * @throws {MissingSlotError} When a required slot is not filled
+ */
+function applySlots(layoutContent, slotData, layoutPath, pagePath) {
+  const edits = [];
+  let filledEnd = -1;
   
-  return slots;
+  for (const slot of findElements(layoutContent, 'slot')) {
+    // Slots in the fallback of a filled slot are replaced along with it
+    if (slot.start < filledEnd) continue;
+    
+    const name = getSlotName(slot.element);
+    
+    // Whitespace left over from templates doesn't count as default content
+    const content = slotData[name];
+    const filled = name === 'default' ? Boolean(content && content.trim()) : content !== undefined;
+    
+    if (filled) {
+      edits.push({ start: slot.start, end: slot.end, text: content });
+      filledEnd = slot.end;
+    } else if (slot.element.hasAttribute('required')) {
+      throw new MissingSlotError(name, `${layoutPath}:${getLocation(layoutContent, slot.start).line}`, pagePath);
+    } else {
+      // Keep the fallback content, drop the slot tags
+      edits.push({ start: slot.start, end: slot.innerStart ?? slot.end, text: '' });
+      if (slot.innerEnd !== undefined) {
+        edits.push({ start: slot.innerEnd, end: slot.end, text: '' });
+      }
+    }
+  }
+  
+  return applyEdits(layoutContent, edits);
 }
 
 /**
- * Apply slot content to layout using string replacement
+ * Get the values every page, layout and component can bind to
+ * @param {Object} config - DOM processor configuration
+ * @returns {Object} `site` and `collections`, when available
  */
-function applySlots(layoutContent, slotData) {
-  let result = layoutContent;
+function getGlobalScope(config) {
+  const scope = {};
+  if (config.site) {
+    scope.site = config.site;
+  }
+  if (config.collections) {
+    scope.collections = config.collections;
+  }
+  return scope;
+}
+
+/**
+ * Repeat the `<template data-each>` elements of a composed page, then fill its other
+ * `data-token` bindings. `<script type="application/json" data-source="name">` elements hold
+ * inline data and are removed; `site` holds the site data, `collections` the markdown
+ * collections, and other names are loaded from the data directory.
+ * @param {string} htmlContent - Layout with slots applied
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {Array<{filePath: string, content: string}>} sources - Source files the elements may come from
+ * @returns {Promise<string>} HTML with the templates repeated and bindings filled
+ * @throws {DataError} When inline data is not valid JSON, or a template's data is missing or not a list
+ */
+async function processDataTemplates(htmlContent, sourceRoot, config, sources) {
+  const scope = getGlobalScope(config);
+  const edits = [];
   
-  // Replace named slots
-  for (const [slotName, content] of Object.entries(slotData)) {
-    if (slotName === 'default') continue;
+  const scripts = htmlContent.includes('data-source') ? findElements(htmlContent, 'script[type="application/json" i][data-source]') : [];
+  for (const script of scripts) {
+    const name = script.element.getAttribute('data-source');
+    try {
+      scope[name] = JSON.parse(htmlContent.slice(script.innerStart ?? script.end, script.innerEnd ?? script.end));
+    } catch (error) {
+      throw locateElement(new DataError(`Invalid inline data "${name}": ${error.message}`), sources, 'script', 'data-source', name);
+    }
     
-    const slotRegex = new RegExp(`<slot\\s+name=["']${slotName}["'][^>]*>.*?</slot>`, 'gi');
-    const simpleSlotRegex = new RegExp(`<slot\\s+name=["']${slotName}["'][^>]*\\s*/?>`, 'gi');
+    // Drop the line the script sat on along with it
+    const indent = htmlContent.slice(0, script.start).match(/(?:^|\n)([ \t]*)$/)?.[1] ?? '';
+    const trailing = htmlContent.slice(script.end).match(/^[ \t]*\r?\n/);
+    edits.push({ start: script.start - indent.length, end: script.end + (trailing ? trailing[0].length : 0), text: '' });
+  }
+  
+  const result = await expandEachTemplates(applyEdits(htmlContent, edits), scope, sourceRoot, config, sources);
+  return Object.keys(scope).length > 0 && result.includes('data-token') ? bindProps(result, scope) : result;
+}
+
+/**
+ * Replace each `<template data-each="list" data-as="name">` with a copy of its content per
+ * item of the list, with the `data-token` bindings of the copy filled from the item (`name`,
+ * or `item` without data-as). Templates may nest and iterate over a field of an outer item.
+ * @param {string} htmlContent - HTML source
+ * @param {Object} scope - Values the templates can use: inline data, props and outer items
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {Array<{filePath: string, content: string}>} sources - Source files the templates may come from
+ * @returns {Promise<string>} HTML with the templates repeated
+ * @throws {DataError} When a template's data is missing or not a list
+ */
+async function expandEachTemplates(htmlContent, scope, sourceRoot, config, sources) {
+  if (!htmlContent.includes('data-each')) {
+    return htmlContent;
+  }
+  
+  const edits = [];
+  let replacedEnd = -1;
+  
+  for (const template of findElements(htmlContent, 'template[data-each]')) {
+    // Nested templates are expanded with each copy of their outer template
+    if (template.start < replacedEnd) continue;
+    replacedEnd = template.end;
+    
+    const { element } = template;
+    const name = element.getAttribute('data-each');
+    const alias = element.getAttribute('data-as') || 'item';
+    const body = htmlContent.slice(template.innerStart ?? template.end, template.innerEnd ?? template.end);
     
-    result = result.replace(slotRegex, content);
-    result = result.replace(simpleSlotRegex, content);
+    try {
+      const copies = [];
+      for (const item of await resolveList(name, scope, sourceRoot, config)) {
+        const itemScope = { ...scope, [alias]: item };
+        copies.push(bindProps(await expandEachTemplates(body, itemScope, sourceRoot, config, sources), itemScope));
+      }
+      edits.push({ start: template.start, end: template.end, text: copies.join('') });
+    } catch (error) {
+      throw error instanceof VanillaWaferError ? locateElement(error, sources, 'template', 'data-each', name) : error;
+    }
   }
   
-  // Replace default slot
-  const defaultSlotRegex = /<slot(?:\s+[^>]*)?>(.*?)<\/slot>/gi;
-  const defaultSlotSelfClosing = /<slot(?:\s+[^>]*)?\/>/gi;
+  return applyEdits(htmlContent, edits);
+}
+
+/**
+ * Look up the list a `data-each` template iterates over. The first segment of the dotted
+ * path names a value in scope or, failing that, a file in the data directory.
+ * @param {string} name - Dotted path, e.g. `team` or `pricing.tiers`
+ * @param {Object} scope - Values in scope
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @returns {Promise<Array>} List items
+ * @throws {DataError} When there is no such value or it is not a list
+ */
+async function resolveList(name, scope, sourceRoot, config) {
+  const [root] = name.split('.');
+  const data = Object.hasOwn(scope, root) ? scope : { [root]: await loadData(root, sourceRoot, config) };
+  const list = lookupValue(data, name);
   
-  result = result.replace(defaultSlotRegex, slotData.default || '$1');
-  result = result.replace(defaultSlotSelfClosing, slotData.default || '');
+  if (list === undefined) {
+    throw new DataError(`No data found for data-each="${name}" (looked in the page and ${config.dataDir}/)`);
+  }
+  if (!Array.isArray(list)) {
+    throw new DataError(`data-each="${name}" must be a list, but is ${typeof list}`);
+  }
+  return list;
+}
+
+/**
+ * Load a file from the data directory, once per page.
+ * The file is a dependency of the page; a missing file is recorded under every name it could
+ * be added as, so adding it later rebuilds the page.
+ * @param {string} name - Data name (file name without extension)
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @returns {Promise<*>} Parsed data, or undefined when there is no such file
+ * @throws {DataError} When the file is not valid JSON or YAML
+ */
+async function loadData(name, sourceRoot, config) {
+  // Site data records the files it is read from itself
+  if (config.site && Object.hasOwn(config.site, name)) {
+    return config.site[name];
+  }
+  
+  if (!config.dataCache.has(name)) {
+    const dataRoot = path.join(sourceRoot, config.dataDir);
+    const loaded = await loadDataFile(dataRoot, name);
+    
+    for (const filePath of loaded ? [loaded.filePath] : getDataFileCandidates(dataRoot, name)) {
+      recordDependency(config, filePath);
+    }
+    config.dataCache.set(name, loaded ? loaded.data : undefined);
+  }
+  
+  return config.dataCache.get(name);
+}
+
+/**
+ * Get a value by name, where a dotted name (`person.name`) walks into objects
+ * @param {Object} scope - Values in scope
+ * @param {string} name - Value name or dotted path
+ * @returns {*} The value, or undefined when it doesn't exist or is null
+ */
+function lookupValue(scope, name) {
+  if (Object.hasOwn(scope, name)) {
+    return scope[name] ?? undefined;
+  }
+  
+  const value = name.split('.').reduce(
+    (current, key) => current !== null && typeof current === 'object' && Object.hasOwn(current, key) ? current[key] : undefined,
+    scope
+  );
+  return value ?? undefined;
+}
+
+/**
+ * Process includes in HTML content, hoisting component styles to `<head>` and scripts to
+ * the end of `<body>` (or to `<head>` with `data-placement="head"`)
+ * @param {string} htmlContent - Layout with slots applied
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {Array<{filePath: string, content: string}>} [sources=[]] - Source files the tags may come from
+ * @returns {Promise<string>} HTML with components inlined
+ * @throws {VanillaWaferError} When an include fails, located at the tag in its source file
+ */
+async function processIncludesInHTML(htmlContent, sourceRoot, config, sources = []) {
+  const { content, styles: allStyles, scripts: allScripts } = await expandIncludes(htmlContent, sourceRoot, config, sources);
+  
+  // Clean up any remaining artifacts
+  let result = cleanupDOMOutput(content);
+  
+  // Scripts are the same when they load the same src or have the same code
+  const scripts = allScripts.filter((script, index) => allScripts.findIndex(other => other.key === script.key) === index);
+  const headScripts = scripts.filter(script => script.placement === 'head').map(script => script.html);
+  const bodyScripts = bundleScripts(scripts.filter(script => script.placement === 'body'), config.scriptBundle);
+  
+  // Move styles to head and scripts to end of body
+  const headHTML = [...new Set(allStyles), ...headScripts];
+  if (headHTML.length > 0) {
+    const headEndRegex = /<\/head>/i;
+    result = result.replace(headEndRegex, () => `${headHTML.join('\n')}\n</head>`);
+  }
+  
+  if (bodyScripts.length > 0) {
+    const bodyEndRegex = /<\/body>/i;
+    result = result.replace(bodyEndRegex, () => `${bodyScripts.join('\n')}\n</body>`);
+  }
   
   return result;
 }
 
 /**
- * Process includes in HTML content
+ * Replace the scripts that are part of the components bundle with one reference to it,
+ * at the position of the first of them
+ * @param {Array<Object>} scripts - Parsed body scripts in page order
+ * @param {Object|null} bundle - Script bundle from createScriptBundle()
+ * @returns {string[]} Script elements to output
+ */
+function bundleScripts(scripts, bundle) {
+  const output = [];
+  let bundled = false;
+  
+  for (const script of scripts) {
+    if (!bundle || !bundle.keys.has(script.key)) {
+      output.push(script.html);
+    } else if (!bundled) {
+      output.push(`<script src="${bundle.src}"></script>`);
+      bundled = true;
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Replace the `<include>` elements in HTML with their components, recursively
+ * @param {string} htmlContent - HTML containing include elements
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {Array<{filePath: string, content: string}>} sources - Source files the tags may come from
+ * @param {Array<{filePath: string, content: string, src: string}>} [ancestors=[]] - Components being expanded, outermost first
+ * @returns {Promise<{content: string, styles: string[], scripts: string[]}>} Expanded HTML with the styles and scripts of every level
  */
-async function processIncludesInHTML(htmlContent, sourceRoot, config) {
-  const includeRegex = /<include\s+([^>]+)\/?\s*>/gi;
-  let result = htmlContent;
+async function expandIncludes(htmlContent, sourceRoot, config, sources, ancestors = []) {
+  const edits = [];
   const allStyles = [];
   const allScripts = [];
+  let replacedEnd = -1;
   
-  const matches = [...htmlContent.matchAll(includeRegex)];
-  
-  for (const match of matches) {
+  for (const include of findElements(htmlContent, 'include')) {
+    // Elements inside an include with an end tag are replaced along with it
+    if (include.start < replacedEnd) continue;
+    replacedEnd = include.end;
+    
+    const { element } = include;
+    const src = element.getAttribute('src');
+    if (!src) {
+      edits.push({ start: include.start, end: include.end, text: '' });
+      continue;
+    }
+    
+    const includeTag = htmlContent.slice(include.start, include.tagEnd);
     try {
-      const includeTag = match[0];
-      const attributes = match[1];
-      
-      // Parse attributes
-      const srcMatch = attributes.match(/src=["']([^"']+)["']/);
-      if (!srcMatch) continue;
-      
-      const src = srcMatch[1];
       const dataAttrs = {};
       
       // Extract data attributes
-      const dataMatches = attributes.matchAll(/data-(\w+)=["']([^"']+)["']/g);
-      for (const dataMatch of dataMatches) {
-        dataAttrs[dataMatch[1]] = dataMatch[2];
+      for (const attribute of element.attributes) {
+        if (attribute.name.startsWith('data-')) {
+          dataAttrs[attribute.name.slice('data-'.length)] = attribute.value;
+        }
       }
       
-      // Load and process component
-      const componentResult = await loadAndProcessComponent(src, dataAttrs, sourceRoot, config);
+      // Load and process component (or every component matching a glob)
+      const componentResult = isGlobPattern(src)
+        ? await loadComponentGlob(src, element, dataAttrs, includeTag, sourceRoot, config, ancestors)
+        : await loadAndProcessComponent(src, dataAttrs, sourceRoot, config, ancestors);
       
       // Collect styles and scripts
       allStyles.push(...componentResult.styles);
       allScripts.push(...componentResult.scripts);
       
       // Replace include tag with component content
-      result = result.replace(includeTag, componentResult.content);
+      edits.push({ start: include.start, end: include.end, text: componentResult.content });
       
     } catch (error) {
-      logger.error(`Failed to process include: ${error.message}`);
-      result = result.replace(match[0], `<!-- Error: ${error.message} -->`);
+      throw locateIncludeError(error, includeTag, src, sources);
     }
   }
   
-  // Clean up any remaining artifacts
-  result = cleanupDOMOutput(result);
+  return { content: applyEdits(htmlContent, edits), styles: allStyles, scripts: allScripts };
+}
+
+/**
+ * Point an include failure at the `<include>` tag in the page or layout that contains it.
+ * The composed HTML no longer matches either file, so the tag is found by its src.
+ * @param {Error} error - Error thrown while loading the component
+ * @param {string} includeTag - Start tag of the include as it appears in the composed HTML
+ * @param {string} src - src attribute of the tag
+ * @param {Array<{filePath: string, content: string}>} sources - Candidate source files
+ * @returns {VanillaWaferError} Error with file, line, column and code frame when the tag is found
+ */
+function locateIncludeError(error, includeTag, src, sources) {
+  const located = error instanceof VanillaWaferError
+    ? error
+    : new MalformedDirectiveError(`${includeTag} (${error.message})`);
   
-  // Move styles to head and scripts to end of body
-  if (allStyles.length > 0) {
-    const headEndRegex = /<\/head>/i;
-    const dedupedStyles = [...new Set(allStyles)]; // Remove duplicates
-    const stylesHTML = dedupedStyles.join('\n');
-    result = result.replace(headEndRegex, `${stylesHTML}\n</head>`);
+  return locateElement(located, sources, 'include', 'src', src);
+}
+
+/**
+ * Point an error at an element in the page, layout or component that contains it.
+ * The composed HTML no longer matches any of the files, so the element is found by the
+ * value of one of its attributes.
+ * @param {VanillaWaferError} error - Error to locate
+ * @param {Array<{filePath: string, content: string}>} sources - Candidate source files
+ * @param {string} selector - Selector of the element, e.g. `include`
+ * @param {string} attribute - Attribute identifying the element
+ * @param {string} value - Value of the attribute
+ * @returns {VanillaWaferError} Error with file, line, column and code frame when the element is found
+ */
+function locateElement(error, sources, selector, attribute, value) {
+  // Errors from nested templates and components were already located at the innermost element
+  if (error.codeFrame) {
+    return error;
   }
   
-  if (allScripts.length > 0) {
-    const bodyEndRegex = /<\/body>/i;
-    const dedupedScripts = [...new Set(allScripts)]; // Remove duplicates  
-    const scriptsHTML = dedupedScripts.join('\n');
-    result = result.replace(bodyEndRegex, `${scriptsHTML}\n</body>`);
+  for (const source of sources) {
+    const offset = findElementOffset(source.content, selector, attribute, value);
+    
+    if (offset !== -1) {
+      const { line, column } = getLocation(source.content, offset);
+      return error.setLocation(source.filePath, line, column, createCodeFrame(source.content, line, column));
+    }
   }
   
-  return result;
+  if (sources.length > 0 && !error.filePath) {
+    error.setLocation(sources[0].filePath);
+  }
+  return error;
 }
 
 /**
- * Load and process a component
+ * Find the first element with a given attribute value in HTML source
+ * @param {string} content - HTML source
+ * @param {string} selector - Selector of the element
+ * @param {string} attribute - Attribute to compare
+ * @param {string} value - Value to look for
+ * @returns {number} Offset of the element's start tag, or -1
+ */
+function findElementOffset(content, selector, attribute, value) {
+  const match = findElements(content, selector).find(candidate => candidate.element.getAttribute(attribute) === value);
+  return match ? match.start : -1;
+}
+
+/**
+ * Load and process every component matching a glob `src`.
+ * Supports the same sort, limit and separator attributes as SSI glob includes.
+ * @param {string} src - Glob src attribute of the include
+ * @param {Element} element - The include element, for its glob attributes
+ * @param {Object<string, string>} dataAttrs - data-* attributes of the include, passed to every match
+ * @param {string} includeTag - Start tag of the include (for errors)
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {Array<{filePath: string, content: string, src: string}>} [ancestors=[]] - Components being expanded, outermost first
+ * @returns {Promise<{content: string, styles: string[], scripts: Array<Object>}>} The matching components
+ *   joined by the separator, with their styles and scripts
+ * @throws {PathTraversalError} When the pattern leaves the source root
+ * @throws {MalformedDirectiveError} When sort or limit is invalid
  */
-async function loadAndProcessComponent(src, dataAttrs, sourceRoot, config) {
+async function loadComponentGlob(src, element, dataAttrs, includeTag, sourceRoot, config, ancestors = []) {
+  const pattern = src.startsWith('/')
+    ? path.join(sourceRoot, src.substring(1))
+    : path.join(sourceRoot, config.componentsDir, src);
+  
+  if (!isPathWithinDirectory(pattern, sourceRoot)) {
+    throw new PathTraversalError(src, sourceRoot);
+  }
+  
+  if (config.globDependencies) {
+    config.globDependencies.push(pattern);
+  }
+  
+  const sort = element.getAttribute('sort') || 'name';
+  if (!GLOB_SORT_ORDERS.includes(sort)) {
+    throw new MalformedDirectiveError(`${includeTag} (sort must be one of ${GLOB_SORT_ORDERS.join(', ')})`);
+  }
+  
+  const limitValue = element.getAttribute('limit');
+  const limit = limitValue === null ? undefined : Number(limitValue);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new MalformedDirectiveError(`${includeTag} (limit must be a positive integer)`);
+  }
+  
+  const matches = await expandGlob(pattern, { sort, limit });
+  if (matches.length === 0) {
+    logger.warn(`Include pattern ${src} matched no files`);
+  }
+  
+  const parts = [];
+  const styles = [];
+  const scripts = [];
+  for (const matchPath of matches) {
+    const component = await loadAndProcessComponent('/' + path.relative(sourceRoot, matchPath).split(path.sep).join('/'), dataAttrs, sourceRoot, config, ancestors);
+    parts.push(component.content);
+    styles.push(...component.styles);
+    scripts.push(...component.scripts);
+  }
+  
+  let separator = '';
+  const separatorSrc = element.getAttribute('separator');
+  if (separatorSrc && parts.length > 1) {
+    const separatorComponent = await loadAndProcessComponent(separatorSrc, {}, sourceRoot, config, ancestors);
+    separator = separatorComponent.content;
+    styles.push(...separatorComponent.styles);
+    scripts.push(...separatorComponent.scripts);
+  }
+  
+  return { content: parts.join(separator), styles, scripts };
+}
+
+/**
+ * Load and process a component, expanding the includes nested in it.
+ * Components may include other components up to `config.maxIncludeDepth` levels, but not
+ * themselves (directly or through others).
+ * @param {string} src - src attribute of the include
+ * @param {Object<string, string>} dataAttrs - data-* attributes of the include
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration
+ * @param {Array<{filePath: string, content: string, src: string}>} [ancestors=[]] - Components being expanded, outermost first
+ * @returns {Promise<{content: string, styles: string[], scripts: Array<Object>}>} Component HTML with its styles
+ *   and parsed scripts (see parseComponentScript())
+ * @throws {CircularDependencyError} When the component is already being expanded
+ * @throws {IncludeDepthError} When components nest too deeply
+ */
+async function loadAndProcessComponent(src, dataAttrs, sourceRoot, config, ancestors = []) {
   // Resolve component path
   let componentPath = src;
   let actualSourceRoot = sourceRoot;
@@ -235,46 +877,407 @@ async function loadAndProcessComponent(src, dataAttrs, sourceRoot, config) {
   }
   
   if (!isPathWithinDirectory(componentPath, actualSourceRoot)) {
-    throw new Error(`Component path outside source directory: ${src}`);
+    throw new PathTraversalError(src, actualSourceRoot);
+  }
+  
+  recordDependency(config, componentPath);
+  
+  if (ancestors.some(ancestor => ancestor.filePath === componentPath)) {
+    throw new CircularDependencyError(componentPath, ancestors.map(ancestor => ancestor.filePath));
+  }
+  
+  const maxIncludeDepth = config.maxIncludeDepth ?? MAX_INCLUDE_DEPTH;
+  if (ancestors.length >= maxIncludeDepth) {
+    // Each hop is the include tag inside a component that pulled in the next one
+    const includeStack = ancestors.map((ancestor, index) => {
+      const offset = findElementOffset(ancestor.content, 'include', 'src', (ancestors[index + 1] || { src }).src);
+      return {
+        filePath: ancestor.filePath,
+        lineNumber: offset === -1 ? null : getLocation(ancestor.content, offset).line
+      };
+    });
+    throw new IncludeDepthError(componentPath, includeStack, maxIncludeDepth);
   }
   
   // Load component
-  const componentContent = await fs.readFile(componentPath, 'utf-8');
-  
-  // Process token replacement
-  let processedContent = componentContent;
-  for (const [token, value] of Object.entries(dataAttrs)) {
-    // Replace the actual content of elements with data-token
-    // Use a more flexible regex that handles multiline content
-    const elementRegex = new RegExp(`(<[^>]+data-token=["']${token}["'][^>]*>)(.*?)(</[^>]+>)`, 'gs');
-    const beforeReplace = processedContent;
-    processedContent = processedContent.replace(elementRegex, `$1${value}$3`);
-    
-    if (beforeReplace !== processedContent) {
-      logger.debug(`Token replacement for ${token}: ${value} -> content replaced`);
-    } else {
-      logger.debug(`No token replacement for ${token} with value ${value}`);
+  let componentContent;
+  try {
+    componentContent = await fs.readFile(componentPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new IncludeNotFoundError(src, null);
     }
+    throw new FileSystemError('read', componentPath, error);
   }
   
+  // Fill data-token elements and attributes with the component's props (and site data), after
+  // repeating data-each templates (whose copies can use them as well as their item)
+  const { declaration, content: componentBody } = extractPropsDeclaration(componentContent, componentPath);
+  const props = resolveProps(declaration, dataAttrs, componentPath, config.pagePath);
+  const scope = { ...getGlobalScope(config), ...props };
+  const componentSources = [{ filePath: componentPath, content: componentContent }];
+  let processedContent = bindProps(await expandEachTemplates(componentBody, scope, sourceRoot, config, componentSources), scope);
+  
   // Extract and remove styles and scripts
   const styleRegex = /<style[^>]*>[\s\S]*?<\/style>/gi;
   const scriptRegex = /<script[^>]*>[\s\S]*?<\/script>/gi;
   
-  const styles = [...processedContent.matchAll(styleRegex)].map(match => match[0]);
-  const scripts = [...processedContent.matchAll(scriptRegex)].map(match => match[0]);
+  let styles = [...processedContent.matchAll(styleRegex)].map(match => match[0]);
+  const scripts = [];
   
-  // Remove styles and scripts from component content
+  // Remove styles and scripts from component content; data blocks (JSON, templates) stay
   processedContent = processedContent.replace(styleRegex, '');
-  processedContent = processedContent.replace(scriptRegex, '');
+  processedContent = processedContent.replace(scriptRegex, match => {
+    const script = parseComponentScript(match, componentPath);
+    if (!script) {
+      return match;
+    }
+    scripts.push(script);
+    return '';
+  });
+  
+  // Scoped styles only match the component's own elements, marked by a per-component attribute
+  if (styles.some(style => config.scopedStyles || isScopedStyle(style))) {
+    const attribute = getScopeAttribute(componentPath, actualSourceRoot);
+    styles = styles.map(style => config.scopedStyles || isScopedStyle(style) ? scopeStyleElement(style, attribute) : style);
+    processedContent = stampElements(processedContent, attribute);
+  }
+  
+  // Expand nested components; their styles and scripts are hoisted with this one's
+  const nested = await expandIncludes(
+    processedContent,
+    sourceRoot,
+    config,
+    componentSources,
+    [...ancestors, { filePath: componentPath, content: componentContent, src }]
+  );
   
   return {
-    content: processedContent,
-    styles,
-    scripts
+    content: nested.content,
+    styles: [...styles, ...nested.styles],
+    scripts: [...scripts, ...nested.scripts]
   };
 }
 
+/**
+ * Remove a component's `<script type="application/json" data-props>` declaration
+ * @param {string} content - Component source
+ * @param {string} componentPath - Absolute component path (for errors)
+ * @returns {{declaration: Object|null, content: string}} Parsed declaration (null if the
+ *   component declares no props) and the component source without it
+ * @throws {ComponentError} When the declaration is not a JSON object
+ */
+function extractPropsDeclaration(content, componentPath) {
+  const [script] = findElements(content, 'script[data-props]');
+  if (!script) {
+    return { declaration: null, content };
+  }
+  
+  let declaration;
+  try {
+    declaration = JSON.parse(content.slice(script.innerStart, script.innerEnd));
+  } catch (error) {
+    throw new ComponentError(`Invalid props declaration in component ${componentPath}: ${error.message}`, componentPath);
+  }
+  
+  if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) {
+    throw new ComponentError(`Props declaration in component ${componentPath} must be a JSON object`, componentPath);
+  }
+  
+  // Drop the line the declaration sat on along with it
+  const trailing = content.slice(script.end).match(/^[ \t]*\r?\n/);
+  return {
+    declaration,
+    content: applyEdits(content, [{ start: script.start, end: script.end + (trailing ? trailing[0].length : 0), text: '' }])
+  };
+}
+
+/**
+ * Resolve the props of a component instance from its include's data-* attributes.
+ * Each declared prop is either a default value or a spec object
+ * `{ "type": "string"|"number"|"boolean", "default": value, "required": true }`.
+ * Components without a declaration accept every attribute as a string prop.
+ * @param {Object|null} declaration - Props declaration of the component
+ * @param {Object<string, string>} dataAttrs - data-* attributes of the include, prefix stripped
+ * @param {string} componentPath - Absolute component path (for errors)
+ * @param {string|null} [pagePath=null] - Page being built (for errors)
+ * @returns {Object<string, string|number|boolean>} Prop values
+ * @throws {MissingPropError} When a required prop is not passed
+ * @throws {ComponentError} When a value doesn't match the declared type
+ */
+function resolveProps(declaration, dataAttrs, componentPath, pagePath = null) {
+  if (!declaration) {
+    return { ...dataAttrs };
+  }
+  
+  const props = {};
+  for (const [name, definition] of Object.entries(declaration)) {
+    const spec = definition !== null && typeof definition === 'object' ? definition : { default: definition };
+    const type = spec.type || (spec.default === undefined ? 'string' : typeof spec.default);
+    
+    if (!PROP_TYPES.includes(type)) {
+      throw new ComponentError(`Prop "${name}" of component ${componentPath} has unknown type "${type}" (expected ${PROP_TYPES.join(', ')})`, componentPath, pagePath);
+    }
+    
+    if (Object.hasOwn(dataAttrs, name)) {
+      props[name] = coercePropValue(dataAttrs[name], type, name, componentPath, pagePath);
+    } else if (spec.required) {
+      throw new MissingPropError(name, componentPath, pagePath);
+    } else if (spec.default !== undefined) {
+      props[name] = spec.default;
+    }
+  }
+  
+  for (const name of Object.keys(dataAttrs)) {
+    if (!Object.hasOwn(declaration, name)) {
+      logger.warn(`Unknown prop "${name}" passed to component ${componentPath}`);
+    }
+  }
+  
+  return props;
+}
+
+/**
+ * Convert an attribute value to a prop type
+ * @param {string} value - Attribute value
+ * @param {string} type - One of PROP_TYPES
+ * @param {string} name - Prop name (for errors)
+ * @param {string} componentPath - Absolute component path (for errors)
+ * @param {string|null} [pagePath=null] - Page being built (for errors)
+ * @returns {string|number|boolean} Typed value
+ * @throws {ComponentError} When the value can't be converted
+ */
+function coercePropValue(value, type, name, componentPath, pagePath = null) {
+  if (type === 'number') {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) {
+      throw new ComponentError(`Prop "${name}" of component ${componentPath} expects a number but got "${value}"`, componentPath, pagePath);
+    }
+    return number;
+  }
+  
+  if (type === 'boolean') {
+    // Like HTML boolean attributes, presence means true
+    if (value === '' || value === 'true' || value === name) return true;
+    if (value === 'false') return false;
+    throw new ComponentError(`Prop "${name}" of component ${componentPath} expects a boolean but got "${value}"`, componentPath, pagePath);
+  }
+  
+  return value;
+}
+
+/**
+ * Fill a component's bindings with prop values: `data-token="name"` replaces an element's
+ * content and `data-token-<attr>="name"` sets the `<attr>` attribute (boolean props add or
+ * remove it). Bindings to props without a value keep the component's placeholder. Dotted
+ * names (`person.name`) read fields of object values, such as `data-each` items.
+ * @param {string} content - Component source
+ * @param {Object<string, *>} props - Prop values
+ * @returns {string} Component source with the props applied
+ */
+function bindProps(content, props) {
+  const edits = [];
+  let replacedEnd = -1;
+  
+  for (const target of findElements(content, '*')) {
+    if (target.start < replacedEnd) continue;
+    
+    const { element, attributes } = target;
+    for (const attribute of element.attributes) {
+      if (!attribute.name.startsWith('data-token-') || !attributes[attribute.name]) continue;
+      
+      const name = attribute.name.slice('data-token-'.length);
+      const value = lookupValue(props, attribute.value);
+      const existing = attributes[name];
+      
+      // The binding attribute becomes the real attribute; a placeholder attribute is dropped
+      if (existing && value !== undefined) {
+        edits.push({ ...expandToLeadingSpace(content, existing), text: '' });
+      }
+      
+      if (value === undefined || value === false) {
+        edits.push({ ...expandToLeadingSpace(content, attributes[attribute.name]), text: '' });
+      } else {
+        const text = value === true ? name : `${name}="${escapeHtml(String(value))}"`;
+        edits.push({ ...attributes[attribute.name], text });
+      }
+    }
+    
+    const token = element.getAttribute('data-token');
+    const text = token === null ? undefined : lookupValue(props, token);
+    if (target.innerStart !== undefined && text !== undefined) {
+      edits.push({ start: target.innerStart, end: target.innerEnd, text: escapeText(text) });
+      replacedEnd = target.end;
+    }
+  }
+  
+  return applyEdits(content, edits);
+}
+
+/**
+ * Escape a prop value for use as element text (`>` and quotes are literal there)
+ * @param {string|number|boolean} value - Prop value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+/**
+ * Extend an attribute range over the whitespace before it, so removing it leaves no gap
+ * @param {string} content - HTML source
+ * @param {{start: number, end: number}} range - Attribute range
+ * @returns {{start: number, end: number}} Extended range
+ */
+function expandToLeadingSpace(content, range) {
+  let start = range.start;
+  while (start > 0 && /\s/.test(content[start - 1])) {
+    start--;
+  }
+  return { start, end: range.end };
+}
+
+/**
+ * Parse a component `<script>` element for hoisting
+ * @param {string} html - Script element source
+ * @param {string} componentPath - Absolute component path (for errors)
+ * @returns {{html: string, key: string, placement: string, src: string|null, code: string, bundleable: boolean}|null}
+ *   Script element without its data-placement attribute, its dedupe key (`src` or a hash of the
+ *   code), placement and inline code; null for data blocks
+ * @throws {ComponentError} When data-placement is not head or body
+ */
+function parseComponentScript(html, componentPath) {
+  const [script] = findElements(html, 'script');
+  const { element, attributes } = script;
+  const type = (element.getAttribute('type') || '').trim().toLowerCase();
+  
+  if (!JAVASCRIPT_TYPES.includes(type)) {
+    return null;
+  }
+  
+  const placement = element.getAttribute('data-placement') || 'body';
+  if (!SCRIPT_PLACEMENTS.includes(placement)) {
+    throw new ComponentError(`Script placement "${placement}" in component ${componentPath} must be one of ${SCRIPT_PLACEMENTS.join(', ')}`, componentPath);
+  }
+  
+  const src = element.getAttribute('src');
+  const code = script.innerStart === undefined ? '' : html.slice(script.innerStart, script.innerEnd);
+  const isModule = type === 'module';
+  
+  return {
+    html: attributes['data-placement'] ? applyEdits(html, [{ ...expandToLeadingSpace(html, attributes['data-placement']), text: '' }]) : html,
+    key: src !== null ? `src:${src}` : `${isModule ? 'module' : 'script'}:${hashContent(code.trim())}`,
+    placement,
+    src,
+    code,
+    // Modules can't be concatenated, and head scripts have to run before the page is parsed
+    bundleable: src === null && !isModule && placement === 'body'
+  };
+}
+
+/**
+ * Hash text for deduplication and file names
+ * @param {string} content - Text to hash
+ * @returns {string} First 8 hex digits of its SHA-256
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+}
+
+/**
+ * Collect the inline scripts of every component into one bundle.
+ * Components are read from `componentsDir` (in path order), so the bundle and its hashed
+ * file name only change when component scripts do.
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - DOM processor configuration (componentsDir)
+ * @returns {Promise<{fileName: string, src: string, content: string, keys: Set<string>}|null>}
+ *   Bundle with the dedupe keys of the scripts it replaces, or null if no component has inline scripts
+ * @throws {ComponentError} When a component script has an invalid placement
+ */
+export async function createScriptBundle(sourceRoot, config = {}) {
+  const componentsRoot = path.join(sourceRoot, config.componentsDir || 'components');
+  const keys = new Set();
+  const parts = [];
+  
+  for (const componentPath of await expandGlob(path.join(componentsRoot, '**', '*.html'))) {
+    const content = await fs.readFile(componentPath, 'utf-8');
+    
+    for (const [html] of content.matchAll(/<script[^>]*>[\s\S]*?<\/script>/gi)) {
+      const script = parseComponentScript(html, componentPath);
+      if (script && script.bundleable && !keys.has(script.key)) {
+        keys.add(script.key);
+        parts.push(`/* ${path.relative(sourceRoot, componentPath).split(path.sep).join('/')} */\n${script.code.trim()}\n`);
+      }
+    }
+  }
+  
+  if (parts.length === 0) {
+    return null;
+  }
+  
+  const content = parts.join('\n');
+  const fileName = `components.${hashContent(content)}.js`;
+  return { fileName, src: `/${fileName}`, content, keys };
+}
+
+/**
+ * Check whether a `<style>` element has the `scoped` attribute
+ * @param {string} style - Style element source
+ * @returns {boolean} True for `<style scoped>`
+ */
+function isScopedStyle(style) {
+  return SCOPED_ATTRIBUTE.test(style.slice(0, style.indexOf('>')));
+}
+
+/**
+ * Scope the stylesheet of a `<style>` element, dropping its `scoped` attribute
+ * @param {string} style - Style element source
+ * @param {string} attribute - Scope attribute name
+ * @returns {string} Style element with scoped selectors
+ */
+function scopeStyleElement(style, attribute) {
+  const openEnd = style.indexOf('>') + 1;
+  const closeStart = style.toLowerCase().lastIndexOf('</style');
+  const openTag = style.slice(0, openEnd).replace(SCOPED_ATTRIBUTE, '');
+  
+  return openTag + scopeCSS(style.slice(openEnd, closeStart), attribute) + style.slice(closeStart);
+}
+
+/**
+ * Add the scope attribute to every element a component renders, including the content
+ * it passes into nested components
+ * @param {string} content - Component HTML without styles and scripts
+ * @param {string} attribute - Scope attribute name
+ * @returns {string} Component HTML with its elements marked
+ */
+function stampElements(content, attribute) {
+  // Template contents accept any fragment, such as table rows, without moving it
+  const wrapper = '<template>';
+  const { document, locate } = parseHTML(wrapper + content + '</template>');
+  const roots = [document.querySelector('template').content];
+  const edits = [];
+  
+  while (roots.length > 0) {
+    for (const element of roots.shift().querySelectorAll('*')) {
+      if (element.localName === 'template') {
+        roots.push(element.content);
+      }
+      
+      const location = locate(element);
+      
+      // Include tags are replaced by the nested component, which has its own scope
+      if (!location || !location.startTag || element.localName === 'include') continue;
+      
+      const nameEnd = location.startTag.startOffset - wrapper.length + 1 + element.tagName.length;
+      if (nameEnd <= content.length) {
+        edits.push({ start: nameEnd, end: nameEnd, text: ` ${attribute}` });
+      }
+    }
+  }
+  
+  return applyEdits(content, edits);
+}
+
 /**
  * Find actual source root by looking for files
  */
@@ -304,7 +1307,8 @@ export function shouldUseDOMMode(content) {
          content.includes('<slot') || 
          content.includes('data-slot=') ||
          content.includes('data-layout=') ||
-         content.includes('data-token=');
+         content.includes('data-token=') ||
+         content.includes('data-each=');
 }
 
 /**
@@ -314,28 +1318,20 @@ export function getDOMConfig(args = {}) {
   return {
     layoutsDir: args.layoutsDir || 'layouts',
     componentsDir: args.componentsDir || 'components',
-    defaultLayout: args.defaultLayout || 'default.html'
+    defaultLayout: args.defaultLayout || 'default.html',
+    maxIncludeDepth: args.maxIncludeDepth,
+    scopedStyles: args.scopedStyles === true,
+    scriptBundle: args.scriptBundle || null,
+    dataDir: args.dataDir || '_data'
   };
 }
 
 /**
- * Clean up DOM output by removing stray tags and artifacts
+ * Clean up DOM output artifacts
  */
 function cleanupDOMOutput(html) {
   let result = html;
   
-  // Remove stray closing include tags
-  result = result.replace(/<\/include>/gi, '');
-  
-  // Remove stray closing slot tags
-  result = result.replace(/<\/slot>/gi, '');
-  
-  // Remove any remaining self-closing include tags that weren't processed
-  result = result.replace(/<include[^>]*\/>/gi, '');
-  
-  // Remove any remaining opening include tags that weren't processed
-  result = result.replace(/<include[^>]*>/gi, '');
-  
   // Clean up multiple consecutive empty lines
   result = result.replace(/\n\s*\n\s*\n/g, '\n\n');
   
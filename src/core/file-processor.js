@@ -11,14 +11,17 @@ import { DependencyTracker } from './dependency-tracker.js';
 import { AssetTracker } from './asset-tracker.js';
 import { 
   processMarkdown, 
+  readMarkdownMetadata,
   isMarkdownFile, 
   wrapInLayout, 
   generateTableOfContents, 
-  addAnchorLinks 
+  addAnchorLinks,
+  applyMarkdownConfig
 } from './markdown-processor.js';
 import { 
   isHtmlFile, 
   isPartialFile, 
+  isPathWithinDirectory,
   getOutputPath, 
   getFileExtension 
 } from '../utils/path-resolver.js';
@@ -31,9 +34,15 @@ import {
 import { 
   processDOMMode, 
   shouldUseDOMMode, 
-  getDOMConfig 
+  getDOMConfig,
+  createScriptBundle,
+  SCRIPT_BUNDLE_PATTERN
 } from './dom-processor.js';
-import { FileSystemError, BuildError } from '../utils/errors.js';
+import { createSiteData, loadSiteData } from './data-loader.js';
+import { createCollectionEntry, createCollections, createCollectionsData, createPageData } from './collections.js';
+import { mergeConfig } from './config-loader.js';
+import { PluginManager, normalizeOutputPath } from './plugin-manager.js';
+import { FileSystemError, BuildError, PathTraversalError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -41,19 +50,6 @@ import { logger } from '../utils/logger.js';
  */
 const fileModificationCache = new Map();
 
-/**
- * Build configuration options
- */
-const DEFAULT_OPTIONS = {
-  source: 'src',
-  output: 'dist',
-  includes: 'includes',
-  head: null,
-  clean: true,
-  prettyUrls: false,
-  baseUrl: 'https://example.com'
-};
-
 /**
  * Build the complete static site from source files with include processing and head injection.
  * Processes HTML files through the include engine, injects global head content, copies static assets,
@@ -65,6 +61,11 @@ const DEFAULT_OPTIONS = {
  * @param {string} [options.includes='includes'] - Include directory name
  * @param {string} [options.head=null] - Custom head file path (overrides convention)
  * @param {boolean} [options.clean=true] - Whether to clean output directory before build
+ * @param {Object} [options.markdown] - markdown-it options and plugins
+ * @param {Object} [options.sitemap] - Sitemap settings (`enabled`, `changefreq`, `priority`)
+ * @param {Array} [options.plugins] - Plugins with build lifecycle hooks
+ * @param {PluginManager|null} [pluginManager=null] - Plugins already loaded from `options.plugins`
+ *   (watch mode loads them once per session); loaded for this build when omitted
  * @returns {Promise<Object>} Build results with statistics and dependency tracker
  * @returns {number} returns.processed - Number of HTML pages processed
  * @returns {number} returns.copied - Number of static assets copied
@@ -86,16 +87,22 @@ const DEFAULT_OPTIONS = {
  *   head: 'common/global-head.html'
  * });
  */
-export async function build(options = {}) {
-  const config = { ...DEFAULT_OPTIONS, ...options };
+export async function build(options = {}, pluginManager = null) {
+  const config = mergeConfig(options);
   const startTime = Date.now();
   
   logger.info(`Building site from ${config.source} to ${config.output}`);
   
   try {
+    // Load plugins and let them adjust the resolved configuration
+    const plugins = pluginManager || await PluginManager.create(config.plugins);
+    await plugins.callHook('configResolved', config);
+    applyMarkdownConfig(config.markdown);
+    
     // Resolve paths
     const sourceRoot = path.resolve(config.source);
     const outputRoot = path.resolve(config.output);
+    plugins.setBaseContext({ config, sourceRoot, outputRoot });
     
     // Validate source directory exists
     try {
@@ -121,17 +128,23 @@ export async function build(options = {}) {
     // Initialize dependency and asset trackers
     const dependencyTracker = new DependencyTracker();
     const assetTracker = new AssetTracker();
+    dependencyTracker.setCollectionFilter(filePath => isCollectionPage(filePath, sourceRoot, config));
+    
+    // Inline component scripts can be served from one cacheable file instead
+    const scriptBundle = await writeScriptBundle(sourceRoot, outputRoot, config);
     
     // Scan source directory
     const sourceFiles = await scanDirectory(sourceRoot);
     logger.info(`Found ${sourceFiles.length} source files`);
     
+    // Data files and markdown collections are loaded once and shared by every page
+    const siteData = await loadSiteData(path.join(sourceRoot, config.dataDir));
+    const collections = await loadCollections(sourceFiles, sourceRoot, outputRoot, config);
+    const pageConfig = { ...config, scriptBundle, siteData, collections };
+    
     // Categorize files
-    const contentFiles = sourceFiles.filter(file => 
-      (isHtmlFile(file) && !isPartialFile(file, config.includes)) || isMarkdownFile(file)
-    );
     const assetFiles = sourceFiles.filter(file => 
-      !isHtmlFile(file) && !isMarkdownFile(file)
+      !isHtmlFile(file) && !isMarkdownFile(file) && !plugins.getFileHandler(file)
     );
     
     const results = {
@@ -145,16 +158,10 @@ export async function build(options = {}) {
     const processedFiles = [];
     const frontmatterData = new Map();
     
-    // Load layout file for markdown (if it exists)
-    const layoutFile = await findLayoutFile(sourceRoot);
-    let layoutContent = null;
-    if (layoutFile) {
-      try {
-        layoutContent = await fs.readFile(layoutFile, 'utf-8');
-        logger.debug(`Using layout file: ${path.relative(sourceRoot, layoutFile)}`);
-      } catch (error) {
-        logger.warn(`Could not read layout file ${layoutFile}: ${error.message}`);
-      }
+    // Markdown layouts are read once per build
+    const layouts = await createLayoutCache(sourceRoot);
+    if (layouts.defaultPath) {
+      logger.debug(`Using layout file: ${path.relative(sourceRoot, layouts.defaultPath)}`);
     }
     
     // Process content files (HTML and Markdown) first to discover asset dependencies
@@ -163,7 +170,7 @@ export async function build(options = {}) {
         const relativePath = path.relative(sourceRoot, filePath);
         
         if (isHtmlFile(filePath)) {
-          if (isPartialFile(filePath, config.includes)) {
+          if (isPartial(filePath, sourceRoot, config)) {
             // Skip partial files in output
             logger.debug(`Skipping partial file: ${relativePath}`);
             results.skipped++;
@@ -176,12 +183,17 @@ export async function build(options = {}) {
               headSnippet,
               dependencyTracker,
               assetTracker,
-              config
+              pageConfig,
+              plugins
             );
             processedFiles.push(filePath);
             results.processed++;
             logger.debug(`Processed HTML: ${relativePath}`);
           }
+        } else if (isMarkdownFile(filePath) && isPartial(filePath, sourceRoot, config)) {
+          // Markdown partials are only rendered where they are included
+          logger.debug(`Skipping partial file: ${relativePath}`);
+          results.skipped++;
         } else if (isMarkdownFile(filePath)) {
           // Process Markdown file and capture frontmatter
           const frontmatter = await processMarkdownFile(
@@ -189,9 +201,11 @@ export async function build(options = {}) {
             sourceRoot,
             outputRoot,
             headSnippet,
-            layoutContent,
+            layouts,
+            dependencyTracker,
             assetTracker,
-            config.prettyUrls
+            pageConfig,
+            plugins
           );
           processedFiles.push(filePath);
           if (frontmatter) {
@@ -199,14 +213,24 @@ export async function build(options = {}) {
           }
           results.processed++;
           logger.debug(`Processed Markdown: ${relativePath}`);
+        } else if (plugins.getFileHandler(filePath)) {
+          // Process file type registered by a plugin
+          await processPluginFile(filePath, sourceRoot, outputRoot, headSnippet, assetTracker, plugins);
+          results.processed++;
+          logger.debug(`Processed plugin file: ${relativePath}`);
         }
       } catch (error) {
         logger.error(`Error processing ${filePath}: ${error.message}`);
+        if (error.codeFrame) {
+          logger.error(`\n${error.codeFrame}`);
+        }
         results.errors.push({ file: filePath, error: error.message });
       }
     }
     
     // Second pass: Copy only referenced assets
+    await plugins.callHook('beforeAssetCopy', assetFiles);
+    
     for (const filePath of assetFiles) {
       try {
         const relativePath = path.relative(sourceRoot, filePath);
@@ -226,16 +250,23 @@ export async function build(options = {}) {
     }
     
     // Generate sitemap.xml
-    try {
-      const pageInfo = extractPageInfo(processedFiles, sourceRoot, outputRoot, config.prettyUrls);
-      const enhancedPageInfo = enhanceWithFrontmatter(pageInfo, frontmatterData);
-      const sitemapContent = generateSitemap(enhancedPageInfo, config.baseUrl);
-      await writeSitemap(sitemapContent, outputRoot);
-    } catch (error) {
-      logger.error(`Error generating sitemap: ${error.message}`);
-      results.errors.push({ file: 'sitemap.xml', error: error.message });
+    if (config.sitemap.enabled) {
+      try {
+        const pageInfo = extractPageInfo(processedFiles, sourceRoot, outputRoot, config.prettyUrls, config.sitemap);
+        const enhancedPageInfo = enhanceWithFrontmatter(pageInfo, frontmatterData);
+        const sitemapContent = generateSitemap(enhancedPageInfo, config.baseUrl);
+        await writeSitemap(sitemapContent, outputRoot);
+        await plugins.callHook('afterSitemap', sitemapContent);
+      } catch (error) {
+        logger.error(`Error generating sitemap: ${error.message}`);
+        results.errors.push({ file: 'sitemap.xml', error: error.message });
+      }
     }
     
+    // Let plugins finish up, then write any files they emitted
+    await plugins.callHook('buildEnd', results);
+    results.emitted = await plugins.writeEmittedFiles(outputRoot);
+    
     // Build summary
     const duration = Date.now() - startTime;
     logger.success(`Build completed in ${duration}ms`);
@@ -264,27 +295,51 @@ export async function build(options = {}) {
  * @param {Object} options - Build configuration options
  * @param {string} changedFile - Specific file that changed (optional)
  * @param {DependencyTracker} dependencyTracker - Existing dependency tracker
+ * @param {AssetTracker} assetTracker - Existing asset tracker
+ * @param {PluginManager|null} [pluginManager=null] - Plugins already loaded from `options.plugins`;
+ *   loaded for this rebuild when omitted
  * @returns {Promise<Object>} Build results
  */
-export async function incrementalBuild(options = {}, changedFile = null, dependencyTracker = null, assetTracker = null) {
-  const config = { ...DEFAULT_OPTIONS, ...options };
+export async function incrementalBuild(options = {}, changedFile = null, dependencyTracker = null, assetTracker = null, pluginManager = null) {
+  const config = mergeConfig(options);
   const startTime = Date.now();
   
   logger.info(`Starting incremental build...`);
   
   try {
+    // Plugins see the same hooks as in a full build
+    const plugins = pluginManager || await PluginManager.create(config.plugins);
+    await plugins.callHook('configResolved', config);
+    applyMarkdownConfig(config.markdown);
+    
     const sourceRoot = path.resolve(config.source);
     const outputRoot = path.resolve(config.output);
+    plugins.setBaseContext({ config, sourceRoot, outputRoot });
     
     // Initialize or reuse trackers
     const tracker = dependencyTracker || new DependencyTracker();
     const assets = assetTracker || new AssetTracker();
+    tracker.setCollectionFilter(filePath => isCollectionPage(filePath, sourceRoot, config));
     
     // Load head snippet
     const headSnippet = await getHeadSnippet(sourceRoot, config.includes, config.head);
     
     // Determine what files need rebuilding
-    const filesToRebuild = await getFilesToRebuild(sourceRoot, changedFile, tracker);
+    const sourceFiles = await scanDirectory(sourceRoot);
+    const filesToRebuild = await getFilesToRebuild(sourceRoot, sourceFiles, changedFile, tracker, config);
+    
+    const scriptBundle = await writeScriptBundle(sourceRoot, outputRoot, config);
+    const siteData = await loadSiteData(path.join(sourceRoot, config.dataDir));
+    const collections = await loadCollections(sourceFiles, sourceRoot, outputRoot, config);
+    const pageConfig = { ...config, scriptBundle, siteData, collections };
+    if (scriptBundle && scriptBundle.isNew) {
+      // Component scripts changed, and every page still points at the previous bundle
+      for (const filePath of sourceFiles) {
+        if (isHtmlFile(filePath) && !filesToRebuild.includes(filePath)) {
+          filesToRebuild.push(filePath);
+        }
+      }
+    }
     
     const results = {
       processed: 0,
@@ -293,6 +348,8 @@ export async function incrementalBuild(options = {}, changedFile = null, depende
       errors: []
     };
     
+    const layouts = await createLayoutCache(sourceRoot);
+    
     if (filesToRebuild.length === 0) {
       logger.info('No files need rebuilding');
       return { ...results, duration: Date.now() - startTime, dependencyTracker: tracker };
@@ -300,31 +357,32 @@ export async function incrementalBuild(options = {}, changedFile = null, depende
     
     logger.info(`Rebuilding ${filesToRebuild.length} file(s)...`);
     
+    const assetFiles = filesToRebuild.filter(file => 
+      !isHtmlFile(file) && !isMarkdownFile(file) && !plugins.getFileHandler(file)
+    );
+    await plugins.callHook('beforeAssetCopy', assetFiles);
+    
     for (const filePath of filesToRebuild) {
       try {
         const relativePath = path.relative(sourceRoot, filePath);
         
         if (isHtmlFile(filePath)) {
-          if (!isPartialFile(filePath, config.includes)) {
-            await processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, tracker, assets, config);
+          if (!isPartial(filePath, sourceRoot, config)) {
+            await processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, tracker, assets, pageConfig, plugins);
             results.processed++;
             logger.debug(`Rebuilt HTML: ${relativePath}`);
           }
+        } else if (isMarkdownFile(filePath) && isPartial(filePath, sourceRoot, config)) {
+          // Markdown partials are rebuilt through the pages that include them
+          logger.debug(`Skipped markdown partial: ${relativePath}`);
         } else if (isMarkdownFile(filePath)) {
-          // Load layout for markdown processing
-          const layoutFile = await findLayoutFile(sourceRoot);
-          let layoutContent = null;
-          if (layoutFile) {
-            try {
-              layoutContent = await fs.readFile(layoutFile, 'utf-8');
-            } catch (error) {
-              logger.warn(`Could not read layout file ${layoutFile}: ${error.message}`);
-            }
-          }
-          
-          await processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet, layoutContent, assets, config.prettyUrls);
+          await processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet, layouts, tracker, assets, pageConfig, plugins);
           results.processed++;
           logger.debug(`Rebuilt Markdown: ${relativePath}`);
+        } else if (plugins.getFileHandler(filePath)) {
+          await processPluginFile(filePath, sourceRoot, outputRoot, headSnippet, assets, plugins);
+          results.processed++;
+          logger.debug(`Rebuilt plugin file: ${relativePath}`);
         } else {
           // For assets, only copy if referenced (or during initial build)
           if (assets.isAssetReferenced(filePath) || !assetTracker) {
@@ -343,10 +401,16 @@ export async function incrementalBuild(options = {}, changedFile = null, depende
         
       } catch (error) {
         logger.error(`Error processing ${filePath}: ${error.message}`);
+        if (error.codeFrame) {
+          logger.error(`\n${error.codeFrame}`);
+        }
         results.errors.push({ file: filePath, error: error.message });
       }
     }
     
+    await plugins.callHook('buildEnd', results);
+    results.emitted = await plugins.writeEmittedFiles(outputRoot);
+    
     const duration = Date.now() - startTime;
     logger.success(`Incremental build completed in ${duration}ms`);
     logger.info(`Rebuilt: ${results.processed} pages, ${results.copied} assets`);
@@ -372,40 +436,44 @@ export async function incrementalBuild(options = {}, changedFile = null, depende
 /**
  * Get list of files that need rebuilding based on changes
  * @param {string} sourceRoot - Source root directory
+ * @param {string[]} sourceFiles - All source files, checked for changes when no file is given
  * @param {string|null} changedFile - Specific file that changed
  * @param {DependencyTracker} dependencyTracker - Dependency tracker
+ * @param {Object} [config={}] - Build configuration (includes, layoutsDir, componentsDir)
  * @returns {Promise<string[]>} Array of file paths to rebuild
  */
-async function getFilesToRebuild(sourceRoot, changedFile, dependencyTracker) {
+async function getFilesToRebuild(sourceRoot, sourceFiles, changedFile, dependencyTracker, config = {}) {
   const filesToRebuild = new Set();
   
   if (changedFile) {
     // Specific file changed - determine impact
     const resolvedChangedFile = path.resolve(changedFile);
+    const relativePath = path.relative(sourceRoot, resolvedChangedFile);
     
-    if (isHtmlFile(resolvedChangedFile)) {
-      if (isPartialFile(resolvedChangedFile)) {
-        // Partial file changed - rebuild all pages that depend on it
-        const dependentPages = dependencyTracker.getDependentPages(resolvedChangedFile);
-        dependentPages.forEach(page => filesToRebuild.add(page));
-        logger.debug(`Partial ${path.relative(sourceRoot, resolvedChangedFile)} changed, rebuilding ${dependentPages.length} dependent pages`);
-      } else {
-        // Main page changed - rebuild just this page
-        filesToRebuild.add(resolvedChangedFile);
-        logger.debug(`Page ${path.relative(sourceRoot, resolvedChangedFile)} changed`);
-      }
+    // Pages including the file directly, through nested includes or through a matching glob.
+    // Glob matches also cover files that were just added or removed.
+    const dependentPages = dependencyTracker.getDependentPages(resolvedChangedFile);
+    dependentPages.forEach(page => filesToRebuild.add(page));
+    
+    if (!(await fileExists(resolvedChangedFile))) {
+      // Deleted file - forget it and rebuild only the pages that used it
+      dependencyTracker.removeFile(resolvedChangedFile);
+      fileModificationCache.delete(resolvedChangedFile);
+      logger.debug(`${relativePath} was removed, rebuilding ${dependentPages.length} dependent pages`);
+    } else if ((isHtmlFile(resolvedChangedFile) || isMarkdownFile(resolvedChangedFile)) && isPartial(resolvedChangedFile, sourceRoot, config)) {
+      // Partial, layout or component changed - rebuild all pages that depend on it
+      logger.debug(`Partial ${relativePath} changed, rebuilding ${dependentPages.length} dependent pages`);
     } else {
-      // Asset changed - copy just this asset
+      // Main page or asset changed - rebuild it along with any pages including it
       filesToRebuild.add(resolvedChangedFile);
-      logger.debug(`Asset ${path.relative(sourceRoot, resolvedChangedFile)} changed`);
+      logger.debug(`${relativePath} changed, rebuilding it and ${dependentPages.length} dependent pages`);
     }
   } else {
     // No specific file - check all files for changes
-    const allFiles = await scanDirectory(sourceRoot);
-    
-    for (const filePath of allFiles) {
+    for (const filePath of sourceFiles) {
       if (await hasFileChanged(filePath)) {
         filesToRebuild.add(filePath);
+        dependencyTracker.getDependentPages(filePath).forEach(page => filesToRebuild.add(page));
       }
     }
   }
@@ -413,6 +481,106 @@ async function getFilesToRebuild(sourceRoot, changedFile, dependencyTracker) {
   return Array.from(filesToRebuild);
 }
 
+/**
+ * Write the bundle of inline component scripts when `bundleComponentScripts` is enabled,
+ * removing bundles left in the output by earlier builds
+ * @param {string} sourceRoot - Source root directory
+ * @param {string} outputRoot - Output root directory
+ * @param {Object} config - Build configuration
+ * @returns {Promise<Object|null>} Bundle from createScriptBundle() with `isNew` set when its
+ *   file was not in the output yet, or null when bundling is off or there are no scripts
+ */
+async function writeScriptBundle(sourceRoot, outputRoot, config) {
+  if (!config.bundleComponentScripts) {
+    return null;
+  }
+  
+  const bundle = await createScriptBundle(sourceRoot, getDOMConfig(config));
+  await removeStaleScriptBundles(outputRoot, bundle ? bundle.fileName : null);
+  if (!bundle) {
+    return null;
+  }
+  
+  const bundlePath = path.join(outputRoot, bundle.fileName);
+  bundle.isNew = !(await fileExists(bundlePath));
+  
+  if (bundle.isNew) {
+    await ensureDirectoryExists(outputRoot);
+    try {
+      await fs.writeFile(bundlePath, bundle.content, 'utf-8');
+    } catch (error) {
+      throw new FileSystemError('write', bundlePath, error);
+    }
+    logger.info(`Bundled component scripts into ${bundle.fileName}`);
+  }
+  
+  return bundle;
+}
+
+/**
+ * Delete the component script bundles in the output root other than the current one
+ * @param {string} outputRoot - Output root directory
+ * @param {string|null} currentFileName - File name of the current bundle, if any
+ */
+async function removeStaleScriptBundles(outputRoot, currentFileName) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(outputRoot);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw new FileSystemError('readdir', outputRoot, error);
+  }
+  
+  for (const fileName of fileNames) {
+    if (fileName !== currentFileName && SCRIPT_BUNDLE_PATTERN.test(fileName)) {
+      await fs.rm(path.join(outputRoot, fileName), { force: true });
+      logger.debug(`Removed stale script bundle ${fileName}`);
+    }
+  }
+}
+
+/**
+ * Check whether a file is only built as part of other pages: an SSI partial, or a file in
+ * the DOM-mode layouts or components directory
+ * @param {string} filePath - Path to the file
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - Build configuration (includes, layoutsDir, componentsDir)
+ * @returns {boolean} True if the file is not a page of its own
+ */
+function isPartial(filePath, sourceRoot, config) {
+  const { includes = 'includes', layoutsDir = 'layouts', componentsDir = 'components' } = config;
+  
+  return isPartialFile(filePath, includes) ||
+    [layoutsDir, componentsDir].some(directory => isPathWithinDirectory(filePath, path.join(sourceRoot, directory)));
+}
+
+/**
+ * Check whether a file is a markdown page, which can belong to collections
+ * @param {string} filePath - File path to check
+ * @param {string} sourceRoot - Source root directory
+ * @param {Object} config - Build configuration (includes, layoutsDir, componentsDir)
+ * @returns {boolean} True for markdown files that are not partials
+ */
+function isCollectionPage(filePath, sourceRoot, config) {
+  return isMarkdownFile(filePath) && !isPartial(filePath, sourceRoot, config);
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath - File path to check
+ * @returns {Promise<boolean>} True if the file exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Check if a file has changed since last build
  * @param {string} filePath - File path to check
@@ -485,20 +653,85 @@ function getOutputPathWithPrettyUrls(filePath, sourceRoot, outputRoot, prettyUrl
 }
 
 /**
- * Find layout file for markdown processing
+ * Get the URL of an output file, as linked from other pages
+ * @param {string} outputPath - Output file path
+ * @param {string} outputRoot - Output root directory
+ * @returns {string} Root-relative URL; `index.html` is dropped, e.g. `/blog/post/`
+ */
+function getPageUrl(outputPath, outputRoot) {
+  const url = '/' + path.relative(outputRoot, outputPath).split(path.sep).join('/');
+  return url.endsWith('/index.html') ? url.slice(0, -'index.html'.length) : url;
+}
+
+/**
+ * Create the `site` object of one page. The data files it reads are added to `dataFiles`,
+ * and so are the extensionless paths of names it looks up that have no file yet
+ * (`_data/newfile`), so adding such a file rebuilds the page.
  * @param {string} sourceRoot - Source root directory
- * @returns {Promise<string|null>} Path to layout file or null if not found
+ * @param {Object} config - Build configuration (dataDir, siteData)
+ * @param {string[]} dataFiles - Receives the page's data dependencies
+ * @returns {Object} Site data
  */
-async function findLayoutFile(sourceRoot) {
-  const possibleLayouts = [
+function createPageSiteData(sourceRoot, config, dataFiles) {
+  return createSiteData(
+    config.siteData || new Map(),
+    dataFile => dataFiles.push(dataFile),
+    name => dataFiles.push(path.join(sourceRoot, config.dataDir, name))
+  );
+}
+
+/**
+ * Group the markdown pages into collections (see collections.js)
+ * @param {string[]} sourceFiles - All source files
+ * @param {string} sourceRoot - Source root directory
+ * @param {string} outputRoot - Output root directory
+ * @param {Object} config - Build configuration (prettyUrls, includes, layoutsDir, componentsDir)
+ * @returns {Promise<Map<string, Object[]>>} Collection name → items
+ */
+async function loadCollections(sourceFiles, sourceRoot, outputRoot, config) {
+  const entries = [];
+  
+  for (const filePath of sourceFiles) {
+    if (!isCollectionPage(filePath, sourceRoot, config)) {
+      continue;
+    }
+    
+    try {
+      // Only the frontmatter, title and excerpt are needed, so the page isn't rendered
+      const metadata = readMarkdownMetadata(await fs.readFile(filePath, 'utf-8'));
+      const url = getPageUrl(getOutputPathWithPrettyUrls(filePath, sourceRoot, outputRoot, config.prettyUrls), outputRoot);
+      entries.push(createCollectionEntry(path.relative(sourceRoot, filePath), url, metadata));
+    } catch (error) {
+      // The page reports its own error when it is built
+      logger.debug(`Leaving ${filePath} out of collections: ${error.message}`);
+    }
+  }
+  
+  return createCollections(entries);
+}
+
+/**
+ * Get the files that can hold the site-wide markdown layout, in order of preference
+ * @param {string} sourceRoot - Source root directory
+ * @returns {string[]} Absolute candidate paths
+ */
+function getLayoutCandidates(sourceRoot) {
+  return [
     path.join(sourceRoot, 'layout.html'),
     path.join(sourceRoot, '_layout.html'),
     path.join(sourceRoot, 'templates', 'layout.html'),
     path.join(sourceRoot, 'layouts', 'default.html'),
     path.join(sourceRoot, 'includes', 'layout.html')
   ];
-  
-  for (const layoutPath of possibleLayouts) {
+}
+
+/**
+ * Find layout file for markdown processing
+ * @param {string} sourceRoot - Source root directory
+ * @returns {Promise<string|null>} Path to layout file or null if not found
+ */
+async function findLayoutFile(sourceRoot) {
+  for (const layoutPath of getLayoutCandidates(sourceRoot)) {
     try {
       await fs.access(layoutPath);
       return layoutPath;
@@ -510,18 +743,83 @@ async function findLayoutFile(sourceRoot) {
   return null;
 }
 
+/**
+ * Create the markdown layout cache of a build
+ * @param {string} sourceRoot - Source root directory
+ * @returns {Promise<{defaultPath: string|null, defaultCandidates: string[], contents: Map<string, Promise<string>>}>}
+ *   Site-wide layout from findLayoutFile(), the candidates looked up to find it (all of them
+ *   when there is none) and the layouts read so far, by path
+ */
+async function createLayoutCache(sourceRoot) {
+  const defaultPath = await findLayoutFile(sourceRoot);
+  const candidates = getLayoutCandidates(sourceRoot);
+  const defaultCandidates = defaultPath ? candidates.slice(0, candidates.indexOf(defaultPath) + 1) : candidates;
+  return { defaultPath, defaultCandidates, contents: new Map() };
+}
+
+/**
+ * Read a markdown layout through the build's layout cache
+ * @param {string} layoutPath - Absolute layout path
+ * @param {Object} layouts - Layout cache from createLayoutCache()
+ * @returns {Promise<string>} Layout content
+ * @throws {FileSystemError} When the layout cannot be read
+ */
+function readLayout(layoutPath, layouts) {
+  if (!layouts.contents.has(layoutPath)) {
+    layouts.contents.set(layoutPath, fs.readFile(layoutPath, 'utf-8').catch(error => {
+      throw new FileSystemError('read', layoutPath, error);
+    }));
+  }
+  return layouts.contents.get(layoutPath);
+}
+
+/**
+ * Pick the layout of a markdown page. `layout: docs` in the frontmatter selects
+ * `<layoutsDir>/docs.html` (a leading `/` resolves from the source root instead),
+ * `layout: false` outputs the page without a layout, and pages without the field use
+ * the site-wide layout.
+ * @param {Object} frontmatter - Page frontmatter
+ * @param {string} sourceRoot - Source root directory
+ * @param {string|null} defaultPath - Site-wide layout from findLayoutFile()
+ * @param {Object} config - Build configuration (layoutsDir)
+ * @returns {string|null|false} Absolute layout path, null for the built-in page structure, or false for no layout
+ * @throws {PathTraversalError} When the layout is outside the source root
+ */
+function resolveMarkdownLayout(frontmatter, sourceRoot, defaultPath, config) {
+  const { layout } = frontmatter;
+  
+  if (layout === false) {
+    return false;
+  }
+  if (typeof layout !== 'string' || !layout.trim()) {
+    return defaultPath;
+  }
+  
+  const name = path.extname(layout) ? layout.trim() : `${layout.trim()}.html`;
+  const layoutPath = name.startsWith('/')
+    ? path.join(sourceRoot, name.substring(1))
+    : path.join(sourceRoot, config.layoutsDir || 'layouts', name);
+  
+  if (!isPathWithinDirectory(layoutPath, sourceRoot)) {
+    throw new PathTraversalError(layout, sourceRoot);
+  }
+  return layoutPath;
+}
+
 /**
  * Process a single Markdown file
  * @param {string} filePath - Path to Markdown file
  * @param {string} sourceRoot - Source root directory
  * @param {string} outputRoot - Output root directory
  * @param {string|null} headSnippet - Head snippet to inject
- * @param {string|null} layoutContent - Layout template content
+ * @param {Object} layouts - Layout cache from createLayoutCache()
+ * @param {DependencyTracker} dependencyTracker - Dependency tracker instance
  * @param {AssetTracker} assetTracker - Asset tracker instance
- * @param {boolean} prettyUrls - Whether to generate pretty URLs
+ * @param {Object} config - Build configuration (prettyUrls, maxIncludeDepth, layoutsDir, siteData, collections)
+ * @param {PluginManager|null} plugins - Plugin manager for content hooks
  * @returns {Promise<Object|null>} Frontmatter data or null
  */
-async function processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet, layoutContent, assetTracker, prettyUrls = false) {
+async function processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet, layouts, dependencyTracker, assetTracker, config = {}, plugins = null) {
   // Read markdown content
   let markdownContent;
   try {
@@ -530,8 +828,22 @@ async function processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet
     throw new FileSystemError('read', filePath, error);
   }
   
+  const outputPath = getOutputPathWithPrettyUrls(filePath, sourceRoot, outputRoot, config.prettyUrls);
+  const hookContext = { filePath, outputPath, type: 'markdown' };
+  
+  if (plugins) {
+    markdownContent = await plugins.transform('beforeFile', markdownContent, hookContext);
+  }
+  
+  // Site data for SSI and layout placeholders, reporting the data files the page reads
+  const dataFiles = [];
+  const site = createPageSiteData(sourceRoot, config, dataFiles);
+  
   // Process includes in markdown content first (before converting to HTML)
-  const processedMarkdown = await processIncludes(markdownContent, filePath, sourceRoot, new Set(), 0, null);
+  const processedMarkdown = await processIncludes(markdownContent, filePath, sourceRoot, new Set(), 0, null, {
+    maxIncludeDepth: config.maxIncludeDepth,
+    site
+  });
   
   // Process markdown to HTML
   const { html, frontmatter, title, excerpt } = processMarkdown(processedMarkdown, filePath);
@@ -542,42 +854,56 @@ async function processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet
   // Generate table of contents
   const tableOfContents = generateTableOfContents(htmlWithAnchors);
   
+  // Recorded before the layout is read, so adding a missing layout rebuilds the page. Pages on
+  // the site-wide (or built-in) layout depend on every candidate looked up, so adding a
+  // preferred layout file rebuilds them too.
+  const layoutPath = resolveMarkdownLayout(frontmatter, sourceRoot, layouts.defaultPath, config);
+  const layoutDependencies = layoutPath === layouts.defaultPath ? layouts.defaultCandidates : [layoutPath];
+  dependencyTracker.recordDependencies(filePath, layoutPath === false ? [] : layoutDependencies);
+  
+  // Collections for the layout, reporting the ones the page reads
+  const collectionNames = [];
+  const onCollectionRead = name => collectionNames.push(name);
+  const entry = createCollectionEntry(path.relative(sourceRoot, filePath), getPageUrl(outputPath, outputRoot), { frontmatter, title, excerpt });
+  
   // Wrap in layout if available
-  const metadata = { frontmatter, title, excerpt, tableOfContents };
+  const metadata = {
+    frontmatter,
+    title,
+    excerpt,
+    tableOfContents,
+    page: createPageData(entry, config.collections || new Map(), onCollectionRead),
+    collections: createCollectionsData(config.collections || new Map(), onCollectionRead)
+  };
   let finalContent;
   
-  if (layoutContent) {
-    finalContent = wrapInLayout(htmlWithAnchors, metadata, layoutContent);
+  if (layoutPath) {
+    finalContent = wrapInLayout(htmlWithAnchors, metadata, await readLayout(layoutPath, layouts), site, layoutPath);
+  } else if (layoutPath === false) {
+    finalContent = htmlWithAnchors;
   } else {
-    // Create basic HTML structure
-    finalContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title || 'Untitled'}</title>
-  ${excerpt ? `<meta name="description" content="${excerpt}">` : ''}
-</head>
-<body>
-  <main>
-    ${htmlWithAnchors}
-  </main>
-</body>
-</html>`;
+    // Built-in layout, escaped like any other
+    finalContent = wrapInLayout(htmlWithAnchors, metadata, null, site);
   }
   
+  // The page is also rebuilt when a data file or collection it read changes
+  dependencyTracker.recordDataDependencies(filePath, dataFiles);
+  dependencyTracker.recordCollectionDependencies(filePath, collectionNames);
+  
   // Inject head content if available
   if (headSnippet) {
     finalContent = injectHeadContent(finalContent, headSnippet);
   }
   
+  if (plugins) {
+    finalContent = await plugins.transform('afterFile', finalContent, { ...hookContext, frontmatter });
+  }
+  
   // Track asset references in the final content
   if (assetTracker) {
     assetTracker.recordAssetReferences(filePath, finalContent, sourceRoot);
   }
   
-  // Generate output path with pretty URL support
-  const outputPath = getOutputPathWithPrettyUrls(filePath, sourceRoot, outputRoot, prettyUrls);
   await ensureDirectoryExists(path.dirname(outputPath));
   
   try {
@@ -598,8 +924,10 @@ async function processMarkdownFile(filePath, sourceRoot, outputRoot, headSnippet
  * @param {string|null} headSnippet - Head snippet to inject
  * @param {DependencyTracker} dependencyTracker - Dependency tracker instance
  * @param {AssetTracker} assetTracker - Asset tracker instance
+ * @param {Object} config - Build configuration
+ * @param {PluginManager|null} plugins - Plugin manager for content hooks
  */
-async function processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, dependencyTracker, assetTracker, config = {}) {
+async function processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, dependencyTracker, assetTracker, config = {}, plugins = null) {
   // Read HTML content
   let htmlContent;
   try {
@@ -608,15 +936,42 @@ async function processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, de
     throw new FileSystemError('read', filePath, error);
   }
   
+  const outputPath = getOutputPath(filePath, sourceRoot, outputRoot);
+  const hookContext = { filePath, outputPath, type: 'html' };
+  
+  if (plugins) {
+    htmlContent = await plugins.transform('beforeFile', htmlContent, hookContext);
+  }
+  
+  // The mode follows the transformed source, so plugins can add or remove layout markup
+  const useDOMMode = shouldUseDOMMode(htmlContent);
+  if (useDOMMode) {
+    hookContext.type = 'dom';
+  }
+  
   let processedContent;
   
+  // Site data for tokens and SSI variables, reporting the data files the page reads
+  const dataFiles = [];
+  const site = createPageSiteData(sourceRoot, config, dataFiles);
+  
   // Check if file should use DOM mode
-  if (shouldUseDOMMode(htmlContent)) {
+  if (useDOMMode) {
     logger.debug(`Using DOM mode for: ${path.relative(sourceRoot, filePath)}`);
     
     // Use DOM mode processor
-    const domConfig = getDOMConfig(config);
-    processedContent = await processDOMMode(htmlContent, filePath, sourceRoot, domConfig);
+    const collectionNames = [];
+    const collections = createCollectionsData(config.collections || new Map(), name => collectionNames.push(name));
+    const domConfig = { ...getDOMConfig(config), site, collections, globDependencies: [], dependencies: [] };
+    try {
+      processedContent = await processDOMMode(htmlContent, filePath, sourceRoot, domConfig);
+    } finally {
+      // Recorded even when the build fails, so fixing a layout or component rebuilds the page.
+      // Glob includes make the page depend on files added or removed later.
+      dependencyTracker.recordDOMDependencies(filePath, domConfig.dependencies, domConfig.globDependencies);
+      dependencyTracker.recordDataDependencies(filePath, dataFiles);
+      dependencyTracker.recordCollectionDependencies(filePath, collectionNames);
+    }
     
     // Inject head content if provided (DOM mode might have already handled head)
     if (headSnippet && !processedContent.includes('</head>')) {
@@ -629,7 +984,14 @@ async function processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, de
     dependencyTracker.analyzePage(filePath, htmlContent, sourceRoot);
     
     // Process traditional includes
-    processedContent = await processIncludes(htmlContent, filePath, sourceRoot, new Set(), 0, dependencyTracker);
+    try {
+      processedContent = await processIncludes(htmlContent, filePath, sourceRoot, new Set(), 0, dependencyTracker, {
+        maxIncludeDepth: config.maxIncludeDepth,
+        site
+      });
+    } finally {
+      dependencyTracker.recordDataDependencies(filePath, dataFiles);
+    }
     
     // Inject head content
     processedContent = headSnippet ? 
@@ -637,13 +999,79 @@ async function processHtmlFile(filePath, sourceRoot, outputRoot, headSnippet, de
       processedContent;
   }
   
+  if (plugins) {
+    processedContent = await plugins.transform('afterFile', processedContent, hookContext);
+  }
+  
   // Track asset references in the final content
   if (assetTracker) {
     assetTracker.recordAssetReferences(filePath, processedContent, sourceRoot);
   }
   
   // Write to output
-  const outputPath = getOutputPath(filePath, sourceRoot, outputRoot);
+  await ensureDirectoryExists(path.dirname(outputPath));
+  
+  try {
+    await fs.writeFile(outputPath, processedContent, 'utf-8');
+  } catch (error) {
+    throw new FileSystemError('write', outputPath, error);
+  }
+}
+
+/**
+ * Process a file whose type is handled by a plugin
+ * @param {string} filePath - Path to the source file
+ * @param {string} sourceRoot - Source root directory
+ * @param {string} outputRoot - Output root directory
+ * @param {string|null} headSnippet - Head snippet to inject into HTML output
+ * @param {AssetTracker} assetTracker - Asset tracker instance
+ * @param {PluginManager} plugins - Plugin manager owning the file handler
+ */
+async function processPluginFile(filePath, sourceRoot, outputRoot, headSnippet, assetTracker, plugins) {
+  const handler = plugins.getFileHandler(filePath);
+  
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new FileSystemError('read', filePath, error);
+  }
+  
+  // Default output: same relative path with the handler's extension (HTML unless stated)
+  const relativePath = path.relative(sourceRoot, filePath);
+  const outputExtension = handler.outputExtension || '.html';
+  const defaultOutput = relativePath.slice(0, -path.extname(relativePath).length || undefined) + outputExtension;
+  const hookContext = { filePath, type: handler.name || 'plugin' };
+  
+  content = await plugins.transform('beforeFile', content, hookContext);
+  
+  let result;
+  try {
+    result = await handler.process(content, plugins.createContext(hookContext));
+  } catch (error) {
+    throw new BuildError(`Plugin "${handler.plugin}" could not process ${relativePath}: ${error.message}`);
+  }
+  
+  let processedContent = typeof result === 'string' ? result : result.content;
+  let outputPath = path.join(outputRoot, defaultOutput);
+  if (result && result.outputPath) {
+    try {
+      outputPath = path.join(outputRoot, normalizeOutputPath(result.outputPath, 'Output path'));
+    } catch (error) {
+      throw new BuildError(`Plugin "${handler.plugin}" could not process ${relativePath}: ${error.message}`);
+    }
+  }
+  
+  if (headSnippet && isHtmlFile(outputPath)) {
+    processedContent = injectHeadContent(processedContent, headSnippet);
+  }
+  
+  processedContent = await plugins.transform('afterFile', processedContent, { ...hookContext, outputPath });
+  
+  if (assetTracker && isHtmlFile(outputPath)) {
+    assetTracker.recordAssetReferences(filePath, processedContent, sourceRoot);
+  }
+  
   await ensureDirectoryExists(path.dirname(outputPath));
   
   try {
@@ -5,6 +5,7 @@
 
 import chokidar from 'chokidar';
 import { build, incrementalBuild, initializeModificationCache } from './file-processor.js';
+import { PluginManager } from './plugin-manager.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -15,33 +16,38 @@ import { logger } from '../utils/logger.js';
  * @param {string} [options.includes='includes'] - Include directory name
  * @param {string} [options.head=null] - Custom head file path
  * @param {boolean} [options.clean=true] - Whether to clean output directory before build
+ * @param {Function} [options.onReload] - Called with the event type and file path after each rebuild
+ * @param {PluginManager} [options.pluginManager] - Plugins loaded from `options.plugins`; loaded
+ *   once for the whole session when omitted
+ * @param {Object} [options.trackers] - Holds `dependencyTracker` and `assetTracker`; the watcher
+ *   reads and replaces them on every build, so callers sharing the object always see the current ones
+ * @returns {Promise<FSWatcher>} The chokidar watcher instance, once it is ready
+ * @throws {BuildError} When the initial build fails
  */
 export async function watch(options = {}) {
+  const { trackers = { dependencyTracker: null, assetTracker: null }, pluginManager = null, ...watchOptions } = options;
   const config = {
     source: 'src',
     output: 'dist',
     includes: 'includes',
     head: null,
     clean: true,
-    ...options
+    ...watchOptions
   };
 
-  // Initial build
+  // Plugins are loaded once and reused by every rebuild
+  const plugins = pluginManager || await PluginManager.create(config.plugins);
+  
+  // Initial build; failures are left to the caller
   logger.info('Starting file watcher...');
-  let dependencyTracker, assetTracker;
-  try {
-    const result = await build(config);
-    dependencyTracker = result.dependencyTracker;
-    assetTracker = result.assetTracker;
-    
-    // Initialize modification cache for incremental builds
-    await initializeModificationCache(config.source);
-    
-    logger.success('Initial build completed');
-  } catch (error) {
-    logger.error('Initial build failed:', error.message);
-    process.exit(1);
-  }
+  const initialResult = await build(config, plugins);
+  trackers.dependencyTracker = initialResult.dependencyTracker;
+  trackers.assetTracker = initialResult.assetTracker;
+
+  // Initialize modification cache for incremental builds
+  await initializeModificationCache(config.source);
+
+  logger.success('Initial build completed');
 
   // Set up file watcher
   const watcher = chokidar.watch(config.source, {
@@ -70,9 +76,9 @@ export async function watch(options = {}) {
 
       try {
         // Use incremental build for better performance
-        const result = await incrementalBuild(config, filePath, dependencyTracker, assetTracker);
-        dependencyTracker = result.dependencyTracker;
-        assetTracker = result.assetTracker;
+        const result = await incrementalBuild(config, filePath, trackers.dependencyTracker, trackers.assetTracker, plugins);
+        trackers.dependencyTracker = result.dependencyTracker;
+        trackers.assetTracker = result.assetTracker || trackers.assetTracker;
         
         logger.success('Incremental rebuild completed');
         
@@ -86,9 +92,9 @@ export async function watch(options = {}) {
         // Fallback to full build if incremental build fails
         try {
           logger.info('Falling back to full rebuild...');
-          const result = await build(config);
-          dependencyTracker = result.dependencyTracker;
-          assetTracker = result.assetTracker;
+          const result = await build(config, plugins);
+          trackers.dependencyTracker = result.dependencyTracker;
+          trackers.assetTracker = result.assetTracker;
           await initializeModificationCache(config.source);
           logger.success('Full rebuild completed');
           
@@ -104,6 +110,8 @@ export async function watch(options = {}) {
     }, 100);
   };
 
+  const ready = new Promise(resolve => watcher.once('ready', resolve));
+
   watcher
     .on('add', (filePath) => handleFileChange('added', filePath))
     .on('change', (filePath) => handleFileChange('changed', filePath))
@@ -113,19 +121,8 @@ export async function watch(options = {}) {
     .on('error', (error) => logger.error('Watcher error:', error))
     .on('ready', () => {
       logger.info(`Watching for changes in ${config.source}/`);
-      logger.info('Press Ctrl+C to stop watching');
     });
 
-  // Graceful shutdown
-  process.on('SIGINT', () => {
-    logger.info('Stopping file watcher...');
-    watcher.close();
-    process.exit(0);
-  });
-
-  process.on('SIGTERM', () => {
-    logger.info('Stopping file watcher...');
-    watcher.close();
-    process.exit(0);
-  });
-}
\ No newline at end of file
+  await ready;
+  return watcher;
+}
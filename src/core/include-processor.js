@@ -6,39 +6,92 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { resolveIncludePath, isPathWithinDirectory } from '../utils/path-resolver.js';
+import { isGlobPattern, expandGlob, GLOB_SORT_ORDERS } from '../utils/glob.js';
 import { 
   IncludeNotFoundError, 
   CircularDependencyError, 
   MalformedDirectiveError,
-  FileSystemError 
+  IncludeDepthError,
+  FileSystemError,
+  VanillaWaferError
 } from '../utils/errors.js';
+import { getLocation, createCodeFrame } from '../utils/code-frame.js';
+import {
+  createSSIEnvironment,
+  createSSIConfig,
+  createChildScope,
+  getVariable,
+  interpolateVariables,
+  encodeValue,
+  formatTime,
+  formatSize,
+  SIZE_FORMATS
+} from './ssi-variables.js';
+import { evaluateExpression } from './ssi-expression.js';
+import { processMarkdown, isMarkdownFile } from './markdown-processor.js';
+import matter from 'gray-matter';
 import { logger } from '../utils/logger.js';
 
-// Regex to match include directives
-const INCLUDE_DIRECTIVE_REGEX = /<!--#include\s+(virtual|file)="([^"]+)"\s*-->/gi;
+// Regex to match include directives, including any extra parameter attributes
+const INCLUDE_DIRECTIVE_REGEX = /<!--#include((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*-->/gi;
 
-// Maximum include depth to prevent runaway recursion
-const MAX_INCLUDE_DEPTH = 10;
+// Include attributes that select the file; all other attributes are passed as parameters
+const INCLUDE_TARGET_ATTRIBUTES = ['virtual', 'file'];
+
+// Attributes that control glob includes rather than being passed as parameters
+const GLOB_INCLUDE_ATTRIBUTES = ['sort', 'limit', 'separator'];
+
+// Attribute that controls the frontmatter of markdown includes
+const MARKDOWN_INCLUDE_ATTRIBUTES = ['frontmatter'];
+
+// Values of the frontmatter attribute: variables inside the include only, or also in the including file
+const FRONTMATTER_MODES = ['local', 'export'];
+
+// Regex to match any SSI directive: <!--#name attr="value" ... -->
+const SSI_DIRECTIVE_REGEX = /<!--#([a-z]+)((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*-->/gi;
+
+// Regex to match a single directive attribute
+const DIRECTIVE_ATTRIBUTE_REGEX = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Directives that open, continue or close a conditional block
+const CONDITIONAL_DIRECTIVES = ['if', 'elif', 'else', 'endif'];
+
+// Default maximum include depth to prevent runaway recursion
+export const MAX_INCLUDE_DEPTH = 10;
 
 /**
- * Process all include directives in HTML content with Apache SSI-style syntax.
- * Supports both file includes (relative to current file) and virtual includes (relative to source root).
+ * Process all SSI directives in HTML content with Apache SSI-style syntax.
+ * Supports both file includes (relative to current file) and virtual includes (relative to source root),
+ * `#set` and `#echo` variables, `#if` / `#elif` / `#else` / `#endif` blocks, `#config`, `#flastmod`
+ * and `#fsize`. Directives are processed in document order, so a variable set before an include is
+ * visible inside the included file. Unsupported directives are replaced with the #config errmsg.
  * Recursively processes nested includes with circular dependency detection and depth limiting.
+ * Errors from a directive are reported at its file:line:column with a code frame of the source.
  * 
  * @param {string} htmlContent - HTML content containing include directives to process
  * @param {string} filePath - Absolute path of the current file being processed
  * @param {string} sourceRoot - Absolute path to the source root directory
  * @param {Set<string>} processedFiles - Set of file paths currently being processed (for cycle detection)
- * @param {number} depth - Current recursion depth (max 10 levels)
+ * @param {number} depth - Current recursion depth (limited by options.maxIncludeDepth)
+ * @param {DependencyTracker|null} dependencyTracker - Tracker notified of every include
+ * @param {Object} [options={}] - Processing options
+ * @param {Object} [options.variables] - SSI variable scope (created from the page when omitted)
+ * @param {Object} [options.site] - Site data exposed as the `site` variable of a new scope
+ * @param {Object} [options.ssiConfig] - Shared #config settings (created when omitted)
+ * @param {Set<string>} [options.includeParams] - Names of include parameters usable as `{{ name }}` placeholders
+ * @param {number} [options.maxIncludeDepth=MAX_INCLUDE_DEPTH] - Maximum include nesting depth
+ * @param {Array<{filePath: string, lineNumber: number}>} [options.includeStack] - Include directives leading to this file
+ * @param {number} [options.lineOffset=0] - Lines preceding htmlContent in its file (stripped frontmatter)
  * @returns {Promise<string>} HTML content with all include directives expanded
  * @throws {CircularDependencyError} When circular include dependencies are detected
- * @throws {Error} When maximum include depth is exceeded
+ * @throws {MalformedDirectiveError} When a directive or conditional block is malformed
+ * @throws {IncludeDepthError} When maximum include depth is exceeded
  * 
  * @example
  * // Process HTML with includes
- * const html = '<!--#include file="header.html" --><main>Content</main>';
+ * const html = '<!--#set var="title" value="Home" --><!--#include file="header.html" -->';
  * const result = await processIncludes(html, '/src/index.html', '/src');
- * // Returns HTML with header.html content inserted
+ * // Returns HTML with header.html content inserted; header.html can <!--#echo var="title" -->
  */
 export async function processIncludes(
   htmlContent, 
@@ -46,11 +99,13 @@ export async function processIncludes(
   sourceRoot, 
   processedFiles = new Set(),
   depth = 0,
-  dependencyTracker = null
+  dependencyTracker = null,
+  options = {}
 ) {
   // Prevent excessive recursion
-  if (depth > MAX_INCLUDE_DEPTH) {
-    throw new Error(`Maximum include depth (${MAX_INCLUDE_DEPTH}) exceeded in ${filePath}`);
+  const maxIncludeDepth = options.maxIncludeDepth ?? MAX_INCLUDE_DEPTH;
+  if (depth > maxIncludeDepth) {
+    throw new IncludeDepthError(filePath, options.includeStack || [], maxIncludeDepth);
   }
   
   // Detect circular dependencies
@@ -63,92 +118,628 @@ export async function processIncludes(
   const newProcessedFiles = new Set(processedFiles);
   newProcessedFiles.add(filePath);
   
-  // Find all include directives
-  const matches = Array.from(htmlContent.matchAll(INCLUDE_DIRECTIVE_REGEX));
+  // Find all SSI directives
+  const matches = Array.from(htmlContent.matchAll(SSI_DIRECTIVE_REGEX));
   
   if (matches.length === 0) {
     return htmlContent;
   }
   
-  logger.debug(`Processing ${matches.length} includes in ${filePath}`);
+  logger.debug(`Processing ${matches.length} directives in ${filePath}`);
+  
+  // Page-level variables live in the root scope; includes get child scopes
+  const variables = options.variables || await createSSIEnvironment(filePath, sourceRoot, options.site);
+  const ssiConfig = options.ssiConfig || createSSIConfig();
+  
+  // Process directives sequentially to maintain order
+  let processedContent = '';
+  let lastIndex = 0;
   
-  // Process includes sequentially to maintain order
-  let processedContent = htmlContent;
+  // Open #if blocks, innermost last
+  const conditionals = [];
+  const isActive = () => conditionals.length === 0 || conditionals[conditionals.length - 1].active;
   
   for (const match of matches) {
-    const [fullMatch, type, includePath] = match;
+    const [fullMatch, directiveName, attributeString] = match;
+    const directive = directiveName.toLowerCase();
+    const attributes = parseDirectiveAttributes(attributeString);
+    
+    if (isActive()) {
+      processedContent += htmlContent.slice(lastIndex, match.index);
+    }
+    lastIndex = match.index + fullMatch.length;
     
     try {
-      // Resolve include path
-      const resolvedPath = resolveIncludePath(type, includePath, filePath, sourceRoot);
-      
-      // Read include file
-      let includeContent;
-      try {
-        includeContent = await fs.readFile(resolvedPath, 'utf-8');
-        logger.debug(`Loaded include: ${includePath} -> ${resolvedPath}`);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          throw new IncludeNotFoundError(includePath, filePath);
-        }
-        throw new FileSystemError('read', resolvedPath, error);
+      if (CONDITIONAL_DIRECTIVES.includes(directive)) {
+        applyConditionalDirective(directive, fullMatch, attributes, conditionals, variables, ssiConfig, filePath, htmlContent, match.index);
+        continue;
       }
       
-      // Track dependencies for this include file if tracker is provided
-      if (dependencyTracker) {
-        dependencyTracker.analyzePage(resolvedPath, includeContent, sourceRoot);
+      // Directives in branches that were not taken are skipped entirely
+      if (!isActive()) {
+        continue;
       }
       
-      // Recursively process nested includes
-      const processedInclude = await processIncludes(
-        includeContent,
-        resolvedPath,
-        sourceRoot,
-        newProcessedFiles,
-        depth + 1,
-        dependencyTracker
-      );
-      
-      // Replace the directive with processed content
-      processedContent = processedContent.replace(fullMatch, processedInclude);
-      
+      switch (directive) {
+        case 'include':
+          processedContent += await processIncludeDirective(
+            fullMatch,
+            attributes,
+            filePath,
+            sourceRoot,
+            newProcessedFiles,
+            depth,
+            dependencyTracker,
+            {
+              ...options,
+              variables,
+              ssiConfig,
+              includeStack: [...(options.includeStack || []), { filePath, lineNumber: getLineNumber(htmlContent, match.index) + (options.lineOffset || 0) }]
+            }
+          );
+          break;
+        
+        case 'set':
+          applySetDirective(fullMatch, attributes, variables, ssiConfig, filePath, htmlContent, match.index);
+          break;
+        
+        case 'echo':
+          processedContent += renderEchoDirective(fullMatch, attributes, variables, ssiConfig, filePath, htmlContent, match.index);
+          break;
+        
+        case 'config':
+          applyConfigDirective(fullMatch, attributes, ssiConfig, filePath, htmlContent, match.index);
+          break;
+        
+        case 'flastmod':
+        case 'fsize':
+          processedContent += await renderFileInfoDirective(directive, fullMatch, attributes, ssiConfig, filePath, sourceRoot, htmlContent, match.index);
+          break;
+        
+        default:
+          // Never leak unprocessed SSI comments into the output
+          logger.warn(`Unsupported SSI directive ${fullMatch} in ${filePath}:${getLineNumber(htmlContent, match.index) + (options.lineOffset || 0)}`);
+          processedContent += ssiConfig.errmsg;
+      }
     } catch (error) {
-      // Log error and provide helpful context
-      logger.error(`Failed to process include: ${includePath} in ${filePath}`);
-      logger.error(error.message);
-      
-      // Re-throw all errors to fail the build
-      throw error;
+      throw locateError(error, filePath, htmlContent, match.index, options.lineOffset);
     }
   }
   
+  // Every #if must be closed in the file that opened it
+  if (conditionals.length > 0) {
+    const unclosed = conditionals[conditionals.length - 1];
+    const error = new MalformedDirectiveError(`${unclosed.directive} (missing <!--#endif -->)`, filePath, unclosed.lineNumber);
+    throw locateError(error, filePath, htmlContent, unclosed.offset, options.lineOffset);
+  }
+  
+  if (isActive()) {
+    processedContent += htmlContent.slice(lastIndex);
+  }
+  
   return processedContent;
 }
 
 /**
- * Extract include dependencies from HTML content
+ * Expand a single #include directive.
+ * Attributes other than virtual/file become variables in the include's child scope, and
+ * `{{ name }}` placeholders for them are replaced in the included file and its children.
+ * Glob paths expand every matching file; `sort`, `limit` and `separator` control the expansion.
+ * Markdown includes are rendered to HTML; their frontmatter becomes variables inside the include
+ * with `frontmatter="local"`, and is also copied into the including file's variables with
+ * `frontmatter="export"`.
+ * @param {string} directive - Full directive text
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {string} filePath - File containing the directive
+ * @param {string} sourceRoot - Source root directory
+ * @param {Set<string>} processedFiles - Files in the current include chain
+ * @param {number} depth - Depth of the file containing the directive
+ * @param {DependencyTracker|null} dependencyTracker - Dependency tracker
+ * @param {Object} options - Processing options with the current variable scope
+ * @returns {Promise<string>} Processed include content
+ */
+async function processIncludeDirective(directive, attributes, filePath, sourceRoot, processedFiles, depth, dependencyTracker, options) {
+  const target = attributes.find(attr => INCLUDE_TARGET_ATTRIBUTES.includes(attr.name));
+  
+  if (!target || target.value.trim() === '') {
+    throw new MalformedDirectiveError(directive, filePath);
+  }
+  
+  const type = target.name;
+  const includePath = target.value;
+  const isGlob = isGlobPattern(includePath);
+  
+  // Parameter values may reference variables from the including file
+  const params = getIncludeParams(attributes, includePath);
+  for (const name of Object.keys(params)) {
+    params[name] = interpolateVariables(params[name], options.variables, options.ssiConfig.timefmt);
+  }
+  
+  const frontmatterAttribute = attributes.find(attr => attr.name === 'frontmatter');
+  const frontmatterMode = frontmatterAttribute && isMarkdownFile(includePath) ? frontmatterAttribute.value : null;
+  if (frontmatterMode !== null && !FRONTMATTER_MODES.includes(frontmatterMode)) {
+    throw new MalformedDirectiveError(`${directive} (frontmatter must be one of ${FRONTMATTER_MODES.map(mode => `"${mode}"`).join(', ')})`, filePath);
+  }
+  const fileOptions = { ...options, frontmatterMode };
+  
+  try {
+    // Resolve include path
+    const resolvedPath = resolveIncludePath(type, includePath, filePath, sourceRoot);
+    
+    if (!isGlob) {
+      return await processIncludeFile(resolvedPath, includePath, params, filePath, sourceRoot, processedFiles, depth, dependencyTracker, fileOptions);
+    }
+    
+    const globOptions = getGlobOptions(attributes, directive, filePath);
+    const matches = await expandGlob(resolvedPath, { ...globOptions, exclude: [filePath] });
+    
+    if (matches.length === 0) {
+      logger.warn(`Include pattern ${includePath} in ${filePath} matched no files`);
+      return '';
+    }
+    
+    let separator = '';
+    if (globOptions.separator) {
+      const separatorPath = resolveIncludePath(type, globOptions.separator, filePath, sourceRoot);
+      separator = await processIncludeFile(separatorPath, globOptions.separator, params, filePath, sourceRoot, processedFiles, depth, dependencyTracker, options);
+    }
+    
+    const parts = [];
+    for (const matchPath of matches) {
+      const displayPath = path.relative(sourceRoot, matchPath).split(path.sep).join('/');
+      parts.push(await processIncludeFile(matchPath, displayPath, params, filePath, sourceRoot, processedFiles, depth, dependencyTracker, fileOptions));
+    }
+    
+    logger.debug(`Expanded ${includePath} to ${matches.length} files`);
+    return parts.join(separator);
+    
+  } catch (error) {
+    // Log error and provide helpful context
+    logger.error(`Failed to process include: ${includePath} in ${filePath}`);
+    logger.error(error.message);
+    
+    // Re-throw all errors to fail the build
+    throw error;
+  }
+}
+
+/**
+ * Read and process one included file in a child variable scope.
+ * Markdown files have their frontmatter stripped and are rendered to HTML unless the including
+ * file is markdown itself. Their frontmatter values only become variables when the directive
+ * opts in (see processIncludeDirective()), so they can't replace the page's own.
+ * @param {string} resolvedPath - Absolute path of the included file
+ * @param {string} includePath - Path as written in the directive (for messages)
+ * @param {Object} params - Include parameters
+ * @param {string} filePath - File containing the directive
+ * @param {string} sourceRoot - Source root directory
+ * @param {Set<string>} processedFiles - Files in the current include chain
+ * @param {number} depth - Depth of the file containing the directive
+ * @param {DependencyTracker|null} dependencyTracker - Dependency tracker
+ * @param {Object} options - Processing options with the current variable scope
+ * @param {string|null} [options.frontmatterMode] - One of FRONTMATTER_MODES, or null to ignore markdown frontmatter
+ * @returns {Promise<string>} Processed include content
+ */
+async function processIncludeFile(resolvedPath, includePath, params, filePath, sourceRoot, processedFiles, depth, dependencyTracker, options) {
+  const { frontmatterMode, ...childOptions } = options;
+  
+  // Read include file
+  let includeContent;
+  try {
+    includeContent = await fs.readFile(resolvedPath, 'utf-8');
+    logger.debug(`Loaded include: ${includePath} -> ${resolvedPath}`);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new IncludeNotFoundError(includePath, filePath);
+    }
+    throw new FileSystemError('read', resolvedPath, error);
+  }
+  
+  // Track dependencies for this include file if tracker is provided
+  if (dependencyTracker) {
+    dependencyTracker.analyzePage(resolvedPath, includeContent, sourceRoot);
+  }
+  
+  const isMarkdown = isMarkdownFile(resolvedPath);
+  let frontmatter = {};
+  let lineOffset = 0;
+  if (isMarkdown) {
+    const rawContent = includeContent;
+    const { data, content } = matter(rawContent);
+    includeContent = content;
+    // Keep reported line numbers relative to the file, frontmatter included
+    lineOffset = getLineNumber(rawContent, rawContent.length - includeContent.length) - 1;
+    if (frontmatterMode) {
+      frontmatter = data;
+    }
+    if (frontmatterMode === 'export') {
+      Object.assign(options.variables, frontmatter);
+    }
+  }
+  
+  // Explicit parameters take precedence over the include's own frontmatter
+  const variables = createChildScope(options.variables, { ...frontmatter, ...params });
+  const includeParams = new Set([...(options.includeParams || []), ...Object.keys(params)]);
+  
+  // Recursively process nested includes in a child variable scope
+  const processedContent = await processIncludes(
+    replaceParamPlaceholders(includeContent, includeParams, variables, options.ssiConfig.timefmt),
+    resolvedPath,
+    sourceRoot,
+    processedFiles,
+    depth + 1,
+    dependencyTracker,
+    { ...childOptions, variables, includeParams, lineOffset }
+  );
+  
+  // Markdown pages render their includes along with the rest of the page
+  if (isMarkdown && !isMarkdownFile(filePath)) {
+    return processMarkdown(processedContent, resolvedPath).html;
+  }
+  
+  return processedContent;
+}
+
+/**
+ * Read the sort, limit and separator attributes of a glob include
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {string} directive - Full directive text (for errors)
+ * @param {string} filePath - File containing the directive
+ * @returns {{sort: string, limit: number|undefined, separator: string|null}} Glob options
+ * @throws {MalformedDirectiveError} When sort or limit is invalid
+ */
+function getGlobOptions(attributes, directive, filePath) {
+  const value = (name) => {
+    const attribute = attributes.find(attr => attr.name === name);
+    return attribute ? attribute.value.trim() : null;
+  };
+  
+  const sort = value('sort') || 'name';
+  if (!GLOB_SORT_ORDERS.includes(sort)) {
+    throw new MalformedDirectiveError(`${directive} (sort must be one of ${GLOB_SORT_ORDERS.join(', ')})`, filePath);
+  }
+  
+  let limit;
+  if (value('limit') !== null) {
+    limit = Number(value('limit'));
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new MalformedDirectiveError(`${directive} (limit must be a positive integer)`, filePath);
+    }
+  }
+  
+  return { sort, limit, separator: value('separator') };
+}
+
+/**
+ * Collect the parameter attributes of an #include directive.
+ * Glob and markdown includes reserve the attributes that control them.
+ * @param {Array<{name: string, value: string, rawName: string}>} attributes - Parsed directive attributes
+ * @param {string} includePath - Include path as written in the directive
+ * @returns {Object} Parameter values keyed by attribute name (original case)
+ */
+function getIncludeParams(attributes, includePath) {
+  const reserved = [
+    ...INCLUDE_TARGET_ATTRIBUTES,
+    ...(isGlobPattern(includePath) ? GLOB_INCLUDE_ATTRIBUTES : []),
+    ...(isMarkdownFile(includePath) ? MARKDOWN_INCLUDE_ATTRIBUTES : [])
+  ];
+  const params = {};
+  
+  for (const { name, rawName, value } of attributes) {
+    if (!reserved.includes(name)) {
+      params[rawName] = value;
+    }
+  }
+  
+  return params;
+}
+
+/**
+ * Replace `{{ name }}` placeholders for include parameters with their HTML-escaped values.
+ * Placeholders for other names are left untouched.
+ * @param {string} content - Include file content
+ * @param {Set<string>} paramNames - Parameter names visible to the include
+ * @param {Object} variables - Variable scope holding the parameter values
+ * @param {string} timefmt - strftime-style format for date values
+ * @returns {string} Content with placeholders replaced
+ */
+function replaceParamPlaceholders(content, paramNames, variables, timefmt) {
+  if (paramNames.size === 0) {
+    return content;
+  }
+  
+  return content.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) => {
+    if (!paramNames.has(name)) {
+      return match;
+    }
+    return encodeValue(getVariable(variables, name, timefmt) ?? '', 'entity');
+  });
+}
+
+/**
+ * Apply a #set directive to the current variable scope
+ * @param {string} directive - Full directive text
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {Object} variables - Current variable scope
+ * @param {Object} ssiConfig - Current #config settings
+ * @param {string} filePath - File containing the directive
+ * @param {string} content - Content of that file (for line numbers)
+ * @param {number} offset - Offset of the directive in the content
+ */
+function applySetDirective(directive, attributes, variables, ssiConfig, filePath, content, offset) {
+  let name = null;
+  let assigned = false;
+  
+  // Apache allows several var/value pairs in one directive
+  for (const { name: attrName, value } of attributes) {
+    if (attrName === 'var') {
+      name = value;
+    } else if (attrName === 'value' && name) {
+      variables[name] = interpolateVariables(value, variables, ssiConfig.timefmt);
+      assigned = true;
+      name = null;
+    }
+  }
+  
+  if (!assigned || name) {
+    throw new MalformedDirectiveError(directive, filePath, getLineNumber(content, offset));
+  }
+}
+
+/**
+ * Render an #echo directive
+ * @param {string} directive - Full directive text
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {Object} variables - Current variable scope
+ * @param {Object} ssiConfig - Current #config settings
+ * @param {string} filePath - File containing the directive
+ * @param {string} content - Content of that file (for line numbers)
+ * @param {number} offset - Offset of the directive in the content
+ * @returns {string} Encoded variable value
+ */
+function renderEchoDirective(directive, attributes, variables, ssiConfig, filePath, content, offset) {
+  let encoding = 'entity';
+  let output = null;
+  
+  for (const { name, value } of attributes) {
+    if (name === 'encoding') {
+      encoding = value;
+    } else if (name === 'var') {
+      const variable = getVariable(variables, value, ssiConfig.timefmt);
+      try {
+        output = (output || '') + (variable === undefined ? ssiConfig.echomsg : encodeValue(variable, encoding));
+      } catch (error) {
+        throw new MalformedDirectiveError(`${directive} (${error.message})`, filePath, getLineNumber(content, offset));
+      }
+    }
+  }
+  
+  if (output === null) {
+    throw new MalformedDirectiveError(directive, filePath, getLineNumber(content, offset));
+  }
+  
+  return output;
+}
+
+/**
+ * Apply a #config directive to the shared settings
+ * @param {string} directive - Full directive text
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {Object} ssiConfig - Shared #config settings
+ * @param {string} filePath - File containing the directive
+ * @param {string} content - Content of that file (for line numbers)
+ * @param {number} offset - Offset of the directive in the content
+ * @throws {MalformedDirectiveError} When an attribute is unknown or has an invalid value
+ */
+function applyConfigDirective(directive, attributes, ssiConfig, filePath, content, offset) {
+  const lineNumber = getLineNumber(content, offset);
+  
+  if (attributes.length === 0) {
+    throw new MalformedDirectiveError(directive, filePath, lineNumber);
+  }
+  
+  for (const { name, value } of attributes) {
+    if (!['timefmt', 'sizefmt', 'errmsg', 'echomsg'].includes(name)) {
+      throw new MalformedDirectiveError(`${directive} (unknown attribute "${name}")`, filePath, lineNumber);
+    }
+    
+    if (name === 'sizefmt' && !SIZE_FORMATS.includes(value.toLowerCase())) {
+      throw new MalformedDirectiveError(`${directive} (sizefmt must be ${SIZE_FORMATS.join(' or ')})`, filePath, lineNumber);
+    }
+    
+    ssiConfig[name] = name === 'sizefmt' ? value.toLowerCase() : value;
+  }
+}
+
+/**
+ * Render a #flastmod or #fsize directive for a file or virtual path
+ * @param {string} directiveName - 'flastmod' or 'fsize'
+ * @param {string} directive - Full directive text
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {Object} ssiConfig - Current #config settings
+ * @param {string} filePath - File containing the directive
+ * @param {string} sourceRoot - Source root directory
+ * @param {string} content - Content of that file (for line numbers)
+ * @param {number} offset - Offset of the directive in the content
+ * @returns {Promise<string>} Formatted modification time or size
+ * @throws {PathTraversalError} When the path escapes the source root
+ * @throws {FileSystemError} When the file cannot be read
+ */
+async function renderFileInfoDirective(directiveName, directive, attributes, ssiConfig, filePath, sourceRoot, content, offset) {
+  const target = attributes.find(attr => attr.name === 'virtual' || attr.name === 'file');
+  
+  if (!target || target.value.trim() === '') {
+    throw new MalformedDirectiveError(directive, filePath, getLineNumber(content, offset));
+  }
+  
+  const resolvedPath = resolveIncludePath(target.name, target.value, filePath, sourceRoot);
+  
+  let stats;
+  try {
+    stats = await fs.stat(resolvedPath);
+  } catch (error) {
+    throw new FileSystemError(directiveName, resolvedPath, error);
+  }
+  
+  return directiveName === 'flastmod'
+    ? formatTime(stats.mtime, ssiConfig.timefmt)
+    : formatSize(stats.size, ssiConfig.sizefmt);
+}
+
+/**
+ * Apply an #if, #elif, #else or #endif directive to the stack of open conditional blocks.
+ * Expressions are only evaluated when their branch could still be taken.
+ * @param {string} directiveName - Lower-cased directive name
+ * @param {string} directive - Full directive text
+ * @param {Array<{name: string, value: string}>} attributes - Parsed directive attributes
+ * @param {Array<Object>} conditionals - Open conditional blocks, innermost last
+ * @param {Object} variables - Current variable scope
+ * @param {Object} ssiConfig - Current #config settings
+ * @param {string} filePath - File containing the directive
+ * @param {string} content - Content of that file (for line numbers)
+ * @param {number} offset - Offset of the directive in the content
+ * @throws {MalformedDirectiveError} When the block structure or expression is invalid
+ */
+function applyConditionalDirective(directiveName, directive, attributes, conditionals, variables, ssiConfig, filePath, content, offset) {
+  const lineNumber = getLineNumber(content, offset);
+  const block = conditionals[conditionals.length - 1];
+  
+  const evaluate = () => {
+    const expr = attributes.find(attr => attr.name === 'expr');
+    if (!expr) {
+      throw new MalformedDirectiveError(`${directive} (missing expr attribute)`, filePath, lineNumber);
+    }
+    try {
+      return evaluateExpression(expr.value, variables, ssiConfig.timefmt);
+    } catch (error) {
+      throw new MalformedDirectiveError(`${directive} (${error.message})`, filePath, lineNumber);
+    }
+  };
+  
+  if (directiveName === 'if') {
+    const parentActive = !block || block.active;
+    const active = parentActive && evaluate();
+    conditionals.push({ directive, lineNumber, offset, parentActive, active, matched: active, sawElse: false });
+    return;
+  }
+  
+  if (!block) {
+    throw new MalformedDirectiveError(`${directive} (no matching <!--#if -->)`, filePath, lineNumber);
+  }
+  
+  if (directiveName === 'endif') {
+    conditionals.pop();
+    return;
+  }
+  
+  if (block.sawElse) {
+    throw new MalformedDirectiveError(`${directive} (after <!--#else -->)`, filePath, lineNumber);
+  }
+  
+  if (directiveName === 'elif') {
+    block.active = block.parentActive && !block.matched && evaluate();
+  } else {
+    block.active = block.parentActive && !block.matched;
+    block.sawElse = true;
+  }
+  block.matched = block.matched || block.active;
+}
+
+/**
+ * Parse the attributes of an SSI directive, preserving their order
+ * @param {string} attributeString - Attribute portion of the directive
+ * @returns {Array<{name: string, value: string, rawName: string}>} Parsed attributes with lower-cased
+ *   names for matching and the name as written in `rawName`
+ */
+export function parseDirectiveAttributes(attributeString) {
+  const attributes = [];
+  
+  for (const match of attributeString.matchAll(DIRECTIVE_ATTRIBUTE_REGEX)) {
+    attributes.push({
+      name: match[1].toLowerCase(),
+      value: match[2] !== undefined ? match[2] : match[3],
+      rawName: match[1]
+    });
+  }
+  
+  return attributes;
+}
+
+/**
+ * Get the 1-based line number of an offset in content
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function getLineNumber(content, offset) {
+  return getLocation(content, offset).line;
+}
+
+/**
+ * Point an error at the directive that caused it, with a code frame of the source.
+ * Errors that already carry a code frame were located in a nested include and are
+ * left alone, so the innermost directive is reported.
+ * @param {Error} error - Error thrown while processing the directive
+ * @param {string} filePath - File containing the directive
+ * @param {string} content - Content of that file
+ * @param {number} offset - Offset of the directive in content
+ * @param {number} [lineOffset=0] - Lines preceding content in the file (stripped frontmatter)
+ * @returns {Error} The same error
+ */
+function locateError(error, filePath, content, offset, lineOffset = 0) {
+  if (!(error instanceof VanillaWaferError) || error.codeFrame) {
+    return error;
+  }
+  
+  const { line, column } = getLocation(content, offset);
+  const codeFrame = createCodeFrame(content, line, column, { lineOffset });
+  return error.setLocation(filePath, line + lineOffset, column, codeFrame);
+}
+
+/**
+ * Extract include directives from HTML content
  * @param {string} htmlContent - HTML content to analyze
  * @param {string} filePath - Path of the current file
  * @param {string} sourceRoot - Root source directory
- * @returns {string[]} Array of resolved include file paths
+ * @returns {Array<{type: string, path: string, resolvedPath: string, params: Object, isGlob: boolean}>} Resolvable
+ *   include directives; for glob includes `resolvedPath` is the absolute pattern, and a `separator`
+ *   partial is listed as a file include of its own
  */
-export function extractIncludeDependencies(htmlContent, filePath, sourceRoot) {
-  const dependencies = [];
-  const matches = Array.from(htmlContent.matchAll(INCLUDE_DIRECTIVE_REGEX));
+export function extractIncludeDirectives(htmlContent, filePath, sourceRoot) {
+  const directives = [];
   
-  for (const match of matches) {
-    const [, type, includePath] = match;
+  for (const match of htmlContent.matchAll(INCLUDE_DIRECTIVE_REGEX)) {
+    const parsed = parseIncludeDirective(match[0]);
+    if (!parsed) continue;
     
     try {
-      const resolvedPath = resolveIncludePath(type, includePath, filePath, sourceRoot);
-      dependencies.push(resolvedPath);
+      const resolvedPath = resolveIncludePath(parsed.type, parsed.path, filePath, sourceRoot);
+      directives.push({ ...parsed, resolvedPath });
+      
+      if (parsed.separator) {
+        const separatorPath = resolveIncludePath(parsed.type, parsed.separator, filePath, sourceRoot);
+        directives.push({ type: parsed.type, path: parsed.separator, resolvedPath: separatorPath, params: parsed.params, isGlob: false });
+      }
     } catch (error) {
       // Log warning but continue - dependency tracking shouldn't break builds
-      logger.warn(`Could not resolve include dependency: ${includePath} in ${filePath}`);
+      logger.warn(`Could not resolve include dependency: ${parsed.path} in ${filePath}`);
     }
   }
   
-  return dependencies;
+  return directives;
+}
+
+/**
+ * Extract include dependencies from HTML content
+ * @param {string} htmlContent - HTML content to analyze
+ * @param {string} filePath - Path of the current file
+ * @param {string} sourceRoot - Root source directory
+ * @returns {string[]} Array of resolved include file paths (glob includes are not listed)
+ */
+export function extractIncludeDependencies(htmlContent, filePath, sourceRoot) {
+  return extractIncludeDirectives(htmlContent, filePath, sourceRoot)
+    .filter(directive => !directive.isGlob)
+    .map(directive => directive.resolvedPath);
 }
 
 /**
@@ -157,35 +748,37 @@ export function extractIncludeDependencies(htmlContent, filePath, sourceRoot) {
  * @returns {boolean} True if content has includes
  */
 export function hasIncludes(htmlContent) {
+  INCLUDE_DIRECTIVE_REGEX.lastIndex = 0;
   return INCLUDE_DIRECTIVE_REGEX.test(htmlContent);
 }
 
 /**
  * Validate include directive syntax
  * @param {string} directive - Include directive to validate
- * @returns {Object|null} Parsed directive or null if invalid
+ * @returns {Object|null} Parsed directive ({type, path, params, isGlob}, plus `separator` for glob
+ *   includes that have one) or null if invalid
  */
 export function parseIncludeDirective(directive) {
-  const match = directive.match(/<!--#include\s+(virtual|file)="([^"]+)"\s*-->/i);
+  const match = directive.match(/^<!--#include((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*-->$/i);
   
   if (!match) {
     return null;
   }
   
-  const [, type, path] = match;
+  const attributes = parseDirectiveAttributes(match[1]);
+  const target = attributes.find(attr => INCLUDE_TARGET_ATTRIBUTES.includes(attr.name));
   
   // Basic validation
-  if (!type || !path) {
+  if (!target || target.value.trim() === '') {
     return null;
   }
   
-  if (type !== 'virtual' && type !== 'file') {
-    return null;
-  }
+  const isGlob = isGlobPattern(target.value);
+  const parsed = { type: target.name, path: target.value.trim(), params: getIncludeParams(attributes, target.value), isGlob };
   
-  if (path.trim() === '') {
-    return null;
+  const separator = isGlob && attributes.find(attr => attr.name === 'separator');
+  if (separator && separator.value.trim()) {
+    parsed.separator = separator.value.trim();
   }
-  
-  return { type, path: path.trim() };
-}
\ No newline at end of file
+  return parsed;
+}
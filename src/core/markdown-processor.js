@@ -6,6 +6,7 @@
 import MarkdownIt from 'markdown-it';
 import matter from 'gray-matter';
 import { logger } from '../utils/logger.js';
+import { renderTemplate, SafeString } from './template-engine.js';
 
 /**
  * Configure markdown-it instance with plugins and options
@@ -19,6 +20,11 @@ const md = new MarkdownIt({
   typographer: true,   // Enable some language-neutral replacement + quotes beautification
 });
 
+/**
+ * markdown-it plugins already registered on the shared instance
+ */
+const appliedPlugins = new Set();
+
 /**
  * Process markdown content and return HTML with metadata
  * @param {string} markdownContent - Raw markdown content
@@ -31,40 +37,14 @@ const md = new MarkdownIt({
  */
 export function processMarkdown(markdownContent, filePath) {
   try {
-    // Parse frontmatter
-    const { data: frontmatter, content } = matter(markdownContent);
+    const { content, ...metadata } = readMarkdownMetadata(markdownContent);
     
     // Convert markdown to HTML
     const html = md.render(content);
     
-    // Extract title if not in frontmatter
-    let title = frontmatter.title;
-    if (!title) {
-      // Try to extract from first heading
-      const headingMatch = content.match(/^#\s+(.+)$/m);
-      if (headingMatch) {
-        title = headingMatch[1].trim();
-      }
-    }
-    
-    // Extract excerpt if not in frontmatter
-    let excerpt = frontmatter.excerpt || frontmatter.description;
-    if (!excerpt) {
-      // Extract first paragraph
-      const paragraphMatch = content.match(/^(?!#)(.+?)(?:\n\n|\n$|$)/m);
-      if (paragraphMatch) {
-        excerpt = paragraphMatch[1].trim().replace(/\[([^\]]+)\]\([^)]+\)/g, '$1'); // Remove markdown links
-      }
-    }
-    
-    logger.debug(`Processed markdown: ${filePath}, title: ${title || 'untitled'}`);
+    logger.debug(`Processed markdown: ${filePath}, title: ${metadata.title || 'untitled'}`);
     
-    return {
-      html,
-      frontmatter,
-      title: title || '',
-      excerpt: excerpt || ''
-    };
+    return { html, ...metadata };
     
   } catch (error) {
     logger.error(`Error processing markdown file ${filePath}: ${error.message}`);
@@ -72,6 +52,44 @@ export function processMarkdown(markdownContent, filePath) {
   }
 }
 
+/**
+ * Read the frontmatter, title and excerpt of markdown content without rendering it
+ * @param {string} markdownContent - Raw markdown content
+ * @returns {{frontmatter: Object, content: string, title: string, excerpt: string}} Metadata and
+ *   the content after the frontmatter
+ */
+export function readMarkdownMetadata(markdownContent) {
+  // Parse frontmatter
+  const { data: frontmatter, content } = matter(markdownContent);
+  
+  // Extract title if not in frontmatter
+  let title = frontmatter.title;
+  if (!title) {
+    // Try to extract from first heading
+    const headingMatch = content.match(/^#\s+(.+)$/m);
+    if (headingMatch) {
+      title = headingMatch[1].trim();
+    }
+  }
+  
+  // Extract excerpt if not in frontmatter
+  let excerpt = frontmatter.excerpt || frontmatter.description;
+  if (!excerpt) {
+    // Extract first paragraph
+    const paragraphMatch = content.match(/^(?!#)(.+?)(?:\n\n|\n$|$)/m);
+    if (paragraphMatch) {
+      excerpt = paragraphMatch[1].trim().replace(/\[([^\]]+)\]\([^)]+\)/g, '$1'); // Remove markdown links
+    }
+  }
+  
+  return {
+    frontmatter,
+    content,
+    title: title || '',
+    excerpt: excerpt || ''
+  };
+}
+
 /**
  * Check if a file is a markdown file
  * @param {string} filePath - File path to check
@@ -82,22 +100,28 @@ export function isMarkdownFile(filePath) {
 }
 
 /**
- * Wrap markdown HTML in a layout template
+ * Wrap markdown HTML in a layout template.
+ * The layout is rendered with the template engine (see renderTemplate); it sees the
+ * frontmatter, the metadata fields (`title`, `excerpt`, `tableOfContents` and, in builds,
+ * `page` and `collections`), `content` and `site`.
  * @param {string} html - Generated HTML content
  * @param {Object} metadata - Frontmatter and extracted metadata
- * @param {string} layout - Layout template (HTML with placeholders)
+ * @param {string} layout - Layout template
+ * @param {Object|null} [site=null] - Site data, available as `site`
+ * @param {string|null} [layoutPath=null] - Layout file, named in warnings and errors
  * @returns {string} Complete HTML page
+ * @throws {TemplateError} When the layout is malformed
  */
-export function wrapInLayout(html, metadata, layout) {
+export function wrapInLayout(html, metadata, layout, site = null, layoutPath = null) {
   if (!layout) {
-    // Default layout if none provided
+    // Default layout if none provided; the description falls back to the excerpt
     layout = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>{{ title }}</title>
-  {{#if description}}<meta name="description" content="{{ description }}">{{/if}}
+  {{#if description}}<meta name="description" content="{{ description }}">{{else}}{{#if excerpt}}<meta name="description" content="{{ excerpt }}">{{/if}}{{/if}}
 </head>
 <body>
   <main>
@@ -107,28 +131,22 @@ export function wrapInLayout(html, metadata, layout) {
 </html>`;
   }
   
-  // Simple template replacement (can be enhanced with a proper template engine later)
-  let result = layout;
-  
-  // Replace content placeholder
-  result = result.replace(/\{\{\s*content\s*\}\}/g, html);
+  const data = {
+    ...metadata.frontmatter,
+    ...metadata,
+    title: metadata.title || 'Untitled',
+    content: new SafeString(html)
+  };
   
-  // Replace title
-  result = result.replace(/\{\{\s*title\s*\}\}/g, metadata.title || 'Untitled');
-  
-  // Replace frontmatter variables
-  const allData = { ...metadata.frontmatter, ...metadata };
-  for (const [key, value] of Object.entries(allData)) {
-    if (typeof value === 'string') {
-      const regex = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g');
-      result = result.replace(regex, value);
-    }
+  // Generated HTML is output as-is; frontmatter strings are escaped unless written as {{{ }}}
+  if (metadata.tableOfContents !== undefined) {
+    data.tableOfContents = new SafeString(metadata.tableOfContents);
+  }
+  if (site) {
+    data.site = site;
   }
   
-  // Clean up unused placeholders
-  result = result.replace(/\{\{[^}]*\}\}/g, '');
-  
-  return result;
+  return renderTemplate(layout, data, { filePath: layoutPath });
 }
 
 /**
@@ -229,6 +247,26 @@ export function configureMarkdown(plugins = []) {
   }
 }
 
+/**
+ * Apply markdown options from the project configuration.
+ * Plugins may be given as a function or as a `[plugin, options]` pair and are only registered once.
+ * @param {Object} options - `markdown` section of the configuration
+ */
+export function applyMarkdownConfig(options = {}) {
+  const { plugins = [], ...markdownOptions } = options;
+  
+  md.set(markdownOptions);
+  
+  for (const entry of plugins) {
+    const [plugin, pluginOptions] = Array.isArray(entry) ? entry : [entry];
+    if (appliedPlugins.has(plugin)) {
+      continue;
+    }
+    md.use(plugin, pluginOptions);
+    appliedPlugins.add(plugin);
+  }
+}
+
 /**
  * Get current markdown-it instance (for advanced customization)
  * @returns {MarkdownIt} The markdown-it instance
@@ -0,0 +1,264 @@
+/**
+ * Plugin System for dompile
+ * Loads plugins and runs their hooks around the build phases
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { PluginError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Lifecycle hooks a plugin may implement, in the order they run during a build
+ */
+export const PLUGIN_HOOKS = [
+  'configResolved',   // (config, context) - may mutate the resolved config
+  'beforeFile',       // (content, context) - may return transformed source content
+  'afterFile',        // (content, context) - may return transformed output content
+  'beforeAssetCopy',  // (assetFiles, context) - asset paths about to be copied
+  'afterSitemap',     // (sitemapContent, context) - after sitemap.xml is written
+  'buildEnd'          // (results, context) - after all output is written
+];
+
+/**
+ * Manages the plugins registered for a build
+ */
+export class PluginManager {
+  /**
+   * @param {Array<Object>} plugins - Normalized plugin objects
+   */
+  constructor(plugins = []) {
+    this.plugins = [];
+
+    // Custom file-type handlers contributed by plugins
+    this.fileHandlers = [];
+
+    // Extra output files emitted by plugins, keyed by output-relative path
+    this.emittedFiles = new Map();
+    
+    // Build-wide values (config, sourceRoot, outputRoot) included in every hook context
+    this.baseContext = {};
+
+    plugins.forEach(plugin => this.register(plugin));
+  }
+
+  /**
+   * Create a plugin manager from the `plugins` config option.
+   * Entries may be plugin objects, factory functions, module specifiers,
+   * or `[factoryOrSpecifier, options]` pairs.
+   * @param {Array} specs - Plugin entries from the configuration
+   * @param {string} [baseDir=process.cwd()] - Directory relative paths and package names resolve from
+   * @returns {Promise<PluginManager>} Plugin manager with all plugins loaded
+   */
+  static async create(specs = [], baseDir = process.cwd()) {
+    const plugins = [];
+
+    for (const spec of specs) {
+      plugins.push(await loadPlugin(spec, baseDir));
+    }
+
+    return new PluginManager(plugins);
+  }
+
+  /**
+   * Register a plugin object
+   * @param {Object} plugin - Plugin with a name, hooks and optional fileHandlers
+   */
+  register(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new PluginError('unknown', 'register', new Error('plugin must be an object'));
+    }
+
+    const name = plugin.name || `plugin-${this.plugins.length + 1}`;
+
+    for (const handler of plugin.fileHandlers || []) {
+      if (typeof handler.test !== 'function' || typeof handler.process !== 'function') {
+        throw new PluginError(name, 'register', new Error('file handlers need test() and process() functions'));
+      }
+      this.fileHandlers.push({ ...handler, plugin: name });
+    }
+
+    this.plugins.push({ ...plugin, name });
+    logger.debug(`Registered plugin: ${name}`);
+  }
+
+  /**
+   * Check whether any plugins are registered
+   * @returns {boolean} True if at least one plugin is registered
+   */
+  hasPlugins() {
+    return this.plugins.length > 0;
+  }
+
+  /**
+   * Set the build-wide values included in every hook context
+   * @param {Object} context - Values such as config, sourceRoot and outputRoot
+   */
+  setBaseContext(context) {
+    this.baseContext = { ...context };
+  }
+
+  /**
+   * Build the context object passed to every hook
+   * @param {Object} context - Hook-specific context values
+   * @returns {Object} Context with the emitFile helper attached
+   */
+  createContext(context = {}) {
+    return {
+      ...this.baseContext,
+      ...context,
+      emitFile: (fileName, content) => this.emitFile(fileName, content)
+    };
+  }
+
+  /**
+   * Run a hook on every plugin in registration order, ignoring return values
+   * @param {string} hookName - Name of the hook
+   * @param {*} payload - First argument passed to the hook
+   * @param {Object} context - Hook context
+   * @returns {Promise<void>}
+   */
+  async callHook(hookName, payload, context = {}) {
+    const hookContext = this.createContext(context);
+
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hookName] !== 'function') continue;
+
+      try {
+        await plugin[hookName](payload, hookContext);
+      } catch (error) {
+        throw new PluginError(plugin.name, hookName, error);
+      }
+    }
+  }
+
+  /**
+   * Run a content hook on every plugin, passing each plugin's string result to the next
+   * @param {string} hookName - Name of the hook (beforeFile or afterFile)
+   * @param {string} content - Content to transform
+   * @param {Object} context - Hook context
+   * @returns {Promise<string>} Transformed content
+   */
+  async transform(hookName, content, context = {}) {
+    const hookContext = this.createContext(context);
+    let result = content;
+
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hookName] !== 'function') continue;
+
+      let transformed;
+      try {
+        transformed = await plugin[hookName](result, hookContext);
+      } catch (error) {
+        throw new PluginError(plugin.name, hookName, error);
+      }
+
+      if (typeof transformed === 'string') {
+        result = transformed;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the plugin file handler for a source file
+   * @param {string} filePath - Source file path
+   * @returns {Object|null} Matching file handler or null
+   */
+  getFileHandler(filePath) {
+    return this.fileHandlers.find(handler => handler.test(filePath)) || null;
+  }
+
+  /**
+   * Queue an extra output file
+   * @param {string} fileName - Path relative to the output directory
+   * @param {string|Buffer} content - File content
+   */
+  emitFile(fileName, content) {
+    this.emittedFiles.set(normalizeOutputPath(fileName, 'Emitted file'), content);
+  }
+
+  /**
+   * Write all queued emitted files into the output directory
+   * @param {string} outputRoot - Output root directory
+   * @returns {Promise<number>} Number of files written
+   */
+  async writeEmittedFiles(outputRoot) {
+    let written = 0;
+
+    for (const [fileName, content] of this.emittedFiles) {
+      const outputPath = path.join(outputRoot, fileName);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, content);
+      logger.debug(`Wrote emitted file: ${fileName}`);
+      written++;
+    }
+
+    this.emittedFiles.clear();
+    return written;
+  }
+}
+
+/**
+ * Normalize a plugin-chosen output path, relative to the output directory
+ * @param {string} fileName - Path relative to the output directory
+ * @param {string} label - What the path names, for the error message
+ * @returns {string} Normalized relative path
+ * @throws {Error} When the path leaves the output directory
+ */
+export function normalizeOutputPath(fileName, label) {
+  const normalized = path.normalize(fileName).replace(/^([/\\])+/, '');
+  if (normalized === '..' || normalized.startsWith('..' + path.sep)) {
+    throw new Error(`${label} must stay inside the output directory: ${fileName}`);
+  }
+  return normalized;
+}
+
+/**
+ * Resolve one `plugins` config entry to a plugin object
+ * @param {Object|Function|string|Array} spec - Plugin entry
+ * @param {string} baseDir - Directory relative paths and package names resolve from
+ * @returns {Promise<Object>} Plugin object
+ */
+async function loadPlugin(spec, baseDir) {
+  const [entry, options] = Array.isArray(spec) ? spec : [spec, undefined];
+  let plugin = entry;
+
+  if (typeof plugin === 'string') {
+    try {
+      const module = await import(resolvePluginModule(plugin, baseDir));
+      plugin = module.default || module;
+    } catch (error) {
+      throw new PluginError(entry, 'load', error);
+    }
+  }
+
+  if (typeof plugin === 'function') {
+    plugin = await plugin(options);
+  }
+
+  return plugin;
+}
+
+/**
+ * Resolve a plugin module specifier to a URL. Packages are looked up from baseDir (the
+ * project), not from where dompile is installed.
+ * @param {string} specifier - Path or package name
+ * @param {string} baseDir - Directory to resolve from
+ * @returns {string} File URL of the module
+ * @throws {Error} When the package can't be found from baseDir
+ */
+function resolvePluginModule(specifier, baseDir) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return pathToFileURL(path.resolve(baseDir, specifier)).href;
+  }
+  
+  try {
+    return pathToFileURL(createRequire(path.join(baseDir, 'noop.js')).resolve(specifier)).href;
+  } catch {
+    throw new Error(`cannot find package "${specifier}" from ${baseDir}`);
+  }
+}
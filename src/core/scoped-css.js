@@ -0,0 +1,252 @@
+/**
+ * Scoped CSS for dompile
+ * Rewrites component stylesheets so their selectors only match inside the component
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+
+// At-rules whose blocks contain ordinary style rules; other blocks (@keyframes,
+// @font-face, @page, ...) are copied unchanged
+const GROUPING_AT_RULES = ['media', 'supports', 'container', 'layer', 'document'];
+
+// Pseudo-elements that may be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = /^:(before|after|first-line|first-letter)(?![\w-])/i;
+
+/**
+ * Get the attribute that marks the elements of a component.
+ * The name is derived from the component's path, so it is stable between builds.
+ * @param {string} componentPath - Absolute component path
+ * @param {string} sourceRoot - Source root directory
+ * @returns {string} Attribute name, e.g. `data-scope-1a2b3c4d`
+ */
+export function getScopeAttribute(componentPath, sourceRoot) {
+  const relativePath = path.relative(sourceRoot, componentPath).split(path.sep).join('/');
+  const hash = crypto.createHash('sha256').update(relativePath).digest('hex').slice(0, 8);
+  return `data-scope-${hash}`;
+}
+
+/**
+ * Scope a stylesheet to the elements of a component.
+ * Every element the component renders carries the scope attribute, so each selector's
+ * last compound must also carry it: `.card .title` becomes `.card .title[data-scope-x]`.
+ * Elements of nested components and content slotted in by the includer don't match.
+ * Pseudo-elements stay last.
+ * @param {string} css - Stylesheet text
+ * @param {string} attribute - Scope attribute name
+ * @returns {string} Scoped stylesheet
+ *
+ * @example
+ * scopeCSS('.title::before { content: "#"; }', 'data-scope-1a2b3c4d');
+ * // '.title[data-scope-1a2b3c4d]::before { content: "#"; }'
+ */
+export function scopeCSS(css, attribute) {
+  return scopeRules(css, `[${attribute}]`);
+}
+
+/**
+ * Scope the rules of a stylesheet or grouping at-rule block
+ * @param {string} css - Stylesheet text
+ * @param {string} scope - Selector suffix to add
+ * @returns {string} Scoped text
+ */
+function scopeRules(css, scope) {
+  let result = '';
+  let index = 0;
+
+  while (index < css.length) {
+    const end = findPreludeEnd(css, index);
+
+    // Statement at-rules (@import, @layer a, b;), stray braces and trailing text
+    if (css[end] !== '{') {
+      result += css.slice(index, end + 1);
+      index = end + 1;
+      continue;
+    }
+
+    const prelude = css.slice(index, end);
+    const close = findBlockEnd(css, end);
+    const body = css.slice(end + 1, close);
+    const atRule = prelude.trim().match(/^@([\w-]+)/);
+
+    if (atRule) {
+      const grouping = GROUPING_AT_RULES.includes(atRule[1].toLowerCase());
+      result += `${prelude}{${grouping ? scopeRules(body, scope) : body}`;
+    } else {
+      const selectors = splitSelectors(prelude.replace(/\/\*[\s\S]*?\*\//g, ''));
+      result += `${selectors.map(selector => scopeSelector(selector, scope)).join(',')}{${body}`;
+    }
+
+    result += css.slice(close, close + 1);
+    index = close + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Add the scope to one selector, keeping its surrounding whitespace
+ * @param {string} selector - Complex selector
+ * @param {string} scope - Selector suffix to add
+ * @returns {string} Scoped selector
+ */
+function scopeSelector(selector, scope) {
+  const core = selector.trim();
+  if (!core) {
+    return selector;
+  }
+
+  const leading = selector.slice(0, selector.indexOf(core));
+  const trailing = selector.slice(leading.length + core.length);
+
+  // Find the last compound selector, then any pseudo-element inside it
+  let compoundStart = 0;
+  scanTopLevel(core, 0, (char, index) => {
+    if (/[\s>+~]/.test(char)) {
+      compoundStart = index + 1;
+    }
+  });
+
+  let insertAt = core.length;
+  scanTopLevel(core, compoundStart, (char, index) => {
+    const rest = core.slice(index);
+    if (rest.startsWith('::') || LEGACY_PSEUDO_ELEMENTS.test(rest)) {
+      insertAt = index;
+      return true;
+    }
+  });
+
+  return `${leading}${core.slice(0, insertAt)}${scope}${core.slice(insertAt)}${trailing}`;
+}
+
+/**
+ * Split a selector list at its top-level commas
+ * @param {string} prelude - Selector list
+ * @returns {string[]} Selectors, with their whitespace
+ */
+function splitSelectors(prelude) {
+  const selectors = [];
+  let start = 0;
+
+  scanTopLevel(prelude, 0, (char, index) => {
+    if (char === ',') {
+      selectors.push(prelude.slice(start, index));
+      start = index + 1;
+    }
+  });
+
+  selectors.push(prelude.slice(start));
+  return selectors;
+}
+
+/**
+ * Call a visitor for each character of a selector outside strings, brackets and parentheses
+ * @param {string} text - Selector text
+ * @param {number} start - Index to start at
+ * @param {function(string, number): boolean|void} visit - Visitor; returning true stops the scan
+ */
+function scanTopLevel(text, start, visit) {
+  let depth = 0;
+
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+
+    if (char === '\\') {
+      index++;
+    } else if (char === '"' || char === "'") {
+      index = findStringEnd(text, index);
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && visit(char, index)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Find the `{`, `;` or `}` that ends a rule prelude
+ * @param {string} css - Stylesheet text
+ * @param {number} start - Index of the prelude
+ * @returns {number} Index of the terminator, or css.length
+ */
+function findPreludeEnd(css, start) {
+  let depth = 0;
+
+  for (let index = start; index < css.length; index++) {
+    const char = css[index];
+
+    if (css.startsWith('/*', index)) {
+      index = findCommentEnd(css, index);
+    } else if (char === '"' || char === "'") {
+      index = findStringEnd(css, index);
+    } else if (char === '\\') {
+      index++;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (depth === 0 && (char === '{' || char === ';' || char === '}')) {
+      return index;
+    }
+  }
+
+  return css.length;
+}
+
+/**
+ * Find the `}` matching a `{`
+ * @param {string} css - Stylesheet text
+ * @param {number} open - Index of the `{`
+ * @returns {number} Index of the matching `}`, or css.length if the block is not closed
+ */
+function findBlockEnd(css, open) {
+  let depth = 0;
+
+  for (let index = open; index < css.length; index++) {
+    const char = css[index];
+
+    if (css.startsWith('/*', index)) {
+      index = findCommentEnd(css, index);
+    } else if (char === '"' || char === "'") {
+      index = findStringEnd(css, index);
+    } else if (char === '\\') {
+      index++;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return index;
+    }
+  }
+
+  return css.length;
+}
+
+/**
+ * Find the last character of a comment
+ * @param {string} css - Stylesheet text
+ * @param {number} start - Index of the `/*`
+ * @returns {number} Index of the closing `/`, or the last index if the comment is not closed
+ */
+function findCommentEnd(css, start) {
+  const end = css.indexOf('*/', start + 2);
+  return end === -1 ? css.length - 1 : end + 1;
+}
+
+/**
+ * Find the closing quote of a string, honouring backslash escapes
+ * @param {string} text - Text containing the string
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index of the closing quote, or the last index if the string is not closed
+ */
+function findStringEnd(text, start) {
+  for (let index = start + 1; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text[index] === text[start]) {
+      return index;
+    }
+  }
+  return text.length - 1;
+}
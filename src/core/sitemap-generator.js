@@ -55,9 +55,10 @@ export function generateSitemap(pages, baseUrl, options = {}) {
  * @param {string} sourceRoot - Source root directory
  * @param {string} outputRoot - Output root directory
  * @param {boolean} prettyUrls - Whether pretty URLs are enabled
+ * @param {Object} defaults - Site-wide `changefreq`/`priority` overriding the URL heuristics
  * @returns {Array<Object>} Array of page information objects
  */
-export function extractPageInfo(processedFiles, sourceRoot, outputRoot, prettyUrls = false) {
+export function extractPageInfo(processedFiles, sourceRoot, outputRoot, prettyUrls = false, defaults = {}) {
   const pages = [];
 
   for (const filePath of processedFiles) {
@@ -110,8 +111,8 @@ export function extractPageInfo(processedFiles, sourceRoot, outputRoot, prettyUr
       path: filePath,
       relativePath,
       // Default values - can be enhanced with frontmatter data later
-      priority: getPagePriority(url),
-      changefreq: getPageChangefreq(url),
+      priority: defaults.priority != null ? String(defaults.priority) : getPagePriority(url),
+      changefreq: defaults.changefreq || getPageChangefreq(url),
       lastmod: new Date().toISOString().split('T')[0]
     });
   }
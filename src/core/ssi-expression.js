@@ -0,0 +1,269 @@
+/**
+ * SSI Expression Evaluator for dompile
+ * Evaluates the classic Apache mod_include expressions used by #if and #elif
+ */
+
+import { interpolateVariables, DEFAULT_TIMEFMT } from './ssi-variables.js';
+
+// Characters that end an unquoted string token
+const WORD_TERMINATORS = /[\s()=!<>&|'"]/;
+
+// Comparison operators and their string comparisons
+const COMPARISONS = {
+  '=': (left, right) => left === right,
+  '==': (left, right) => left === right,
+  '!=': (left, right) => left !== right,
+  '<': (left, right) => left < right,
+  '<=': (left, right) => left <= right,
+  '>': (left, right) => left > right,
+  '>=': (left, right) => left >= right
+};
+
+/**
+ * Evaluate an SSI expression against a variable scope.
+ *
+ * Supported syntax (Apache's legacy expression parser):
+ * - `$name`, `${name}` - variables, substituted inside strings as well
+ * - `'text'`, `"text"`, `text` - strings; a lone string is true when non-empty
+ * - `a = b`, `a != b`, `<`, `<=`, `>`, `>=` - string comparison
+ * - `a = /regex/`, `a != /regex/` - regular expression match
+ * - `!`, `&&`, `||` and parentheses for grouping
+ *
+ * @param {string} expression - Expression text from the expr attribute
+ * @param {Object} variables - Current variable scope
+ * @param {string} [timefmt=DEFAULT_TIMEFMT] - strftime-style format for date variables
+ * @returns {boolean} Result of the expression
+ * @throws {Error} When the expression cannot be parsed
+ *
+ * @example
+ * evaluateExpression('$DOCUMENT_URI = /^\\/blog\\//', scope); // true for blog pages
+ * evaluateExpression('$section = docs || !$title', scope);
+ */
+export function evaluateExpression(expression, variables, timefmt = DEFAULT_TIMEFMT) {
+  const tokens = tokenizeExpression(expression);
+
+  if (tokens.length === 0) {
+    throw new Error('empty expression');
+  }
+
+  const parser = { tokens, position: 0, variables, timefmt, expression };
+  const result = parseOr(parser);
+
+  if (parser.position < tokens.length) {
+    throw new Error(`unexpected "${tokens[parser.position].text}" in expression "${expression}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Expression text
+ * @returns {Array<{type: string, text: string, value?: string}>} Tokens
+ * @throws {Error} When a string or regex is not terminated
+ */
+function tokenizeExpression(expression) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+    const pair = expression.slice(index, index + 2);
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (['&&', '||', '!=', '==', '<=', '>='].includes(pair)) {
+      tokens.push({ type: 'operator', text: pair });
+      index += 2;
+    } else if ('()!=<>'.includes(char)) {
+      tokens.push({ type: 'operator', text: char });
+      index++;
+    } else if (char === '/') {
+      const end = findClosingDelimiter(expression, index, '/');
+      if (end === -1) {
+        throw new Error(`unterminated regular expression in "${expression}"`);
+      }
+      tokens.push({ type: 'regex', text: expression.slice(index, end + 1), value: expression.slice(index + 1, end) });
+      index = end + 1;
+    } else if (char === '"' || char === "'") {
+      const end = findClosingDelimiter(expression, index, char);
+      if (end === -1) {
+        throw new Error(`unterminated string in "${expression}"`);
+      }
+      const raw = expression.slice(index + 1, end);
+      tokens.push({ type: 'string', text: expression.slice(index, end + 1), value: raw.replace(new RegExp(`\\\\${char}`, 'g'), char) });
+      index = end + 1;
+    } else if (char === '&' || char === '|') {
+      throw new Error(`unexpected "${char}" in expression "${expression}" (use ${char}${char})`);
+    } else {
+      let end = index;
+      while (end < expression.length && !WORD_TERMINATORS.test(expression[end])) {
+        // Keep ${name} together even though it could contain terminators
+        if (expression[end] === '$' && expression[end + 1] === '{') {
+          const close = expression.indexOf('}', end);
+          end = close === -1 ? expression.length : close + 1;
+        } else {
+          end++;
+        }
+      }
+      const word = expression.slice(index, end);
+      tokens.push({ type: 'string', text: word, value: word });
+      index = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the closing delimiter of a quoted string or regex, honouring backslash escapes
+ * @param {string} expression - Expression text
+ * @param {number} start - Index of the opening delimiter
+ * @param {string} delimiter - Delimiter character
+ * @returns {number} Index of the closing delimiter or -1
+ */
+function findClosingDelimiter(expression, start, delimiter) {
+  for (let index = start + 1; index < expression.length; index++) {
+    if (expression[index] === '\\') {
+      index++;
+    } else if (expression[index] === delimiter) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse `a || b`
+ * @param {Object} parser - Parser state
+ * @returns {boolean} Result
+ */
+function parseOr(parser) {
+  let result = parseAnd(parser);
+
+  while (peekOperator(parser, '||')) {
+    parser.position++;
+    const right = parseAnd(parser);
+    result = result || right;
+  }
+
+  return result;
+}
+
+/**
+ * Parse `a && b`
+ * @param {Object} parser - Parser state
+ * @returns {boolean} Result
+ */
+function parseAnd(parser) {
+  let result = parseUnary(parser);
+
+  while (peekOperator(parser, '&&')) {
+    parser.position++;
+    const right = parseUnary(parser);
+    result = result && right;
+  }
+
+  return result;
+}
+
+/**
+ * Parse `!a`
+ * @param {Object} parser - Parser state
+ * @returns {boolean} Result
+ */
+function parseUnary(parser) {
+  if (peekOperator(parser, '!')) {
+    parser.position++;
+    return !parseUnary(parser);
+  }
+
+  return parsePrimary(parser);
+}
+
+/**
+ * Parse a parenthesised group, a comparison or a lone string
+ * @param {Object} parser - Parser state
+ * @returns {boolean} Result
+ */
+function parsePrimary(parser) {
+  if (peekOperator(parser, '(')) {
+    parser.position++;
+    const result = parseOr(parser);
+    if (!peekOperator(parser, ')')) {
+      throw new Error(`missing ")" in expression "${parser.expression}"`);
+    }
+    parser.position++;
+    return result;
+  }
+
+  const left = parseString(parser);
+  const token = parser.tokens[parser.position];
+
+  if (!token || token.type !== 'operator' || !COMPARISONS[token.text]) {
+    return left !== '';
+  }
+
+  parser.position++;
+  const operator = token.text;
+  const rightToken = parser.tokens[parser.position];
+
+  if (rightToken && rightToken.type === 'regex') {
+    parser.position++;
+    if (operator !== '=' && operator !== '==' && operator !== '!=') {
+      throw new Error(`regular expressions can only be compared with = or != in "${parser.expression}"`);
+    }
+    const matched = compileRegex(rightToken.value, parser.expression).test(left);
+    return operator === '!=' ? !matched : matched;
+  }
+
+  const right = parseString(parser);
+  return COMPARISONS[operator](left, right);
+}
+
+/**
+ * Parse one or more adjacent strings (joined with a space, as Apache does)
+ * @param {Object} parser - Parser state
+ * @returns {string} String value with variables substituted
+ */
+function parseString(parser) {
+  const parts = [];
+
+  while (parser.tokens[parser.position] && parser.tokens[parser.position].type === 'string') {
+    parts.push(interpolateVariables(parser.tokens[parser.position].value, parser.variables, parser.timefmt));
+    parser.position++;
+  }
+
+  if (parts.length === 0) {
+    const token = parser.tokens[parser.position];
+    const found = token ? `"${token.text}"` : 'end of expression';
+    throw new Error(`expected a string or variable but found ${found} in "${parser.expression}"`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Check whether the current token is a specific operator
+ * @param {Object} parser - Parser state
+ * @param {string} operator - Operator text
+ * @returns {boolean} True if the current token matches
+ */
+function peekOperator(parser, operator) {
+  const token = parser.tokens[parser.position];
+  return Boolean(token) && token.type === 'operator' && token.text === operator;
+}
+
+/**
+ * Compile a regex from an expression
+ * @param {string} source - Regex source between the slashes
+ * @param {string} expression - Full expression (for messages)
+ * @returns {RegExp} Compiled regular expression
+ */
+function compileRegex(source, expression) {
+  try {
+    return new RegExp(source);
+  } catch (error) {
+    throw new Error(`invalid regular expression /${source}/ in "${expression}"`);
+  }
+}
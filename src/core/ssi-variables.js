@@ -0,0 +1,325 @@
+/**
+ * SSI Variable Support for dompile
+ * Variable scopes, built-in variables and value encoding for #set / #echo
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Apache's default time format for date variables
+ */
+export const DEFAULT_TIMEFMT = '%A, %d-%b-%Y %H:%M:%S %Z';
+
+/**
+ * Text Apache prints when #echo references an undefined variable
+ */
+export const DEFAULT_ECHOMSG = '(none)';
+
+/**
+ * Apache's default message for directives that cannot be processed
+ */
+export const DEFAULT_ERRMSG = '[an error occurred while processing this directive]';
+
+/**
+ * Size formats accepted by #config sizefmt
+ */
+export const SIZE_FORMATS = ['bytes', 'abbrev'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Create the root variable scope for a page, holding the SSI built-in variables.
+ * Date built-ins are stored as Date objects and formatted with the current
+ * timefmt when echoed.
+ * @param {string} filePath - Absolute path of the page being processed
+ * @param {string} sourceRoot - Absolute path to the source root directory
+ * @param {Object|null} [site=null] - Site data from the data directory, readable as `site.<name>`
+ * @returns {Promise<Object>} Root variable scope
+ */
+export async function createSSIEnvironment(filePath, sourceRoot, site = null) {
+  const scope = Object.create(null);
+  const relativePath = path.relative(sourceRoot, filePath).split(path.sep).join('/');
+
+  let lastModified = new Date();
+  try {
+    const stats = await fs.stat(filePath);
+    lastModified = stats.mtime;
+  } catch {
+    // Page may only exist in memory (e.g. processIncludes called directly)
+  }
+
+  const now = new Date();
+
+  scope.DOCUMENT_NAME = path.basename(filePath).replace(/\.md$/i, '.html');
+  scope.DOCUMENT_URI = '/' + relativePath.replace(/\.md$/i, '.html');
+  scope.LAST_MODIFIED = lastModified;
+  scope.DATE_LOCAL = now;
+  scope.DATE_GMT = new UTCDate(now);
+
+  if (site) {
+    scope.site = site;
+  }
+
+  return scope;
+}
+
+/**
+ * Create the #config settings for a page. A single settings object is shared by the page
+ * and everything it includes, so #config applies from that point on, as in Apache.
+ * @returns {{timefmt: string, sizefmt: string, errmsg: string, echomsg: string}} SSI settings
+ */
+export function createSSIConfig() {
+  return {
+    timefmt: DEFAULT_TIMEFMT,
+    sizefmt: 'abbrev',
+    errmsg: DEFAULT_ERRMSG,
+    echomsg: DEFAULT_ECHOMSG
+  };
+}
+
+/**
+ * Create a child scope. Variables set in the child are not visible to the parent,
+ * while everything defined in the parent stays readable.
+ * @param {Object} parentScope - Enclosing variable scope
+ * @param {Object} [variables={}] - Variables to define in the child scope
+ * @returns {Object} Child variable scope
+ */
+export function createChildScope(parentScope, variables = {}) {
+  const scope = Object.create(parentScope || null);
+  Object.assign(scope, variables);
+  return scope;
+}
+
+/**
+ * Check whether a variable is defined in a scope or any of its parents
+ * @param {Object} scope - Variable scope
+ * @param {string} name - Variable name
+ * @returns {boolean} True if the variable is defined
+ */
+export function hasVariable(scope, name) {
+  return Boolean(scope) && name in scope;
+}
+
+/**
+ * Read a variable as a string, formatting dates with the given time format.
+ * A dotted name that is not a variable itself reads a field of an object variable,
+ * e.g. `site.company.name`.
+ * @param {Object} scope - Variable scope
+ * @param {string} name - Variable name
+ * @param {string} [timefmt=DEFAULT_TIMEFMT] - strftime-style format for date values
+ * @returns {string|undefined} Variable value or undefined if not defined
+ */
+export function getVariable(scope, name, timefmt = DEFAULT_TIMEFMT) {
+  if (hasVariable(scope, name)) {
+    return stringifyValue(scope[name], timefmt);
+  }
+
+  const [root, ...keys] = name.split('.');
+  if (keys.length === 0 || !hasVariable(scope, root)) {
+    return undefined;
+  }
+
+  let value = scope[root];
+  for (const key of keys) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return stringifyValue(value, timefmt);
+}
+
+/**
+ * Convert a variable value to its string form
+ * @param {*} value - Variable value
+ * @param {string} timefmt - strftime-style format for date values
+ * @returns {string} String value
+ */
+function stringifyValue(value, timefmt) {
+  if (value instanceof UTCDate) {
+    return formatTime(value.date, timefmt, true);
+  }
+  if (value instanceof Date) {
+    return formatTime(value, timefmt);
+  }
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Substitute `$name` and `${name}` references in a #set value.
+ * A backslash escapes a literal dollar sign; undefined variables expand to an empty string.
+ * @param {string} value - Raw attribute value
+ * @param {Object} scope - Variable scope
+ * @param {string} [timefmt=DEFAULT_TIMEFMT] - strftime-style format for date values
+ * @returns {string} Value with variables substituted
+ */
+export function interpolateVariables(value, scope, timefmt = DEFAULT_TIMEFMT) {
+  return value.replace(/\\\$|\$\{([^}]+)\}|\$([A-Za-z_]\w*)/g, (match, braced, bare) => {
+    if (match === '\\$') {
+      return '$';
+    }
+    return getVariable(scope, braced || bare, timefmt) ?? '';
+  });
+}
+
+/**
+ * Encode a value for output as #echo does
+ * @param {string} value - Value to encode
+ * @param {string} [encoding='entity'] - 'entity', 'url' or 'none'
+ * @returns {string} Encoded value
+ * @throws {Error} When the encoding is not supported
+ */
+export function encodeValue(value, encoding = 'entity') {
+  switch (encoding.toLowerCase()) {
+    case 'none':
+      return value;
+    case 'url':
+      return encodeURIComponent(value);
+    case 'entity':
+      return escapeHtml(value);
+    default:
+      throw new Error(`Unknown echo encoding "${encoding}" (expected none, url or entity)`);
+  }
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} str - String to escape
+ * @returns {string} HTML-escaped string
+ */
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a file size as #fsize does
+ * @param {number} size - Size in bytes
+ * @param {string} [sizefmt='abbrev'] - 'bytes' for the exact count with separators, 'abbrev' for K/M/G
+ * @returns {string} Formatted size
+ */
+export function formatSize(size, sizefmt = 'abbrev') {
+  if (sizefmt === 'bytes') {
+    return String(size).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  }
+  
+  const units = ['K', 'M', 'G', 'T'];
+  let value = size;
+  let unit = '';
+  
+  for (const next of units) {
+    if (value < 1024) break;
+    value /= 1024;
+    unit = next;
+  }
+  
+  if (!unit) {
+    return String(size);
+  }
+  
+  return (value < 10 ? value.toFixed(1).replace(/\.0$/, '') : String(Math.round(value))) + unit;
+}
+
+/**
+ * Format a date using the strftime conversions supported by Apache's timefmt
+ * @param {Date} date - Date to format
+ * @param {string} [format=DEFAULT_TIMEFMT] - strftime-style format string
+ * @param {boolean} [utc=false] - Format in UTC instead of local time
+ * @returns {string} Formatted date
+ */
+export function formatTime(date, format = DEFAULT_TIMEFMT, utc = false) {
+  const get = {
+    year: utc ? date.getUTCFullYear() : date.getFullYear(),
+    month: utc ? date.getUTCMonth() : date.getMonth(),
+    day: utc ? date.getUTCDate() : date.getDate(),
+    weekday: utc ? date.getUTCDay() : date.getDay(),
+    hours: utc ? date.getUTCHours() : date.getHours(),
+    minutes: utc ? date.getUTCMinutes() : date.getMinutes(),
+    seconds: utc ? date.getUTCSeconds() : date.getSeconds()
+  };
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+  return format.replace(/%([a-zA-Z%])/g, (match, code) => {
+    switch (code) {
+      case 'a': return DAY_NAMES[get.weekday].slice(0, 3);
+      case 'A': return DAY_NAMES[get.weekday];
+      case 'b':
+      case 'h': return MONTH_NAMES[get.month].slice(0, 3);
+      case 'B': return MONTH_NAMES[get.month];
+      case 'd': return pad(get.day);
+      case 'e': return String(get.day).padStart(2, ' ');
+      case 'm': return pad(get.month + 1);
+      case 'y': return pad(get.year % 100);
+      case 'Y': return String(get.year);
+      case 'H': return pad(get.hours);
+      case 'I': return pad(get.hours % 12 || 12);
+      case 'M': return pad(get.minutes);
+      case 'S': return pad(get.seconds);
+      case 'p': return get.hours < 12 ? 'AM' : 'PM';
+      case 'j': return pad(getDayOfYear(date, utc), 3);
+      case 'F': return `${get.year}-${pad(get.month + 1)}-${pad(get.day)}`;
+      case 'T': return `${pad(get.hours)}:${pad(get.minutes)}:${pad(get.seconds)}`;
+      case 'D': return `${pad(get.month + 1)}/${pad(get.day)}/${pad(get.year % 100)}`;
+      case 'Z': return utc ? 'GMT' : getTimeZoneName(date);
+      case 'z': return utc ? '+0000' : getTimeZoneOffset(date);
+      case 's': return String(Math.floor(date.getTime() / 1000));
+      case '%': return '%';
+      default: return match;
+    }
+  });
+}
+
+/**
+ * Get the 1-based day of the year
+ * @param {Date} date - Date
+ * @param {boolean} utc - Use UTC fields
+ * @returns {number} Day of year
+ */
+function getDayOfYear(date, utc) {
+  const year = utc ? date.getUTCFullYear() : date.getFullYear();
+  const start = utc ? Date.UTC(year, 0, 1) : new Date(year, 0, 1).getTime();
+  return Math.floor((date.getTime() - start) / 86400000) + 1;
+}
+
+/**
+ * Get the short local time zone name (e.g. "CET")
+ * @param {Date} date - Date
+ * @returns {string} Time zone abbreviation
+ */
+function getTimeZoneName(date) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(entry => entry.type === 'timeZoneName');
+  return part ? part.value : getTimeZoneOffset(date);
+}
+
+/**
+ * Get the local UTC offset in +hhmm form
+ * @param {Date} date - Date
+ * @returns {string} UTC offset
+ */
+function getTimeZoneOffset(date) {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const absolute = Math.abs(offset);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Marker for date variables that are formatted in UTC (DATE_GMT)
+ */
+class UTCDate {
+  constructor(date) {
+    this.date = date;
+  }
+}
@@ -0,0 +1,477 @@
+/**
+ * Template engine for dompile
+ * A small logic-less template language for markdown layouts
+ */
+
+import { logger } from '../utils/logger.js';
+import { createCodeFrame, getLocation } from '../utils/code-frame.js';
+import { TemplateError } from '../utils/errors.js';
+import { advanceHTMLState, createHTMLState, escapeForContext, getOutputContext, isSafeCSSValue, isSafeURL, isUnquotedCSS } from '../utils/html-context.js';
+import { formatTime } from './ssi-variables.js';
+
+// `{{{ raw }}}` must be tried before `{{ escaped }}`
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+// Expression arguments: double- or single-quoted strings, or bare words
+const ARGUMENT_PATTERN = /"([^"]*)"|'([^']*)'|(\S+)/g;
+
+const PATH_PATTERN = /^(?:this|@?[\w-]+)(?:\.[\w-]+)*$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+
+/**
+ * Block helpers accepted as `{{#name path}} ... {{else}} ... {{/name}}`
+ */
+export const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+/**
+ * Formatting helpers accepted as `{{ name value args... }}`
+ */
+export const TEMPLATE_HELPERS = {
+  date: formatDate,
+  number: formatNumber
+};
+
+/**
+ * HTML that `{{ }}` outputs without escaping, such as rendered page content
+ */
+export class SafeString {
+  /**
+   * @param {string} value - Trusted HTML
+   */
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  /**
+   * @returns {string} The HTML
+   */
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Render a template with data.
+ *
+ * - `{{ path.to.value }}` outputs a value escaped for where it lands: element text, an
+ *   attribute, a URL attribute (where unsafe schemes are replaced) or a script string.
+ *   `{{{ path }}}` outputs it raw
+ * - `{{#if path}}`, `{{#unless path}}` and `{{#each path}}` render their body
+ *   conditionally or once per list item / object entry, with an optional `{{else}}`
+ * - Inside `#each`, `this` is the current item and `@index`, `@key`, `@first` and
+ *   `@last` describe its position; other names fall back to the enclosing data
+ * - `{{ date path "%Y-%m-%d" }}` and `{{ number path 2 }}` format values
+ * - `{{! comment }}` is dropped
+ *
+ * Only own properties are looked up, so templates can't reach prototype members.
+ * Unknown variables output nothing and are reported as warnings.
+ * @param {string} template - Template text
+ * @param {Object} data - Values available to the template
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.filePath] - Template file, named in warnings and errors
+ * @returns {string} Rendered text
+ * @throws {TemplateError} When the template is malformed or a helper rejects its value
+ *
+ * @example
+ * renderTemplate('{{#each tags}}<li>{{ this }}</li>{{/each}}', { tags: ['a&b'] });
+ * // '<li>a&amp;b</li>'
+ */
+export function renderTemplate(template, data, options = {}) {
+  const context = { template, filePath: options.filePath || null };
+  const nodes = parseTemplate(context);
+  return renderNodes(nodes, [{ value: data }], context);
+}
+
+/**
+ * Parse a template into a tree of text, output and block nodes
+ * @param {Object} context - Template text and file path
+ * @returns {Object[]} Top-level nodes
+ * @throws {TemplateError} When blocks are unbalanced or an expression is invalid
+ */
+function parseTemplate(context) {
+  const { template } = context;
+  const root = { branch: [] };
+  const stack = [root];
+  const htmlState = createHTMLState();
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    const offset = match.index;
+    const raw = match[1] !== undefined;
+    const expression = raw ? match[1] : match[2];
+
+    if (offset > lastIndex) {
+      const text = template.slice(lastIndex, offset);
+      current.branch.push({ type: 'text', value: text });
+      advanceHTMLState(htmlState, text);
+    }
+    lastIndex = offset + match[0].length;
+
+    if (raw) {
+      getOutputContext(htmlState);
+      current.branch.push({ type: 'output', expression: parseExpression(expression, context, offset), raw, offset });
+    } else if (expression.startsWith('!')) {
+      continue;
+    } else if (expression.startsWith('#')) {
+      const [helper, path, ...rest] = expression.slice(1).trim().split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw createTemplateError(`Unknown block helper "#${helper}" (expected ${BLOCK_HELPERS.map(name => `#${name}`).join(', ')})`, context, offset);
+      }
+      if (!path || rest.length > 0 || !PATH_PATTERN.test(path)) {
+        throw createTemplateError(`{{#${helper}}} expects a single variable`, context, offset);
+      }
+
+      const block = { type: 'block', helper, path, offset, children: [], inverse: [] };
+      block.branch = block.children;
+      current.branch.push(block);
+      stack.push(block);
+    } else if (expression.startsWith('/')) {
+      const helper = expression.slice(1).trim();
+      if (current === root) {
+        throw createTemplateError(`Unexpected {{/${helper}}} without an open block`, context, offset);
+      }
+      if (helper !== current.helper) {
+        throw createTemplateError(`Unexpected {{/${helper}}} (expected {{/${current.helper}}})`, context, offset);
+      }
+      stack.pop();
+    } else if (expression === 'else') {
+      if (current === root || current.branch === current.inverse) {
+        throw createTemplateError('Unexpected {{else}}', context, offset);
+      }
+      current.branch = current.inverse;
+    } else {
+      const htmlContext = getOutputContext(htmlState);
+      if (htmlContext.type === 'invalid') {
+        throw createTemplateError(`{{ ${expression} }} can't be escaped ${htmlContext.reason} (use {{{ ${expression} }}} for trusted markup)`, context, offset);
+      }
+      current.branch.push({ type: 'output', expression: parseExpression(expression, context, offset), raw, htmlContext, offset });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw createTemplateError(`Unclosed {{#${block.helper}}}`, context, block.offset);
+  }
+
+  if (lastIndex < template.length) {
+    root.branch.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  return root.branch;
+}
+
+/**
+ * Parse an output expression: a variable, a literal, or a helper call
+ * @param {string} expression - Text between the braces
+ * @param {Object} context - Template text and file path
+ * @param {number} offset - Offset of the tag, for errors
+ * @returns {Object} `{ value }`, `{ path }` or `{ helper, args }`
+ * @throws {TemplateError} When the expression is empty, malformed or calls an unknown helper
+ */
+function parseExpression(expression, context, offset) {
+  const args = [...expression.matchAll(ARGUMENT_PATTERN)].map(match => {
+    if (match[3] === undefined) {
+      return { value: match[1] ?? match[2] };
+    }
+    if (NUMBER_PATTERN.test(match[3])) {
+      return { value: Number(match[3]) };
+    }
+    if (!PATH_PATTERN.test(match[3])) {
+      throw createTemplateError(`Invalid template expression "${expression}"`, context, offset);
+    }
+    return { path: match[3] };
+  });
+
+  if (args.length === 0) {
+    throw createTemplateError('Empty template expression', context, offset);
+  }
+  if (args.length === 1) {
+    return args[0];
+  }
+
+  const helper = args[0].path;
+  if (!Object.hasOwn(TEMPLATE_HELPERS, helper)) {
+    throw createTemplateError(`Unknown template helper "${helper}" (expected ${Object.keys(TEMPLATE_HELPERS).join(', ')})`, context, offset);
+  }
+  return { helper, args: args.slice(1) };
+}
+
+/**
+ * Render a list of nodes
+ * @param {Object[]} nodes - Parsed nodes
+ * @param {Object[]} frames - Data frames, outermost first
+ * @param {Object} context - Template text and file path
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, frames, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'output') {
+      const value = evaluate(node.expression, frames, context, node.offset);
+      const text = stringify(value);
+      output += node.raw || value instanceof SafeString ? text : escapeOutput(text, node, context);
+    } else {
+      output += renderBlock(node, frames, context);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render an #if, #unless or #each block
+ * @param {Object} block - Block node
+ * @param {Object[]} frames - Data frames, outermost first
+ * @param {Object} context - Template text and file path
+ * @returns {string} Rendered text
+ */
+function renderBlock(block, frames, context) {
+  // Missing values are a normal reason to skip a block, so they aren't reported
+  const { value } = lookup(block.path, frames);
+
+  if (block.helper === 'if' || block.helper === 'unless') {
+    const show = isTruthy(value) === (block.helper === 'if');
+    return renderNodes(show ? block.children : block.inverse, frames, context);
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => ({ value: item, index, key: index }))
+    : isObject(value) && !(value instanceof SafeString) && !(value instanceof Date)
+      ? Object.entries(value).map(([key, item], index) => ({ value: item, index, key }))
+      : [];
+
+  if (entries.length === 0) {
+    return renderNodes(block.inverse, frames, context);
+  }
+
+  return entries.map(entry => renderNodes(block.children, [...frames, {
+    ...entry,
+    each: true,
+    first: entry.index === 0,
+    last: entry.index === entries.length - 1
+  }], context)).join('');
+}
+
+/**
+ * Evaluate an output expression, warning about unknown variables
+ * @param {Object} expression - Parsed expression
+ * @param {Object[]} frames - Data frames, outermost first
+ * @param {Object} context - Template text and file path
+ * @param {number} offset - Offset of the tag, for warnings and errors
+ * @returns {*} Value
+ * @throws {TemplateError} When a helper rejects its arguments
+ */
+function evaluate(expression, frames, context, offset) {
+  if (expression.path === undefined && expression.helper === undefined) {
+    return expression.value;
+  }
+
+  if (expression.path !== undefined) {
+    const result = lookup(expression.path, frames);
+    if (!result.found) {
+      warnUnknownVariable(expression.path, context, offset);
+    }
+    return result.value;
+  }
+
+  const args = expression.args.map(arg => evaluate(arg, frames, context, offset));
+  try {
+    return TEMPLATE_HELPERS[expression.helper](...args);
+  } catch (error) {
+    throw createTemplateError(`Helper "${expression.helper}" failed: ${error.message}`, context, offset);
+  }
+}
+
+/**
+ * Look up a dotted path, innermost frame first
+ * @param {string} path - Variable path, e.g. `site.company.name`, `this.title` or `@index`
+ * @param {Object[]} frames - Data frames, outermost first
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+function lookup(path, frames) {
+  const [name, ...keys] = path.split('.');
+
+  if (name.startsWith('@')) {
+    const frame = frames.findLast(candidate => candidate.each);
+    const variable = name.slice(1);
+    if (!frame || !['index', 'key', 'first', 'last'].includes(variable)) {
+      return { found: false, value: undefined };
+    }
+    return walk(frame[variable], keys);
+  }
+
+  if (name === 'this') {
+    return walk(frames[frames.length - 1].value, keys);
+  }
+
+  for (let index = frames.length - 1; index >= 0; index--) {
+    const value = frames[index].value;
+    if (isObject(value) && Object.hasOwn(value, name)) {
+      return walk(value[name], keys);
+    }
+  }
+
+  return { found: false, value: undefined };
+}
+
+/**
+ * Follow own properties from a value
+ * @param {*} value - Starting value
+ * @param {string[]} keys - Property names
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+function walk(value, keys) {
+  for (const key of keys) {
+    if (!isObject(value) || !Object.hasOwn(value, key)) {
+      return { found: false, value: undefined };
+    }
+    value = value[key];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Escape an output value for the HTML context it lands in.
+ * URL attributes can't start with a scheme outside SAFE_URL_SCHEMES (such as `javascript:`),
+ * and CSS values outside strings are limited to isSafeCSSValue().
+ * @param {string} text - Value text
+ * @param {Object} node - Output node, with its HTML context
+ * @param {Object} context - Template text and file path
+ * @returns {string} Escaped text
+ */
+function escapeOutput(text, node, context) {
+  const { htmlContext } = node;
+
+  if (htmlContext.type === 'url' && htmlContext.start && !isSafeURL(text)) {
+    logger.warn(`Unsafe URL "${text}" in ${htmlContext.attribute} replaced with about:invalid in ${formatLocation(context, node.offset)}`);
+    text = 'about:invalid';
+  }
+  if (isUnquotedCSS(htmlContext) && !isSafeCSSValue(text)) {
+    logger.warn(`Unsafe CSS value "${text}" replaced with invalid in ${formatLocation(context, node.offset)}`);
+    text = 'invalid';
+  }
+  return escapeForContext(text, htmlContext);
+}
+
+/**
+ * Report an unknown variable with its template location
+ * @param {string} path - Variable path
+ * @param {Object} context - Template text and file path
+ * @param {number} offset - Offset of the tag
+ */
+function warnUnknownVariable(path, context, offset) {
+  logger.warn(`Unknown template variable "${path}" in ${formatLocation(context, offset)}`);
+}
+
+/**
+ * Format a template location for warnings
+ * @param {Object} context - Template text and file path
+ * @param {number} offset - Offset in the template
+ * @returns {string} `file:line`, or `line N` for templates without a file
+ */
+function formatLocation(context, offset) {
+  const { line } = getLocation(context.template, offset);
+  return context.filePath ? `${context.filePath}:${line}` : `line ${line}`;
+}
+
+/**
+ * Create a TemplateError pointing at a template offset
+ * @param {string} message - Error message
+ * @param {Object} context - Template text and file path
+ * @param {number} offset - Offset of the offending tag
+ * @returns {TemplateError} Located error
+ */
+function createTemplateError(message, context, offset) {
+  const { line, column } = getLocation(context.template, offset);
+  const codeFrame = createCodeFrame(context.template, line, column);
+  return new TemplateError(message).setLocation(context.filePath, line, column, codeFrame);
+}
+
+/**
+ * Check whether a value counts as true in #if and #unless.
+ * Empty strings, empty lists, 0, false, null and undefined are false.
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is truthy
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value instanceof SafeString) {
+    return value.value !== '';
+  }
+  return Boolean(value);
+}
+
+/**
+ * Convert a value to output text
+ * @param {*} value - Value to convert
+ * @returns {string} Text; nothing for null and undefined, ISO format for dates
+ */
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Check whether a value can have properties
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects and arrays
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Format a date with strftime-style codes, in UTC (YAML dates are UTC midnight)
+ * @param {Date|string|number} value - Date, date string or timestamp
+ * @param {string} [format='%Y-%m-%d'] - Format, as for `<!--#config timefmt -->`
+ * @returns {string} Formatted date; nothing for a missing value
+ * @throws {Error} When the value is not a date
+ */
+function formatDate(value, format = '%Y-%m-%d') {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a date`);
+  }
+  return formatTime(date, String(format), true);
+}
+
+/**
+ * Format a number with thousands separators
+ * @param {number|string} value - Number or numeric string
+ * @param {number} [decimals] - Fixed number of decimal places (default: up to 3)
+ * @returns {string} Formatted number; nothing for a missing value
+ * @throws {Error} When the value is not a number or decimals is out of range
+ */
+function formatNumber(value, decimals) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  if (decimals !== undefined && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= 20)) {
+    throw new Error(`decimals must be an integer from 0 to 20, got "${decimals}"`);
+  }
+
+  const options = decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat('en-US', options).format(number);
+}
@@ -0,0 +1,216 @@
+/**
+ * Public API for dompile
+ * Stable entry point for embedding dompile in Node.js tooling
+ */
+
+import { build, incrementalBuild, initializeModificationCache } from './core/file-processor.js';
+import { watch } from './core/file-watcher.js';
+import { PluginManager } from './core/plugin-manager.js';
+import { DevServer } from './server/dev-server.js';
+import { liveReload } from './server/live-reload.js';
+import { logger } from './utils/logger.js';
+
+export { build, incrementalBuild, initializeModificationCache, getBuildStats } from './core/file-processor.js';
+export { watch } from './core/file-watcher.js';
+export { DevServer } from './server/dev-server.js';
+export {
+  loadConfigFile,
+  findConfigFile,
+  resolveConfig,
+  validateConfig,
+  mergeConfig,
+  DEFAULT_CONFIG,
+  CONFIG_FILE_NAMES
+} from './core/config-loader.js';
+export { PluginManager, PLUGIN_HOOKS } from './core/plugin-manager.js';
+export { liveReload } from './server/live-reload.js';
+export { DependencyTracker } from './core/dependency-tracker.js';
+export { AssetTracker } from './core/asset-tracker.js';
+export {
+  processIncludes,
+  extractIncludeDependencies,
+  extractIncludeDirectives,
+  hasIncludes,
+  parseIncludeDirective
+} from './core/include-processor.js';
+export {
+  processMarkdown,
+  readMarkdownMetadata,
+  isMarkdownFile,
+  wrapInLayout,
+  generateTableOfContents,
+  addAnchorLinks,
+  configureMarkdown,
+  getMarkdownInstance
+} from './core/markdown-processor.js';
+export { renderTemplate, SafeString } from './core/template-engine.js';
+export { processDOMMode, shouldUseDOMMode } from './core/dom-processor.js';
+export { injectHeadContent, getHeadSnippet } from './core/head-injector.js';
+export { generateSitemap } from './core/sitemap-generator.js';
+export {
+  VanillaWaferError,
+  IncludeNotFoundError,
+  CircularDependencyError,
+  IncludeDepthError,
+  PathTraversalError,
+  MalformedDirectiveError,
+  MissingSlotError,
+  ComponentError,
+  MissingPropError,
+  DataError,
+  TemplateError,
+  FileSystemError,
+  InvalidArgumentError,
+  ConfigError,
+  PluginError,
+  BuildError,
+  ServerError
+} from './utils/errors.js';
+
+/**
+ * Create a dompile site instance bound to a configuration.
+ * The site keeps the dependency and asset trackers from its last build so that
+ * subsequent rebuilds can be incremental, loads its plugins once for all of its builds,
+ * and owns any watcher or dev server it starts.
+ *
+ * @param {Object} config - Build configuration (same options as `build()`)
+ * @returns {Object} Site object with lifecycle methods
+ *
+ * @example
+ * import { createDompile } from 'dompile';
+ *
+ * const site = createDompile({ source: 'src', output: 'dist' });
+ * await site.build();
+ * await site.rebuild('src/includes/header.html');
+ */
+export function createDompile(config = {}) {
+  const options = { ...config };
+  const state = {
+    dependencyTracker: null,
+    assetTracker: null,
+    plugins: null,
+    watcher: null,
+    server: null
+  };
+
+  /**
+   * Load the configured plugins on first use
+   * @returns {Promise<PluginManager>} Plugin manager shared by the site's builds
+   */
+  async function getPlugins() {
+    if (!state.plugins) {
+      state.plugins = await PluginManager.create(options.plugins);
+    }
+    return state.plugins;
+  }
+
+  return {
+    /**
+     * Configuration the site was created with
+     */
+    config: options,
+
+    /**
+     * Run a full build
+     * @returns {Promise<Object>} Build results
+     */
+    async build() {
+      const result = await build(options, await getPlugins());
+      state.dependencyTracker = result.dependencyTracker;
+      state.assetTracker = result.assetTracker;
+      await initializeModificationCache(options.source || 'src');
+      return result;
+    },
+
+    /**
+     * Rebuild after a change, falling back to a full build when no build has run yet
+     * @param {string|null} changedFile - File that changed (optional)
+     * @returns {Promise<Object>} Build results
+     */
+    async rebuild(changedFile = null) {
+      if (!state.dependencyTracker) {
+        return this.build();
+      }
+
+      const result = await incrementalBuild(
+        options,
+        changedFile,
+        state.dependencyTracker,
+        state.assetTracker,
+        await getPlugins()
+      );
+      state.dependencyTracker = result.dependencyTracker;
+      state.assetTracker = result.assetTracker || state.assetTracker;
+      return result;
+    },
+
+    /**
+     * Build and watch the source directory for changes. Rebuilds made by the watcher
+     * update this site's trackers.
+     * @param {Object} watchOptions - Extra watch options (e.g. `onReload`)
+     * @returns {Promise<FSWatcher>} Underlying chokidar watcher
+     * @throws {BuildError} When the initial build fails
+     */
+    async watch(watchOptions = {}) {
+      state.watcher = await watch({ ...options, ...watchOptions, pluginManager: await getPlugins(), trackers: state });
+      return state.watcher;
+    },
+
+    /**
+     * Start the development server with live reload and a file watcher
+     * @returns {Promise<DevServer>} Running development server
+     */
+    async serve() {
+      state.server = new DevServer(options);
+      liveReload.setEnabled(true);
+      await state.server.start();
+
+      try {
+        await this.watch({
+          onReload: (eventType, filePath) => {
+            liveReload.notifyReload(eventType, filePath);
+          }
+        });
+      } catch (error) {
+        await this.close();
+        throw error;
+      }
+
+      return state.server;
+    },
+
+    /**
+     * Stop any watcher and development server started by this site
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (state.watcher) {
+        await state.watcher.close();
+        state.watcher = null;
+      }
+
+      if (state.server) {
+        await state.server.stop();
+        state.server = null;
+      }
+
+      logger.debug('dompile site closed');
+    },
+
+    /**
+     * Dependency tracker from the most recent build
+     * @returns {DependencyTracker|null}
+     */
+    get dependencyTracker() {
+      return state.dependencyTracker;
+    },
+
+    /**
+     * Asset tracker from the most recent build
+     * @returns {AssetTracker|null}
+     */
+    get assetTracker() {
+      return state.assetTracker;
+    }
+  };
+}
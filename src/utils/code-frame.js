@@ -0,0 +1,59 @@
+/**
+ * Code frame utilities for dompile
+ * Locates offsets in source files and renders compiler-style excerpts for errors
+ */
+
+/**
+ * Get the 1-based line and column of an offset in content
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Source location
+ */
+export function getLocation(content, offset) {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+
+  return {
+    line: before.split('\n').length,
+    column: offset - lineStart + 1
+  };
+}
+
+/**
+ * Render the lines around a source location with a caret under the column
+ * @param {string} content - File content
+ * @param {number} line - 1-based line number within content
+ * @param {number} column - 1-based column number
+ * @param {Object} [options={}] - Rendering options
+ * @param {number} [options.contextLines=2] - Lines to show before and after the location
+ * @param {number} [options.lineOffset=0] - Lines preceding content in its file (added to displayed numbers)
+ * @returns {string} Code frame, e.g. `> 3 |   <!--#include file="nav.html" -->`
+ *
+ * @example
+ *   2 | <body>
+ * > 3 |   <!--#include file="nav.html" -->
+ *     |   ^
+ *   4 | </body>
+ */
+export function createCodeFrame(content, line, column, options = {}) {
+  const { contextLines = 2, lineOffset = 0 } = options;
+  const lines = content.split(/\r?\n/);
+  const first = Math.max(1, line - contextLines);
+  const last = Math.min(lines.length, line + contextLines);
+  const gutterWidth = String(last + lineOffset).length;
+
+  const frame = [];
+  for (let current = first; current <= last; current++) {
+    const marker = current === line ? '>' : ' ';
+    const number = String(current + lineOffset).padStart(gutterWidth);
+    frame.push(`${marker} ${number} | ${lines[current - 1]}`.trimEnd());
+
+    if (current === line) {
+      // Keep tabs so the caret lines up with the source text
+      const indent = lines[current - 1].slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(gutterWidth)} | ${indent}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
@@ -7,17 +7,47 @@
  * Base error class for dompile errors
  */
 export class VanillaWaferError extends Error {
-  constructor(message, filePath = null, lineNumber = null) {
+  constructor(message, filePath = null, lineNumber = null, columnNumber = null) {
     super(message);
     this.name = this.constructor.name;
+    this.baseMessage = message;
+    this.codeFrame = null;
+    this.setLocation(filePath, lineNumber, columnNumber);
+  }
+  
+  /**
+   * Point the error at a position in a source file and rebuild the message
+   * @param {string|null} filePath - File the error refers to
+   * @param {number|null} [lineNumber=null] - 1-based line number
+   * @param {number|null} [columnNumber=null] - 1-based column number
+   * @param {string|null} [codeFrame=null] - Excerpt of the offending source lines
+   * @returns {VanillaWaferError} This error, for chaining
+   */
+  setLocation(filePath, lineNumber = null, columnNumber = null, codeFrame = null) {
     this.filePath = filePath;
     this.lineNumber = lineNumber;
+    this.columnNumber = columnNumber;
+    if (codeFrame) {
+      this.codeFrame = codeFrame;
+    }
     
     // Include file context in message if available
-    if (filePath) {
-      const location = lineNumber ? `${filePath}:${lineNumber}` : filePath;
-      this.message = `${message} in ${location}`;
+    this.message = filePath ? `${this.baseMessage} in ${this.getLocation()}` : this.baseMessage;
+    return this;
+  }
+  
+  /**
+   * Format the error location as file:line:column
+   * @returns {string|null} Location, or null if the error has no file
+   */
+  getLocation() {
+    if (!this.filePath) {
+      return null;
     }
+    
+    const parts = [this.filePath, this.lineNumber, this.columnNumber];
+    const known = this.lineNumber ? (this.columnNumber ? 3 : 2) : 1;
+    return parts.slice(0, known).join(':');
   }
 }
 
@@ -43,6 +73,18 @@ export class CircularDependencyError extends VanillaWaferError {
   }
 }
 
+/**
+ * Error thrown when includes nest deeper than the configured limit
+ */
+export class IncludeDepthError extends VanillaWaferError {
+  constructor(filePath, includeStack, maxDepth) {
+    const chain = includeStack.map(hop => hop.lineNumber ? `${hop.filePath}:${hop.lineNumber}` : hop.filePath).join(' → ');
+    super(`Maximum include depth (${maxDepth}) exceeded: ${chain} → ${filePath}`, filePath);
+    this.includeStack = includeStack;
+    this.maxDepth = maxDepth;
+  }
+}
+
 /**
  * Error thrown when a path escapes the source directory (security)
  */
@@ -64,6 +106,74 @@ export class MalformedDirectiveError extends VanillaWaferError {
   }
 }
 
+/**
+ * Error thrown when a page doesn't fill a layout slot marked `required`
+ */
+export class MissingSlotError extends VanillaWaferError {
+  constructor(slotName, layoutLocation, pagePath) {
+    const slot = slotName === 'default' ? 'default slot' : `slot "${slotName}"`;
+    super(`Required ${slot} of layout ${layoutLocation} is not filled`, pagePath);
+    this.slotName = slotName;
+    this.layoutLocation = layoutLocation;
+  }
+}
+
+/**
+ * Error thrown when a component declares or receives invalid props
+ */
+export class ComponentError extends VanillaWaferError {
+  constructor(message, componentPath, pagePath = null) {
+    super(message, pagePath);
+    this.componentPath = componentPath;
+    this.pagePath = pagePath;
+  }
+  
+  /**
+   * Point the error at a position in a source file; when that is a layout or component
+   * rather than the page being built, the message also names the page
+   * @param {string|null} filePath - File the error refers to
+   * @param {number|null} [lineNumber=null] - 1-based line number
+   * @param {number|null} [columnNumber=null] - 1-based column number
+   * @param {string|null} [codeFrame=null] - Excerpt of the offending source lines
+   * @returns {ComponentError} This error, for chaining
+   */
+  setLocation(filePath, lineNumber = null, columnNumber = null, codeFrame = null) {
+    super.setLocation(filePath, lineNumber, columnNumber, codeFrame);
+    if (this.pagePath && filePath !== this.pagePath) {
+      this.message += ` (building ${this.pagePath})`;
+    }
+    return this;
+  }
+}
+
+/**
+ * Error thrown when an include doesn't pass a prop its component marks `required`
+ */
+export class MissingPropError extends ComponentError {
+  constructor(propName, componentPath, pagePath = null) {
+    super(`Required prop "${propName}" of component ${componentPath} is not set`, componentPath, pagePath);
+    this.propName = propName;
+  }
+}
+
+/**
+ * Error thrown when template data is missing or cannot be parsed
+ */
+export class DataError extends VanillaWaferError {
+  constructor(message, filePath = null) {
+    super(message, filePath);
+  }
+}
+
+/**
+ * Error thrown when a layout template is malformed
+ */
+export class TemplateError extends VanillaWaferError {
+  constructor(message, filePath = null, lineNumber = null, columnNumber = null) {
+    super(message, filePath, lineNumber, columnNumber);
+  }
+}
+
 /**
  * Error thrown when file system operations fail
  */
@@ -87,6 +197,31 @@ export class InvalidArgumentError extends VanillaWaferError {
   }
 }
 
+/**
+ * Error thrown when a project configuration file is invalid
+ */
+export class ConfigError extends VanillaWaferError {
+  constructor(message, configPath = null, issues = []) {
+    const details = issues.length > 0 ? `\n  - ${issues.join('\n  - ')}` : '';
+    super(`Invalid configuration: ${message}${details}`);
+    this.configPath = configPath;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Error thrown when a plugin is invalid or one of its hooks fails
+ */
+export class PluginError extends VanillaWaferError {
+  constructor(pluginName, hookName, originalError) {
+    const reason = originalError instanceof Error ? originalError.message : String(originalError);
+    super(`Plugin "${pluginName}" failed in ${hookName}: ${reason}`);
+    this.pluginName = pluginName;
+    this.hookName = hookName;
+    this.originalError = originalError;
+  }
+}
+
 /**
  * Error thrown when build process fails
  */
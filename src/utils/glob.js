@@ -0,0 +1,162 @@
+/**
+ * Glob utilities for dompile
+ * Minimal glob matching and expansion for include patterns
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Sort orders accepted for glob expansion: by file name or modification date,
+ * prefixed with `-` for descending order
+ */
+export const GLOB_SORT_ORDERS = ['name', '-name', 'date', '-date'];
+
+/**
+ * Check whether a path contains glob wildcards
+ * @param {string} pattern - Path to check
+ * @returns {boolean} True if the path contains `*` or `?`
+ */
+export function isGlobPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * `*` matches within one path segment, `?` matches one character and `**` matches any
+ * number of directories.
+ * @param {string} pattern - Glob pattern using `/` or the platform separator
+ * @returns {RegExp} Anchored regular expression matching `/`-separated paths
+ */
+export function globToRegExp(pattern) {
+  const normalized = toPosixPath(pattern);
+  let source = '';
+
+  for (let index = 0; index < normalized.length; index++) {
+    const char = normalized[index];
+
+    if (char === '*' && normalized[index + 1] === '*') {
+      if (normalized[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a file path matches a glob pattern
+ * @param {string} filePath - Absolute file path
+ * @param {string} pattern - Absolute glob pattern
+ * @returns {boolean} True if the path matches
+ */
+export function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(toPosixPath(filePath));
+}
+
+/**
+ * Get the directory a glob pattern starts from (the part before the first wildcard)
+ * @param {string} pattern - Absolute glob pattern
+ * @returns {string} Base directory
+ */
+export function getGlobBase(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => isGlobPattern(segment));
+  const base = segments.slice(0, firstGlob === -1 ? segments.length - 1 : firstGlob).join(path.sep);
+  return base || path.sep;
+}
+
+/**
+ * Find all files matching a glob pattern
+ * @param {string} pattern - Absolute glob pattern
+ * @param {Object} [options={}] - Expansion options
+ * @param {string} [options.sort='name'] - One of GLOB_SORT_ORDERS
+ * @param {number} [options.limit] - Maximum number of files to return
+ * @param {string[]} [options.exclude=[]] - Absolute paths to leave out
+ * @returns {Promise<string[]>} Matching absolute file paths
+ * @throws {Error} When the sort order is not supported
+ */
+export async function expandGlob(pattern, options = {}) {
+  const { sort = 'name', limit, exclude = [] } = options;
+
+  if (!GLOB_SORT_ORDERS.includes(sort)) {
+    throw new Error(`Unknown sort order "${sort}" (expected ${GLOB_SORT_ORDERS.join(', ')})`);
+  }
+
+  const regex = globToRegExp(pattern);
+  const files = (await listFiles(getGlobBase(pattern)))
+    .filter(file => regex.test(toPosixPath(file)) && !exclude.includes(file));
+
+  const sorted = await sortFiles(files, sort);
+  return limit === undefined ? sorted : sorted.slice(0, limit);
+}
+
+/**
+ * Sort files by name or modification date
+ * @param {string[]} files - Absolute file paths
+ * @param {string} sort - One of GLOB_SORT_ORDERS
+ * @returns {Promise<string[]>} Sorted file paths
+ */
+async function sortFiles(files, sort) {
+  const descending = sort.startsWith('-');
+  let sorted;
+
+  if (sort.endsWith('date')) {
+    const entries = await Promise.all(files.map(async file => ({ file, mtime: (await fs.stat(file)).mtimeMs })));
+    // Name breaks ties so files written in the same instant keep a stable order
+    entries.sort((a, b) => a.mtime - b.mtime || a.file.localeCompare(b.file));
+    sorted = entries.map(entry => entry.file);
+  } else {
+    sorted = [...files].sort((a, b) => a.localeCompare(b));
+  }
+
+  return descending ? sorted.reverse() : sorted;
+}
+
+/**
+ * Recursively list all files in a directory
+ * @param {string} directory - Directory to list
+ * @returns {Promise<string[]>} Absolute file paths (empty if the directory doesn't exist)
+ */
+async function listFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        files.push(...await listFiles(fullPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Convert platform path separators to `/`
+ * @param {string} filePath - Path to convert
+ * @returns {string} Path with forward slashes
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
@@ -0,0 +1,336 @@
+/**
+ * HTML context utilities for dompile
+ * Tracks where in an HTML document a template value lands and escapes it for that spot
+ */
+
+import { escapeHtml } from '../core/ssi-variables.js';
+
+/**
+ * Attributes whose values are URLs
+ */
+export const URL_ATTRIBUTES = [
+  'href', 'src', 'srcset', 'action', 'formaction', 'cite', 'poster', 'background',
+  'longdesc', 'manifest', 'data', 'codebase', 'ping', 'xlink:href'
+];
+
+/**
+ * URL schemes allowed at the start of a URL attribute; relative URLs are always allowed
+ */
+export const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Elements whose content is not HTML; `</name` is the only way out
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// Unquoted CSS values are limited to keywords, numbers, lengths, colours and lists of them
+const SAFE_CSS_VALUE = /^[\w\s#%.,+-]*$/;
+
+/**
+ * Create the scanner state for the start of a document
+ * @returns {Object} State in text mode
+ */
+export function createHTMLState() {
+  return { mode: 'text', tagName: null, closing: false, attribute: null, readingName: false, awaitingValue: false, quote: '', valuePrefix: '' };
+}
+
+/**
+ * Advance the scanner state over literal template text
+ * @param {Object} state - Scanner state, updated in place
+ * @param {string} text - Literal text that follows the state's position
+ */
+export function advanceHTMLState(state, text) {
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (state.mode === 'text') {
+      if (text.startsWith('<!--', index)) {
+        state.mode = 'comment';
+        index += 3;
+        continue;
+      }
+
+      const tag = char === '<' && text.slice(index).match(/^<(\/?)([a-zA-Z][\w:-]*)/);
+      if (tag) {
+        Object.assign(state, { mode: 'tag', tagName: tag[2].toLowerCase(), closing: tag[1] === '/', attribute: null, readingName: false, awaitingValue: false });
+        index += tag[0].length - 1;
+      }
+    } else if (state.mode === 'comment') {
+      if (text.startsWith('-->', index)) {
+        state.mode = 'text';
+        index += 2;
+      }
+    } else if (state.mode === 'rawtext') {
+      const rest = text.slice(index);
+      const end = rest.search(new RegExp(`</${state.tagName}[\\s/>]`, 'i'));
+      scanCode(state.code, end === -1 ? rest : rest.slice(0, end));
+      if (end === -1) {
+        return;
+      }
+      state.mode = 'text';
+      index += end - 1;
+    } else if (state.mode === 'tag') {
+      if (char === '>' && !state.closing && RAW_TEXT_ELEMENTS.includes(state.tagName)) {
+        state.mode = 'rawtext';
+        state.code = createCodeState(state.tagName === 'script' ? 'js' : 'css');
+      } else if (char === '>') {
+        state.mode = 'text';
+      } else if (/\s/.test(char)) {
+        state.readingName = false;
+      } else if (state.awaitingValue) {
+        const quoted = char === '"' || char === "'";
+        Object.assign(state, { mode: 'value', quote: quoted ? char : '', valuePrefix: quoted ? '' : char, awaitingValue: false });
+      } else if (char === '=' && state.attribute) {
+        state.awaitingValue = true;
+        state.readingName = false;
+      } else if (char === '/') {
+        state.readingName = false;
+      } else {
+        state.attribute = state.readingName ? state.attribute + char.toLowerCase() : char.toLowerCase();
+        state.readingName = true;
+      }
+    } else if (state.quote ? char === state.quote : /[\s>]/.test(char)) {
+      // End of an attribute value; an unquoted value can also end the tag
+      Object.assign(state, { mode: 'tag', attribute: null, readingName: false, quote: '' });
+      if (char === '>') {
+        index--;
+      }
+    } else {
+      state.valuePrefix += char;
+    }
+  }
+}
+
+/**
+ * Get the escaping context for a value output at the scanner's position.
+ * A value written right after `=` starts an unquoted attribute value, so the state moves into it.
+ * @param {Object} state - Scanner state, updated in place
+ * @returns {{type: string, quoted?: boolean, string?: boolean, start?: boolean, query?: boolean,
+ *   srcset?: boolean, attribute?: string, reason?: string}} Context: `text`; `script` and `style` for `<script>` and
+ *   `<style>` bodies, with `quoted` set inside a string literal; `attribute`, `url`,
+ *   `script-attribute` (`on*`) and `style-attribute` values, with `string` set inside a string; or `invalid`, with the reason no
+ *   value can be escaped there (between attributes or inside a script or style comment)
+ */
+export function getOutputContext(state) {
+  if (state.mode === 'text' || state.mode === 'comment') {
+    return { type: 'text' };
+  }
+  if (state.mode === 'rawtext') {
+    return getCodeContext(state.code, state.tagName);
+  }
+  if (state.mode === 'tag' && !state.awaitingValue) {
+    return { type: 'invalid', reason: 'between attributes' };
+  }
+  if (state.mode === 'tag') {
+    Object.assign(state, { mode: 'value', quote: '', valuePrefix: '', awaitingValue: false });
+  }
+
+  const { attribute, valuePrefix } = state;
+  const context = { quoted: state.quote !== '', start: valuePrefix === '', attribute };
+
+  // Later values in the same attribute never start it
+  state.valuePrefix += '\0';
+
+  if (attribute.startsWith('on') || attribute === 'style') {
+    const language = attribute === 'style' ? 'css' : 'js';
+    const code = createCodeState(language);
+    scanCode(code, valuePrefix);
+
+    const codeContext = getCodeContext(code, language === 'js' ? 'script' : 'style');
+    if (codeContext.type === 'invalid') {
+      return codeContext;
+    }
+    return { ...context, type: `${codeContext.type}-attribute`, string: codeContext.quoted };
+  }
+  if (attribute === 'srcset') {
+    // Each comma-separated image candidate starts a new URL
+    return { ...context, type: 'url', srcset: true, query: false, start: /(^|,\s*)$/.test(valuePrefix) };
+  }
+  if (URL_ATTRIBUTES.includes(attribute)) {
+    return { type: 'url', query: /[?#]/.test(valuePrefix), ...context };
+  }
+  return { type: 'attribute', ...context };
+}
+
+/**
+ * Escape text for an output context
+ * @param {string} text - Text to escape
+ * @param {Object} context - Context from getOutputContext()
+ * @returns {string} Escaped text
+ */
+export function escapeForContext(text, context) {
+  switch (context.type) {
+    case 'script':
+      return escapeJS(text, context.quoted);
+    case 'script-attribute':
+      return escapeAttribute(escapeJS(text, context.string), context.quoted);
+    case 'style':
+      return escapeCSS(text, context.quoted);
+    case 'style-attribute':
+      return escapeAttribute(escapeCSS(text, context.string), context.quoted);
+    case 'url': {
+      let url = context.query ? encodeURIComponent(text) : normalizeURL(text);
+      if (context.srcset) {
+        url = url.replace(/,/g, '%2C');
+      }
+      return escapeAttribute(url, context.quoted);
+    }
+    case 'attribute':
+      return escapeAttribute(text, context.quoted);
+    default:
+      return escapeHtml(text);
+  }
+}
+
+/**
+ * Check whether a URL is safe to start a URL attribute with
+ * @param {string} url - URL to check
+ * @returns {boolean} True for relative URLs and SAFE_URL_SCHEMES
+ */
+export function isSafeURL(url) {
+  // Browsers trim control characters and spaces and drop tabs and newlines before reading the scheme
+  const trimmed = url.replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '').replace(/[\t\n\r]/g, '');
+  const scheme = trimmed.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Check whether a value is safe outside a CSS string: only keywords, numbers, lengths,
+ * colours and comma or space separated lists of them, so it can't end the declaration
+ * or reach `url()` and `expression()`
+ * @param {string} value - Value to check
+ * @returns {boolean} True if the value can be output as-is
+ */
+export function isSafeCSSValue(value) {
+  return SAFE_CSS_VALUE.test(value);
+}
+
+/**
+ * Check whether a CSS context needs isSafeCSSValue(): unquoted `<style>` and `style` values
+ * @param {Object} context - Context from getOutputContext()
+ * @returns {boolean} True outside a CSS string
+ */
+export function isUnquotedCSS(context) {
+  return (context.type === 'style' && !context.quoted) || (context.type === 'style-attribute' && !context.string);
+}
+
+/**
+ * Create the string and comment state of a script or stylesheet
+ * @param {string} language - `js` or `css`
+ * @returns {Object} Code state outside any string or comment
+ */
+function createCodeState(language) {
+  return { language, quote: '', comment: '' };
+}
+
+/**
+ * Advance a code state over script or stylesheet text, tracking string literals and comments
+ * @param {Object} code - Code state, updated in place
+ * @param {string} text - Code that follows the state's position
+ */
+function scanCode(code, text) {
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (code.comment === 'line') {
+      if (char === '\n') {
+        code.comment = '';
+      }
+    } else if (code.comment === 'block') {
+      if (text.startsWith('*/', index)) {
+        code.comment = '';
+        index++;
+      }
+    } else if (code.quote) {
+      if (char === '\\') {
+        index++;
+      } else if (char === code.quote) {
+        code.quote = '';
+      }
+    } else if (text.startsWith('/*', index)) {
+      code.comment = 'block';
+      index++;
+    } else if (code.language === 'js' && text.startsWith('//', index)) {
+      code.comment = 'line';
+      index++;
+    } else if (char === '"' || char === "'" || (code.language === 'js' && char === '`')) {
+      code.quote = char;
+    }
+  }
+}
+
+/**
+ * Get the output context inside a script or stylesheet
+ * @param {Object} code - Code state
+ * @param {string} type - `script` or `style`
+ * @returns {Object} Context, `invalid` inside comments
+ */
+function getCodeContext(code, type) {
+  if (code.comment) {
+    return { type: 'invalid', reason: `inside a ${type} comment` };
+  }
+  return { type, quoted: code.quote !== '' };
+}
+
+/**
+ * Escape a value for JavaScript (or JSON): string content inside a string literal,
+ * otherwise a complete string literal, so the value can never become code
+ * @param {string} text - Text to escape
+ * @param {boolean} inString - Whether the value is inside a string literal
+ * @returns {string} Escaped text
+ */
+function escapeJS(text, inString) {
+  const escaped = escapeJSString(text);
+  return inString ? escaped : `"${escaped}"`;
+}
+
+/**
+ * Escape a value for CSS. Inside a string every character but letters and digits becomes a
+ * hex escape; unquoted values must already have passed isSafeCSSValue().
+ * @param {string} text - Text to escape
+ * @param {boolean} inString - Whether the value is inside a string
+ * @returns {string} Escaped text
+ */
+function escapeCSS(text, inString) {
+  if (!inString) {
+    return text;
+  }
+  return text.replace(/[^a-zA-Z0-9]/gu, char => `\\${char.codePointAt(0).toString(16)} `);
+}
+
+/**
+ * Escape an attribute value; unquoted values also escape whitespace, `=` and backticks
+ * @param {string} text - Text to escape
+ * @param {boolean} quoted - Whether the value is quoted
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(text, quoted) {
+  const escaped = escapeHtml(text);
+  return quoted ? escaped : escaped.replace(/[\s=`]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Escape text for use inside a JavaScript (or JSON) string literal
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text, without surrounding quotes
+ */
+function escapeJSString(text) {
+  return JSON.stringify(text)
+    .slice(1, -1)
+    .replace(/[<>&'`$\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Percent-encode the characters that aren't valid in a URL, keeping its structure
+ * and any existing escapes
+ * @param {string} url - URL to normalize
+ * @returns {string} Normalized URL
+ */
+function normalizeURL(url) {
+  return url.replace(/%(?![0-9a-fA-F]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gu, char => {
+    try {
+      return encodeURIComponent(char);
+    } catch {
+      // Lone surrogates can't be encoded
+      return '%EF%BF%BD';
+    }
+  });
+}
@@ -0,0 +1,131 @@
+/**
+ * Integration tests for the public programmatic API
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as dompile from '../../src/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/api');
+
+describe('public API', () => {
+  let sourceDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+
+    await fs.mkdir(path.join(sourceDir, 'includes'), { recursive: true });
+
+    await fs.writeFile(
+      path.join(sourceDir, 'includes', 'header.html'),
+      '<header>Original Header</header>'
+    );
+
+    await fs.writeFile(
+      path.join(sourceDir, 'index.html'),
+      '<!DOCTYPE html><html><head><title>Home</title></head><body><!--#include virtual="/includes/header.html" --></body></html>'
+    );
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should expose the build pipeline and processors', () => {
+    assert.strictEqual(typeof dompile.build, 'function');
+    assert.strictEqual(typeof dompile.incrementalBuild, 'function');
+    assert.strictEqual(typeof dompile.watch, 'function');
+    assert.strictEqual(typeof dompile.DevServer, 'function');
+    assert.strictEqual(typeof dompile.DependencyTracker, 'function');
+    assert.strictEqual(typeof dompile.AssetTracker, 'function');
+    assert.strictEqual(typeof dompile.processIncludes, 'function');
+    assert.strictEqual(typeof dompile.processMarkdown, 'function');
+    assert.strictEqual(typeof dompile.createDompile, 'function');
+  });
+
+  it('should build a site through createDompile', async () => {
+    const site = dompile.createDompile({ source: sourceDir, output: outputDir });
+    const result = await site.build();
+
+    assert.strictEqual(result.processed, 1);
+    assert(site.dependencyTracker instanceof dompile.DependencyTracker);
+
+    const content = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(content.includes('<header>Original Header</header>'));
+  });
+
+  it('should rebuild dependent pages incrementally', async () => {
+    const site = dompile.createDompile({ source: sourceDir, output: outputDir });
+    await site.build();
+
+    const headerPath = path.join(sourceDir, 'includes', 'header.html');
+    await fs.writeFile(headerPath, '<header>Updated Header</header>');
+
+    const result = await site.rebuild(headerPath);
+    assert.strictEqual(result.processed, 1);
+
+    const content = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(content.includes('<header>Updated Header</header>'));
+  });
+
+  it('should run a full build when rebuilding before any build', async () => {
+    const site = dompile.createDompile({ source: sourceDir, output: outputDir });
+    const result = await site.rebuild();
+
+    assert.strictEqual(result.processed, 1);
+    await fs.access(path.join(outputDir, 'index.html'));
+  });
+
+  it('should watch for changes and keep the site trackers current', async () => {
+    const site = dompile.createDompile({ source: sourceDir, output: outputDir });
+    const signalListeners = process.listenerCount('SIGINT');
+    let reloaded;
+    const reload = new Promise(resolve => { reloaded = resolve; });
+
+    try {
+      await site.watch({ onReload: (eventType, filePath) => reloaded(filePath) });
+      const initialTracker = site.dependencyTracker;
+      assert(initialTracker instanceof dompile.DependencyTracker);
+      assert.strictEqual(process.listenerCount('SIGINT'), signalListeners, 'signals are left to the caller');
+
+      const headerPath = path.join(sourceDir, 'includes', 'header.html');
+      await fs.writeFile(headerPath, '<header>Watched Header</header>');
+      assert.strictEqual(await reload, headerPath);
+
+      const content = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+      assert(content.includes('<header>Watched Header</header>'));
+      assert.deepStrictEqual(site.dependencyTracker.getDependentPages(headerPath), [path.join(sourceDir, 'index.html')]);
+    } finally {
+      await site.close();
+    }
+  });
+
+  it('should close the watcher and allow closing twice', async () => {
+    const site = dompile.createDompile({ source: sourceDir, output: outputDir });
+    const watcher = await site.watch();
+
+    await site.close();
+    assert.strictEqual(watcher.closed, true);
+    await site.close();
+  });
+
+  it('should reject instead of exiting when the initial watch build fails', async () => {
+    mock.method(logger, 'error', () => {});
+    const site = dompile.createDompile({ source: path.join(testFixturesDir, 'missing'), output: outputDir });
+
+    await assert.rejects(() => site.watch(), dompile.BuildError);
+    await site.close();
+  });
+});
@@ -204,6 +204,30 @@ describe('build-process integration', () => {
     assert(navAffected.length > 0, `Expected nav.html to affect pages, got: ${JSON.stringify(navAffected)}`);
   });
   
+  it('should render markdown partials into HTML pages and track them', async () => {
+    const introPath = path.join(sourceDir, 'includes', 'intro.md');
+    await fs.writeFile(introPath, '---\ntitle: Intro\n---\nWelcome to **Test Site**.');
+    await fs.writeFile(
+      path.join(sourceDir, 'welcome.html'),
+      '<!DOCTYPE html><html><head></head><body><!--#include virtual="/includes/intro.md" --></body></html>'
+    );
+    
+    const result = await build({
+      source: sourceDir,
+      output: outputDir,
+      includes: 'includes'
+    });
+    
+    const welcome = await fs.readFile(path.join(outputDir, 'welcome.html'), 'utf-8');
+    assert(welcome.includes('<p>Welcome to <strong>Test Site</strong>.</p>'));
+    assert(!welcome.includes('title: Intro'));
+    
+    // The partial itself is not output as a page
+    await assert.rejects(() => fs.access(path.join(outputDir, 'includes', 'intro.html')));
+    
+    assert.deepStrictEqual(result.dependencyTracker.getAffectedPages(introPath), [path.join(sourceDir, 'welcome.html')]);
+  });
+  
   it('should fail build when includes are missing', async () => {
     // Create a file with missing include
     const brokenFilePath = path.join(sourceDir, 'broken.html');
@@ -229,6 +253,25 @@ describe('build-process integration', () => {
     }
   });
   
+  it('should report DOM include failures at the tag location', async () => {
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<!DOCTYPE html><html><head></head><body><slot></slot></body></html>'
+    );
+    const pagePath = path.join(sourceDir, 'cards.html');
+    await fs.writeFile(pagePath, '<div>\n  <include src="/components/missing.html" />\n</div>');
+    
+    await assert.rejects(
+      () => build({ source: sourceDir, output: outputDir }),
+      (error) => {
+        const failure = error.cause.find(entry => entry.file === pagePath);
+        assert.strictEqual(failure.error, `Include file not found: /components/missing.html in ${pagePath}:2:3`);
+        return true;
+      }
+    );
+  });
+  
   it('should clean output directory before build', async () => {
     // Create output directory with existing file
     await fs.mkdir(outputDir, { recursive: true });
@@ -0,0 +1,122 @@
+/**
+ * Integration tests for markdown content collections
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/collections');
+
+const LAYOUT = `<html><body>
+{{#if page.collection}}<nav>{{#if page.previous}}<a rel="prev" href="{{ page.previous.url }}">{{ page.previous.title }}</a>{{/if}}{{#if page.next}}<a rel="next" href="{{ page.next.url }}">{{ page.next.title }}</a>{{/if}}</nav>{{/if}}
+{{#if list}}<ul>{{#each collections.posts}}<li><a href="{{ url }}">{{ title }}</a> {{ date date "%Y-%m-%d" }}</li>{{/each}}</ul>{{/if}}
+{{ content }}
+</body></html>`;
+
+describe('Content collections', () => {
+  let sourceDir;
+  let outputDir;
+  let buildResult;
+
+  /**
+   * Read a built page
+   */
+  function readOutput(fileName) {
+    return fs.readFile(path.join(outputDir, fileName), 'utf-8');
+  }
+
+  /**
+   * Write a source file and run an incremental build for it
+   */
+  async function change(relativePath, content) {
+    const filePath = path.join(sourceDir, relativePath);
+    await fs.writeFile(filePath, content);
+    return incrementalBuild(
+      { source: sourceDir, output: outputDir, prettyUrls: true },
+      filePath,
+      buildResult.dependencyTracker,
+      buildResult.assetTracker
+    );
+  }
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+
+    await fs.mkdir(path.join(sourceDir, 'posts'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'includes'), { recursive: true });
+    await fs.writeFile(path.join(sourceDir, 'layouts', 'default.html'), '<!DOCTYPE html><html><head><title>Site</title></head><body><slot></slot></body></html>');
+    await fs.writeFile(path.join(sourceDir, '_layout.html'), LAYOUT);
+    await fs.writeFile(path.join(sourceDir, 'posts', 'index.md'), '---\ntitle: Blog\nlist: true\n---\nAll posts.\n');
+    await fs.writeFile(path.join(sourceDir, 'posts', 'first.md'), '---\ndate: 2025-01-10\n---\n# First Post\n\nHello.\n');
+    await fs.writeFile(path.join(sourceDir, 'posts', 'second.md'), '---\ntitle: Second Post\ndate: 2025-02-20\n---\nMore.\n');
+    await fs.writeFile(path.join(sourceDir, 'news.md'), '---\ntitle: News\ndate: 2025-03-01\ncollection: posts\n---\nBig news.\n');
+    await fs.writeFile(path.join(sourceDir, 'about.md'), '# About\n');
+    await fs.writeFile(path.join(sourceDir, 'includes', 'note.md'), '---\ncollection: posts\n---\nA note.\n');
+    await fs.writeFile(
+      path.join(sourceDir, 'archive.html'),
+      '<main><ul><template data-each="collections.posts" data-as="post"><li><a href="#" data-token-href="post.url" data-token="post.title">Post</a></li></template></ul></main>'
+    );
+
+    buildResult = await build({ source: sourceDir, output: outputDir, prettyUrls: true });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should list a collection newest first with pretty URLs', async () => {
+    const index = await readOutput('posts/index.html');
+
+    assert(index.includes(
+      '<ul><li><a href="/news/">News</a> 2025-03-01</li>' +
+      '<li><a href="/posts/second/">Second Post</a> 2025-02-20</li>' +
+      '<li><a href="/posts/first/">First Post</a> 2025-01-10</li></ul>'
+    ), 'directory members and frontmatter members are listed, the index page itself is not');
+  });
+
+  it('should link each item to its neighbours', async () => {
+    const second = await readOutput('posts/second/index.html');
+    assert(second.includes('<nav><a rel="prev" href="/posts/first/">First Post</a><a rel="next" href="/news/">News</a></nav>'));
+
+    const first = await readOutput('posts/first/index.html');
+    assert(first.includes('<nav><a rel="next" href="/posts/second/">Second Post</a></nav>'));
+
+    const about = await readOutput('about/index.html');
+    assert(!about.includes('<nav>'), 'pages outside collections have no neighbours');
+  });
+
+  it('should expose collections to DOM-mode pages', async () => {
+    const archive = await readOutput('archive.html');
+
+    const links = [...archive.matchAll(/<a href="([^"]*)"[^>]*>([^<]*)<\/a>/g)].map(match => `${match[1]} ${match[2]}`);
+    assert.deepStrictEqual(links, ['/news/ News', '/posts/second/ Second Post', '/posts/first/ First Post']);
+  });
+
+  it('should rebuild the pages reading a collection when a post is added', async () => {
+    const result = await change('posts/third.md', '---\ntitle: Third Post\ndate: 2025-04-01\n---\nLatest.\n');
+
+    // The new post, the index, the archive and every post reading its neighbours
+    assert.strictEqual(result.processed, 6);
+    assert((await readOutput('posts/index.html')).includes('<ul><li><a href="/posts/third/">Third Post</a> 2025-04-01</li>'));
+    assert((await readOutput('news/index.html')).includes('<a rel="next" href="/posts/third/">Third Post</a>'));
+    assert((await readOutput('archive.html')).includes('<a href="/posts/third/" data-token="post.title">Third Post</a>'));
+  });
+
+  it('should keep markdown partials out of collections', async () => {
+    assert(!(await readOutput('posts/index.html')).includes('note'));
+
+    const result = await change('includes/note.md', '---\ncollection: posts\n---\nAn edited note.\n');
+    assert.strictEqual(result.processed, 0, 'no collection reader is rebuilt for a partial');
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Integration tests for DOM mode components
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { processDOMMode } from '../../src/core/dom-processor.js';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+import { CircularDependencyError, ComponentError, IncludeDepthError, MissingPropError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/dom-components');
+
+describe('DOM mode components', () => {
+  let sourceDir;
+  let componentsDir;
+  let pagePath;
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    componentsDir = path.join(sourceDir, 'components');
+    pagePath = path.join(sourceDir, 'index.html');
+
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.mkdir(componentsDir, { recursive: true });
+
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<!DOCTYPE html><html><head><title>Site</title></head><body><slot></slot></body></html>'
+    );
+
+    await fs.writeFile(
+      path.join(componentsDir, 'button.html'),
+      '<style>.button { color: red; }</style>\n' +
+      '<button class="button">Go</button>\n' +
+      '<script>console.log("button");</script>'
+    );
+
+    await fs.writeFile(
+      path.join(componentsDir, 'card.html'),
+      '<style>.card { padding: 1rem; }</style>\n' +
+      '<div class="card"><h2 data-token="title">Title</h2><include src="button.html"></include></div>'
+    );
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should expand includes inside components', async () => {
+    const page = '<main><include src="card.html" data-title="First"></include></main>';
+
+    const result = await processDOMMode(page, pagePath, sourceDir);
+
+    assert(result.includes('<h2 data-token="title">First</h2>'));
+    assert.match(result, /<div class="card">.*<button class="button">Go<\/button>\s*<\/div>/s, 'button is inlined in the card');
+    assert(!result.includes('<include'), 'no include elements are left');
+  });
+
+  it('should hoist and deduplicate styles and scripts from every level', async () => {
+    const page = '<main>' +
+      '<include src="card.html" data-title="First"></include>' +
+      '<include src="card.html" data-title="Second"></include>' +
+      '<include src="button.html"></include>' +
+      '</main>';
+
+    const result = await processDOMMode(page, pagePath, sourceDir);
+    const head = result.slice(0, result.indexOf('</head>'));
+
+    assert.strictEqual(result.split('.card { padding: 1rem; }').length, 2, 'card style appears once');
+    assert.strictEqual(result.split('.button { color: red; }').length, 2, 'button style appears once');
+    assert(head.includes('.card {') && head.includes('.button {'), 'styles are in the head');
+    assert.strictEqual(result.split('console.log("button")').length, 2, 'button script appears once');
+    assert(result.indexOf('console.log("button")') > result.indexOf('</main>'), 'scripts are at the end of the body');
+  });
+
+  it('should reject components that include each other', async () => {
+    await fs.writeFile(path.join(componentsDir, 'a.html'), '<div>\n  <include src="b.html"></include>\n</div>');
+    await fs.writeFile(path.join(componentsDir, 'b.html'), '<div>\n\n  <include src="a.html"></include>\n</div>');
+
+    await assert.rejects(
+      () => processDOMMode('<include src="a.html"></include>', pagePath, sourceDir),
+      (error) => {
+        assert(error instanceof CircularDependencyError);
+        assert.strictEqual(error.filePath, path.join(componentsDir, 'b.html'));
+        assert.strictEqual(error.lineNumber, 3);
+        assert.strictEqual(error.columnNumber, 3);
+        assert(error.message.includes('a.html'));
+        return true;
+      }
+    );
+  });
+
+  it('should stop at the configured include depth', async () => {
+    for (let level = 1; level <= 4; level++) {
+      await fs.writeFile(
+        path.join(componentsDir, `level${level}.html`),
+        `<div>${level}<include src="level${level + 1}.html"></include></div>`
+      );
+    }
+    await fs.writeFile(path.join(componentsDir, 'level5.html'), '<span>bottom</span>');
+
+    const page = '<include src="level1.html"></include>';
+
+    const result = await processDOMMode(page, pagePath, sourceDir, { maxIncludeDepth: 5 });
+    assert(result.includes('<div>1<div>2<div>3<div>4<span>bottom</span></div></div></div></div>'));
+
+    await assert.rejects(
+      () => processDOMMode(page, pagePath, sourceDir, { maxIncludeDepth: 3 }),
+      (error) => {
+        assert(error instanceof IncludeDepthError);
+        assert.strictEqual(error.maxDepth, 3);
+        assert.strictEqual(error.includeStack.length, 3);
+        assert.deepStrictEqual(error.includeStack[2], { filePath: path.join(componentsDir, 'level3.html'), lineNumber: 1 });
+        assert.strictEqual(error.filePath, path.join(componentsDir, 'level3.html'));
+        return true;
+      }
+    );
+  });
+
+  it('should scope <style scoped> to the elements the component renders', async () => {
+    await fs.writeFile(
+      path.join(componentsDir, 'alert.html'),
+      '<style scoped>.title { color: red; }</style>\n<div class="alert"><p class="title">Alert</p></div>\n<p class="note">Note</p>'
+    );
+    
+    const result = await processDOMMode('<main><include src="alert.html"></include><include src="card.html"></include></main>', pagePath, sourceDir);
+    const attribute = result.match(/data-scope-[0-9a-f]{8}/)[0];
+    
+    assert(result.includes(`<style>.title[${attribute}] { color: red; }</style>`));
+    assert(result.includes(`<div ${attribute} class="alert"><p ${attribute} class="title">Alert</p></div>`), 'every element is stamped');
+    assert(result.includes(`<p ${attribute} class="note">Note</p>`));
+    assert(result.includes('<style>.card { padding: 1rem; }</style>'), 'unscoped styles are unchanged');
+    assert(result.includes('<div class="card">'), 'other components are not stamped');
+  });
+  
+  it('should scope every component style with the scopedStyles option', async () => {
+    const result = await processDOMMode('<include src="card.html" data-title="First"></include>', pagePath, sourceDir, { scopedStyles: true });
+    
+    const card = result.match(/<div (data-scope-[0-9a-f]{8}) class="card">/)[1];
+    const button = result.match(/<button (data-scope-[0-9a-f]{8}) class="button">/)[1];
+    
+    assert(result.includes(`<style>.card[${card}] { padding: 1rem; }</style>`));
+    assert(result.includes(`<h2 ${card} data-token="title">First</h2>`));
+    assert.notStrictEqual(button, card, 'nested components get their own scope');
+    assert(!result.includes(`<button ${card}`), 'the card scope does not reach the nested button');
+  });
+  
+  it('should keep scoped styles out of nested components', async () => {
+    await fs.writeFile(
+      path.join(componentsDir, 'box.html'),
+      '<style scoped>p { margin: 0; }</style>\n<section class="box"><p class="inner">Inner</p></section>'
+    );
+    await fs.writeFile(
+      path.join(componentsDir, 'panel.html'),
+      '<style scoped>p { color: red; }</style>\n<div class="panel"><p class="intro">Intro</p><include src="box.html"></include></div>'
+    );
+    
+    const result = await processDOMMode('<main><include src="panel.html"></include></main>', pagePath, sourceDir);
+    const panel = result.match(/<div (data-scope-[0-9a-f]{8}) class="panel">/)[1];
+    const box = result.match(/<section (data-scope-[0-9a-f]{8}) class="box">/)[1];
+    
+    assert.notStrictEqual(panel, box);
+    assert(result.includes(`p[${panel}] { color: red; }`));
+    assert(result.includes(`<p ${panel} class="intro">`));
+    assert(result.includes(`<p ${box} class="inner">`), 'the panel styles do not reach the box paragraph');
+  });
+  
+  it('should stamp table fragment roots', async () => {
+    await fs.writeFile(
+      path.join(componentsDir, 'row.html'),
+      '<style scoped>td { padding: 0; }</style>\n<tr class="row"><td>Cell</td></tr>'
+    );
+    
+    const result = await processDOMMode('<table><tbody><include src="row.html"></include></tbody></table>', pagePath, sourceDir);
+    const attribute = result.match(/data-scope-[0-9a-f]{8}/)[0];
+    
+    assert(result.includes(`<tr ${attribute} class="row"><td ${attribute}>Cell</td></tr>`));
+  });
+  
+  describe('scripts', () => {
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(componentsDir, 'widget.html'),
+        '<div class="widget"></div>\n' +
+        '<script type="module" src="/js/widget.js"></script>\n' +
+        '<script defer src="/js/vendor.js" data-placement="head"></script>\n' +
+        '<script type="application/json" class="config">{"size": 2}</script>\n' +
+        '<script>\n  console.log("button");\n</script>'
+      );
+      await fs.writeFile(
+        path.join(componentsDir, 'gadget.html'),
+        '<div class="gadget"></div>\n<script async src="/js/vendor.js"></script>\n<script type="module">import "/js/gadget.js";</script>'
+      );
+    });
+    
+    it('should keep script attributes, dedupe by src or code and honour data-placement', async () => {
+      const page = '<main><include src="widget.html"></include><include src="gadget.html"></include><include src="button.html"></include></main>';
+      
+      const result = await processDOMMode(page, pagePath, sourceDir);
+      const head = result.slice(0, result.indexOf('</head>'));
+      const body = result.slice(result.indexOf('</main>'));
+      
+      assert(head.includes('<script defer src="/js/vendor.js"></script>'), 'head placement, without the data-placement attribute');
+      assert(!result.includes('async src="/js/vendor.js"'), 'the same src is only loaded once');
+      assert(body.includes('<script type="module" src="/js/widget.js"></script>'));
+      assert(body.includes('<script type="module">import "/js/gadget.js";</script>'));
+      assert.strictEqual(result.split('console.log("button")').length, 2, 'scripts with the same code are deduped');
+      assert.match(result, /<div class="widget"><\/div>\s*<script type="application\/json" class="config">\{"size": 2\}<\/script>/, 'data blocks stay in place');
+    });
+    
+    it('should reject unknown placements', async () => {
+      await fs.writeFile(path.join(componentsDir, 'bad.html'), '<script data-placement="footer">x();</script>');
+      
+      await assert.rejects(
+        () => processDOMMode('<include src="bad.html"></include>', pagePath, sourceDir),
+        (error) => error instanceof ComponentError && error.message.includes('Script placement "footer"')
+      );
+    });
+    
+    it('should serve inline scripts from a components bundle', async () => {
+      const outputDir = path.join(testFixturesDir, 'dist');
+      await fs.writeFile(pagePath, '<main><include src="widget.html"></include><include src="card.html"></include></main>');
+      await fs.writeFile(path.join(sourceDir, 'about.html'), '<main><include src="gadget.html"></include></main>');
+      
+      await build({ source: sourceDir, output: outputDir, bundleComponentScripts: true });
+      
+      const bundleName = (await fs.readdir(outputDir)).find(file => /^components\.[0-9a-f]{8}\.js$/.test(file));
+      assert(bundleName, 'bundle is emitted');
+      const bundle = await fs.readFile(path.join(outputDir, bundleName), 'utf-8');
+      assert(bundle.includes('console.log("button");'));
+      assert(!bundle.includes('import "/js/gadget.js"'), 'modules are not bundled');
+      
+      const index = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+      assert.strictEqual(index.split(`<script src="/${bundleName}"></script>`).length, 2, 'bundle is referenced once');
+      assert(!index.includes('console.log'), 'inline scripts are replaced by the bundle');
+      assert(index.includes('<script type="module" src="/js/widget.js"></script>'));
+      
+      const about = await fs.readFile(path.join(outputDir, 'about.html'), 'utf-8');
+      assert(!about.includes(bundleName), 'pages without bundled scripts do not load it');
+    });
+    
+    it('should remove the previous bundle when component scripts change', async () => {
+      const outputDir = path.join(testFixturesDir, 'dist');
+      const options = { source: sourceDir, output: outputDir, bundleComponentScripts: true };
+      await fs.writeFile(pagePath, '<main><include src="card.html"></include></main>');
+      const result = await build(options);
+      const listBundles = async () => (await fs.readdir(outputDir)).filter(file => /^components\.[0-9a-f]{8}\.js$/.test(file));
+      const [oldBundle] = await listBundles();
+      
+      const buttonPath = path.join(componentsDir, 'button.html');
+      await fs.writeFile(buttonPath, '<button class="button">Go</button>\n<script>console.log("changed");</script>');
+      await incrementalBuild(options, buttonPath, result.dependencyTracker, result.assetTracker);
+      
+      const bundles = await listBundles();
+      assert.strictEqual(bundles.length, 1, 'only the current bundle is left');
+      assert.notStrictEqual(bundles[0], oldBundle);
+      const index = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+      assert(index.includes(`<script src="/${bundles[0]}"></script>`));
+    });
+  });
+  
+  describe('props', () => {
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(componentsDir, 'link.html'),
+        '<script type="application/json" data-props>\n' +
+        '{ "label": { "required": true }, "href": "#", "link-class": "link", "external": false, "rank": { "type": "number" } }\n' +
+        '</script>\n' +
+        '<a href="/placeholder" data-token-href="href" data-token-class="link-class" data-token-data-rank="rank"' +
+        ' data-token-download="external"><span data-token="label">Label</span></a>'
+      );
+    });
+
+    it('should fill attributes and text with props and defaults', async () => {
+      const page = '<main>' +
+        '<include src="link.html" data-label="Docs &amp; guides" data-href="/docs?a=1&amp;b=&quot;2&quot;" data-link-class="" data-external data-rank="3"></include>' +
+        '<include src="link.html" data-label="Home"></include>' +
+        '</main>';
+
+      const result = await processDOMMode(page, pagePath, sourceDir);
+
+      assert(result.includes(
+        '<a href="/docs?a=1&amp;b=&quot;2&quot;" class="" data-rank="3" download><span data-token="label">Docs &amp; guides</span></a>'
+      ), 'hyphenated, empty, boolean and number props are bound');
+      assert(result.includes('<a href="#" class="link"><span data-token="label">Home</span></a>'), 'defaults fill unset props');
+      assert(!result.includes('data-props'), 'the declaration is removed');
+    });
+
+    it('should name the component and page when a required prop is missing', async () => {
+      const page = '<main>\n  <include src="link.html" data-href="/"></include>\n</main>';
+
+      await assert.rejects(() => processDOMMode(page, pagePath, sourceDir), (error) => {
+        assert(error instanceof MissingPropError);
+        assert.strictEqual(error.propName, 'label');
+        assert.strictEqual(error.componentPath, path.join(componentsDir, 'link.html'));
+        assert(error.message.includes(`Required prop "label" of component ${path.join(componentsDir, 'link.html')}`));
+        assert(error.message.endsWith(`${pagePath}:2:3`));
+        return true;
+      });
+    });
+
+    it('should name the page being built when the include is in its layout', async () => {
+      const layoutPath = path.join(sourceDir, 'layouts', 'nav.html');
+      await fs.writeFile(layoutPath, '<html><body>\n<include src="link.html" data-href="/"></include>\n<slot></slot></body></html>');
+      const page = '<main data-layout="nav.html">Hello</main>';
+
+      await assert.rejects(() => processDOMMode(page, pagePath, sourceDir), (error) => {
+        assert(error instanceof MissingPropError);
+        assert.strictEqual(error.pagePath, pagePath);
+        assert.strictEqual(error.filePath, layoutPath, 'the error points at the include tag');
+        assert(error.message.endsWith(`${layoutPath}:2:1 (building ${pagePath})`));
+        return true;
+      });
+    });
+
+    it('should reject values that do not match the declared type', async () => {
+      const page = '<include src="link.html" data-label="Home" data-rank="first"></include>';
+
+      await assert.rejects(() => processDOMMode(page, pagePath, sourceDir), (error) => {
+        assert(error instanceof ComponentError);
+        assert(error.message.includes('Prop "rank"'));
+        assert(error.message.includes('expects a number but got "first"'));
+        return true;
+      });
+    });
+  });
+});
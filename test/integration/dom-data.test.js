@@ -0,0 +1,157 @@
+/**
+ * Integration tests for DOM mode data-each templates
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { processDOMMode } from '../../src/core/dom-processor.js';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+import { DataError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/dom-data');
+
+describe('DOM mode data-each templates', () => {
+  let sourceDir;
+  let dataDir;
+  let pagePath;
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    dataDir = path.join(sourceDir, '_data');
+    pagePath = path.join(sourceDir, 'index.html');
+
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'components'), { recursive: true });
+    await fs.mkdir(dataDir, { recursive: true });
+
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<!DOCTYPE html><html><head><title>Site</title></head><body><slot></slot></body></html>'
+    );
+    await fs.writeFile(
+      path.join(dataDir, 'team.json'),
+      JSON.stringify([
+        { name: 'Ann', url: '/ann', tags: ['css', 'html'] },
+        { name: 'Bob <admin>', url: '/bob?a=1&b=2', tags: [] }
+      ])
+    );
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should repeat a template for each item of a data file', async () => {
+    const page = '<ul><template data-each="team" data-as="person">' +
+      '<li><a href="#" data-token-href="person.url" data-token="person.name">Name</a></li>' +
+      '</template></ul>';
+
+    const result = await processDOMMode(page, pagePath, sourceDir);
+
+    assert(result.includes('<ul><li><a href="/ann" data-token="person.name">Ann</a></li>' +
+      '<li><a href="/bob?a=1&amp;b=2" data-token="person.name">Bob &lt;admin></a></li></ul>'));
+    assert(!result.includes('<template'));
+  });
+
+  it('should read inline data, YAML files and nested lists', async () => {
+    await fs.writeFile(path.join(dataDir, 'pricing.yaml'), 'tiers:\n  - name: Free\n  - name: Pro\n');
+    const page = '<main>\n' +
+      '  <script type="application/json" data-source="links">[{"label": "Home"}]</script>\n' +
+      '  <nav><template data-each="links"><a data-token="item.label"></a></template></nav>\n' +
+      '  <template data-each="pricing.tiers" data-as="tier"><b data-token="tier.name"></b></template>\n' +
+      '  <template data-each="team" data-as="person"><template data-each="person.tags" data-as="tag">' +
+      '<i data-token="tag"></i></template></template>\n' +
+      '</main>';
+
+    const result = await processDOMMode(page, pagePath, sourceDir);
+
+    assert(result.includes('<main>\n  <nav><a data-token="item.label">Home</a></nav>'));
+    assert(result.includes('<b data-token="tier.name">Free</b><b data-token="tier.name">Pro</b>'));
+    assert(result.includes('<i data-token="tag">css</i><i data-token="tag">html</i>\n'));
+    assert(!result.includes('data-source'));
+  });
+
+  it('should pass items to repeated components', async () => {
+    await fs.writeFile(
+      path.join(sourceDir, 'components', 'member.html'),
+      '<article><h3 data-token="name">Name</h3></article>'
+    );
+    await fs.writeFile(
+      path.join(sourceDir, 'components', 'roster.html'),
+      '<ol><template data-each="team"><li data-token="item.name"></li></template></ol><p data-token="note"></p>'
+    );
+    const page = '<main><template data-each="team" data-as="person">' +
+      '<include src="member.html" data-token-data-name="person.name"></include></template>' +
+      '<include src="roster.html" data-note="Staff"></include></main>';
+
+    const result = await processDOMMode(page, pagePath, sourceDir);
+
+    assert(result.includes('<article><h3 data-token="name">Ann</h3></article><article><h3 data-token="name">Bob &lt;admin></h3></article>'));
+    assert(result.includes('<ol><li data-token="item.name">Ann</li><li data-token="item.name">Bob &lt;admin></li></ol><p data-token="note">Staff</p>'));
+  });
+
+  it('should report missing data at the template', async () => {
+    const page = '<main>\n  <template data-each="staff"><p data-token="item"></p></template>\n</main>';
+
+    await assert.rejects(
+      () => processDOMMode(page, pagePath, sourceDir),
+      error => error instanceof DataError &&
+        error.message.startsWith('No data found for data-each="staff"') &&
+        error.message.endsWith(`${pagePath}:2:3`)
+    );
+  });
+
+  it('should reject data that is not a list', async () => {
+    await fs.writeFile(path.join(dataDir, 'site.json'), '{"title": "Site"}');
+    const page = '<main><template data-each="site"><p></p></template></main>';
+
+    await assert.rejects(
+      () => processDOMMode(page, pagePath, sourceDir),
+      error => error instanceof DataError && error.message.includes('must be a list')
+    );
+  });
+
+  it('should rebuild the pages using a data file when it changes', async () => {
+    const outputDir = path.join(testFixturesDir, 'dist');
+    await fs.writeFile(pagePath, '<ul><template data-each="team"><li data-token="item.name"></li></template></ul>');
+    await fs.writeFile(path.join(dataDir, 'staff.yml'), '- Ann\n');
+    await fs.writeFile(path.join(sourceDir, 'about.html'), '<ol><template data-each="staff"><li data-token="item"></li></template></ol>');
+    await fs.writeFile(path.join(sourceDir, 'other.html'), '<p>Other</p>');
+
+    const buildResult = await build({ source: sourceDir, output: outputDir });
+    assert.strictEqual(buildResult.processed, 3);
+    await assert.rejects(() => fs.access(path.join(outputDir, '_data')));
+
+    /**
+     * Write a data file and run an incremental build for it
+     */
+    async function change(fileName, content) {
+      const filePath = path.join(dataDir, fileName);
+      await fs.writeFile(filePath, content);
+      return incrementalBuild(
+        { source: sourceDir, output: outputDir },
+        filePath,
+        buildResult.dependencyTracker,
+        buildResult.assetTracker
+      );
+    }
+
+    let result = await change('team.json', '[{"name": "Cy"}]');
+    assert.strictEqual(result.processed, 1);
+    let output = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(output.includes('<ul><li data-token="item.name">Cy</li></ul>'));
+
+    result = await change('staff.yml', '- Dee\n');
+    assert.strictEqual(result.processed, 1);
+    output = await fs.readFile(path.join(outputDir, 'about.html'), 'utf-8');
+    assert(output.includes('<ol><li data-token="item">Dee</li></ol>'));
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Integration tests for DOM mode dependency tracking
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/dom-dependencies');
+
+describe('DOM mode dependency tracking', () => {
+  let sourceDir;
+  let outputDir;
+  let buildResult;
+
+  /**
+   * Rewrite a source file and run an incremental build for it
+   */
+  async function change(relativePath, content) {
+    const filePath = path.join(sourceDir, relativePath);
+    await fs.writeFile(filePath, content);
+    return incrementalBuild(
+      { source: sourceDir, output: outputDir },
+      filePath,
+      buildResult.dependencyTracker,
+      buildResult.assetTracker
+    );
+  }
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'components'), { recursive: true });
+
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<!DOCTYPE html><html><head><title>Site</title></head><body><slot></slot></body></html>'
+    );
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'base.html'),
+      '<!DOCTYPE html><html><head><title>Docs</title></head><body><slot></slot></body></html>'
+    );
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'docs.html'),
+      '<div data-layout="base.html"><article><slot></slot></article></div>'
+    );
+    await fs.writeFile(path.join(sourceDir, 'components', 'card.html'), '<div class="card"><include src="button.html"></include></div>');
+    await fs.writeFile(path.join(sourceDir, 'components', 'button.html'), '<button>Go</button>');
+
+    await fs.writeFile(path.join(sourceDir, 'index.html'), '<main><include src="card.html"></include></main>');
+    await fs.writeFile(path.join(sourceDir, 'guide.html'), '<div data-layout="docs.html"><p>Guide</p></div>');
+    await fs.writeFile(path.join(sourceDir, 'plain.html'), '<main><slot></slot><p>Plain</p></main>');
+
+    buildResult = await build({ source: sourceDir, output: outputDir });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should not build layouts and components as pages', async () => {
+    assert.strictEqual(buildResult.processed, 3);
+    await assert.rejects(() => fs.access(path.join(outputDir, 'layouts')));
+    await assert.rejects(() => fs.access(path.join(outputDir, 'components')));
+  });
+
+  it('should rebuild the pages using a nested component', async () => {
+    const result = await change('components/button.html', '<button>Stop</button>');
+
+    assert.strictEqual(result.processed, 1);
+    const index = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(index.includes('<div class="card"><button>Stop</button></div>'));
+    await assert.rejects(() => fs.access(path.join(outputDir, 'components', 'button.html')));
+  });
+
+  it('should rebuild the pages using a layout through a nested layout', async () => {
+    const result = await change('layouts/base.html', '<!DOCTYPE html><html><head><title>Manual</title></head><body><slot></slot></body></html>');
+
+    assert.strictEqual(result.processed, 1);
+    const guide = await fs.readFile(path.join(outputDir, 'guide.html'), 'utf-8');
+    assert(guide.includes('<title>Manual</title>'));
+  });
+
+  it('should rebuild the pages using the default layout', async () => {
+    const result = await change('layouts/default.html', '<!DOCTYPE html><html><head><title>New</title></head><body><slot></slot></body></html>');
+
+    assert.strictEqual(result.processed, 2);
+    for (const page of ['index.html', 'plain.html']) {
+      const content = await fs.readFile(path.join(outputDir, page), 'utf-8');
+      assert(content.includes('<title>New</title>'), `${page} is rebuilt`);
+    }
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Integration tests for DOM mode layouts
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { processDOMMode } from '../../src/core/dom-processor.js';
+import { CircularDependencyError, MissingSlotError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/dom-layouts');
+
+describe('DOM mode layouts', () => {
+  let sourceDir;
+  let pagePath;
+  
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    pagePath = path.join(sourceDir, 'guide.html');
+    
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'base.html'),
+      '<!DOCTYPE html><html><head><title><slot name="title"></slot></title></head>' +
+      '<body><header><slot name="banner"></slot></header><slot></slot></body></html>'
+    );
+    
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'docs.html'),
+      '<div data-layout="base.html">\n' +
+      '  <template data-slot="banner"><strong>Docs</strong></template>\n' +
+      '  <nav class="docs-nav"><slot name="toc"></slot></nav>\n' +
+      '  <article><slot></slot></article>\n' +
+      '</div>'
+    );
+  });
+  
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+  
+  it('should resolve slots through a chain of layouts', async () => {
+    const page = '<div data-layout="docs.html">' +
+      '<template data-slot="toc"><a href="#intro">Intro</a></template>' +
+      '<template data-slot="title">Guide</template>' +
+      '<h1 id="intro">Intro</h1></div>';
+    
+    const result = await processDOMMode(page, pagePath, sourceDir);
+    
+    assert(result.startsWith('<!DOCTYPE html>'));
+    assert(result.includes('<title>Guide</title>'), 'page fills a slot of the outer layout');
+    assert(result.includes('<header><strong>Docs</strong></header>'), 'inner layout fills a slot of the outer layout');
+    assert(result.includes('<nav class="docs-nav"><a href="#intro">Intro</a></nav>'));
+    assert(result.includes('<article><div><h1 id="intro">Intro</h1></div></article>'));
+    assert(!result.includes('data-layout'));
+  });
+  
+  it('should let the page override slots filled by an inner layout', async () => {
+    const page = '<div data-layout="docs.html">' +
+      '<template data-slot="banner"><em>Guide banner</em></template>' +
+      '<p>Body</p></div>';
+    
+    const result = await processDOMMode(page, pagePath, sourceDir);
+    
+    assert(result.includes('<header><em>Guide banner</em></header>'));
+  });
+  
+  it('should detect layouts that wrap each other', async () => {
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'base.html'),
+      '<html data-layout="docs.html"><body><slot></slot></body></html>'
+    );
+    const page = '<div data-layout="docs.html"><p>Body</p></div>';
+    
+    await assert.rejects(
+      () => processDOMMode(page, pagePath, sourceDir),
+      (error) => {
+        const layoutsDir = path.join(sourceDir, 'layouts');
+        assert(error instanceof CircularDependencyError);
+        assert(error.message.includes(`${path.join(layoutsDir, 'docs.html')} → ${path.join(layoutsDir, 'base.html')} → ${path.join(layoutsDir, 'docs.html')}`));
+        assert.strictEqual(error.getLocation(), `${path.join(layoutsDir, 'base.html')}:1:7`);
+        return true;
+      }
+    );
+  });
+  
+  it('should render fallback content for slots the page omits', async () => {
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<html><head><title><slot name="title">My Site</slot></title></head>' +
+      '<body><aside><slot name="sidebar">\n  <p>No sidebar</p>\n</slot></aside><main><slot><p>Empty page</p></slot></main></body></html>'
+    );
+    const page = '<template data-slot="title">About</template>';
+    
+    const result = await processDOMMode(page, pagePath, sourceDir);
+    
+    assert(result.includes('<title>About</title>'));
+    assert(result.includes('<aside>\n  <p>No sidebar</p>\n</aside>'));
+    assert(result.includes('<main><p>Empty page</p></main>'));
+    assert(!result.includes('slot'));
+  });
+  
+  it('should fail when a required slot is not filled', async () => {
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<html><head>\n<title><slot name="title" required></slot></title></head><body><slot></slot></body></html>'
+    );
+    
+    const filled = await processDOMMode('<template data-slot="title">About</template><p>Body</p>', pagePath, sourceDir);
+    assert(filled.includes('<title>About</title>'));
+    
+    await assert.rejects(
+      () => processDOMMode('<p>Body</p>', pagePath, sourceDir),
+      (error) => {
+        assert(error instanceof MissingSlotError);
+        assert.strictEqual(error.slotName, 'title');
+        assert.strictEqual(error.message, `Required slot "title" of layout ${path.join(sourceDir, 'layouts', 'default.html')}:2 is not filled in ${pagePath}`);
+        return true;
+      }
+    );
+  });
+});
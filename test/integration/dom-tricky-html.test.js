@@ -0,0 +1,125 @@
+/**
+ * Fixture suite of tricky HTML for DOM mode slot and include handling
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { processDOMMode } from '../../src/core/dom-processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/dom-tricky-html');
+
+/**
+ * Each fixture is a layout, a page and optional components, with the exact expected output
+ * or substrings the output must (and must not) contain
+ */
+const fixtures = [
+  {
+    name: 'keeps the doctype, attributes and whitespace of the layout',
+    layout: '<!DOCTYPE html>\n<html lang="en" class="no-js">\n<head><meta charset="utf-8"><title><slot name="title">Site</slot></title></head>\n' +
+      '<body data-theme="dark" class=\'a b\'>\n  <slot></slot>\n</body>\n</html>\n',
+    page: '<template data-slot="title">Home &amp; Away</template><p>Hi</p>',
+    expected: '<!DOCTYPE html>\n<html lang="en" class="no-js">\n<head><meta charset="utf-8"><title>Home &amp; Away</title></head>\n' +
+      '<body data-theme="dark" class=\'a b\'>\n  <p>Hi</p>\n</body>\n</html>\n'
+  },
+  {
+    name: 'matches slot names containing regex metacharacters',
+    layout: '<div><slot name="a.b(c)*+?[x]$1">fallback</slot></div>',
+    page: '<template data-slot="a.b(c)*+?[x]$1">filled</template>',
+    expected: '<div>filled</div>'
+  },
+  {
+    name: 'replaces multi-line slots with multi-line content',
+    layout: '<aside>\n<slot name="side">\n  <p>line 1</p>\n  <p>line 2</p>\n</slot>\n</aside>\n<main><slot name="body">\n  <p>fallback</p>\n</slot></main>',
+    page: '<template data-slot="body">\n  <h1>Title</h1>\n  <p>Text</p>\n</template>',
+    expected: '<aside>\n\n  <p>line 1</p>\n  <p>line 2</p>\n\n</aside>\n<main>\n  <h1>Title</h1>\n  <p>Text</p>\n</main>'
+  },
+  {
+    name: 'handles attributes containing >',
+    layout: '<header><slot name="x" data-note="a > b">fallback</slot></header><main><slot></slot></main>',
+    page: '<template data-slot="x"><b data-rule="1 > 0">x</b></template>' +
+      '<include src="/components/badge.html" data-label="5 > 3" />',
+    components: { 'badge.html': '<span data-token="label">?</span>' },
+    expected: '<header><b data-rule="1 > 0">x</b></header><main><span data-token="label">5 > 3</span></main>'
+  },
+  {
+    name: 'fills slots in the head without touching script text or comments',
+    layout: '<html><head><slot name="meta"></slot><script>const tpl = \'<slot name="meta"></slot>\';</script>' +
+      '<!-- <slot name="meta"></slot> --></head><body><slot></slot></body></html>',
+    page: '<template data-slot="meta"><meta name="description" content="x"></template><p>Body</p>',
+    expected: '<html><head><meta name="description" content="x"><script>const tpl = \'<slot name="meta"></slot>\';</script>' +
+      '<!-- <slot name="meta"></slot> --></head><body><p>Body</p></body></html>'
+  },
+  {
+    name: 'keeps replacement patterns in slot content literally',
+    layout: '<p><slot name="price"></slot></p>',
+    page: '<template data-slot="price">Only $1 &amp; $&amp; $\' today</template>',
+    expected: '<p>Only $1 &amp; $&amp; $\' today</p>'
+  },
+  {
+    name: 'replaces self-closing includes without swallowing their siblings',
+    layout: '<main><slot></slot></main>',
+    page: '<include src="/components/item.html" data-name="one" /><p>between</p><include src="/components/item.html" data-name="two"/>',
+    components: { 'item.html': '<em data-token="name">?</em>' },
+    expected: '<main><em data-token="name">one</em><p>between</p><em data-token="name">two</em></main>'
+  },
+  {
+    name: 'matches tags case-insensitively',
+    layout: '<div><SLOT NAME="x">fallback</SLOT></div><INCLUDE SRC="/components/item.html"></INCLUDE>',
+    page: '<template data-slot="x">filled</template>',
+    components: { 'item.html': '<em>item</em>' },
+    expected: '<div>filled</div><em>item</em>'
+  },
+  {
+    name: 'leaves escaped and commented includes alone',
+    layout: '<main><slot></slot></main>',
+    page: '<p>Use <code>&lt;include src="x.html" /&gt;</code></p><!-- <include src="/components/missing.html" /> -->',
+    expected: '<main><p>Use <code>&lt;include src="x.html" /&gt;</code></p><!-- <include src="/components/missing.html" /> --></main>'
+  },
+  {
+    name: 'fills slots inside template elements of the layout',
+    layout: '<main><slot></slot></main><template id="row"><tr><td><slot name="cell">empty</slot></td></tr></template>',
+    page: '<template data-slot="cell"><b>cell</b></template><p>x</p>',
+    expected: '<main><p>x</p></main><template id="row"><tr><td><b>cell</b></td></tr></template>'
+  },
+  {
+    name: 'renders fallback content of nested slots',
+    layout: '<nav><slot name="nav"><a href="/">Home</a> <slot name="extra">| More</slot></slot></nav>',
+    page: '<template data-slot="extra">| Docs</template>',
+    expected: '<nav><a href="/">Home</a> | Docs</nav>'
+  }
+];
+
+describe('DOM mode tricky HTML', () => {
+  let sourceDir;
+  
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'components'), { recursive: true });
+  });
+  
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+  
+  for (const fixture of fixtures) {
+    it(fixture.name, async () => {
+      await fs.writeFile(path.join(sourceDir, 'layouts', 'default.html'), fixture.layout);
+      for (const [name, content] of Object.entries(fixture.components || {})) {
+        await fs.writeFile(path.join(sourceDir, 'components', name), content);
+      }
+      
+      const result = await processDOMMode(fixture.page, path.join(sourceDir, 'page.html'), sourceDir);
+      
+      assert.strictEqual(result, fixture.expected);
+    });
+  }
+});
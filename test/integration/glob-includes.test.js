@@ -0,0 +1,149 @@
+/**
+ * Integration tests for glob includes and their incremental rebuilds
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+import { processDOMMode } from '../../src/core/dom-processor.js';
+import { MalformedDirectiveError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/glob-includes');
+
+describe('glob includes', () => {
+  let sourceDir;
+  let outputDir;
+  
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+    
+    await fs.mkdir(path.join(sourceDir, 'includes', 'news'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'components', 'cards'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    
+    await fs.writeFile(path.join(sourceDir, 'includes', 'news', '2024-01-10.html'), '<li>January</li>');
+    await fs.writeFile(path.join(sourceDir, 'includes', 'news', '2024-02-14.html'), '<li>February</li>');
+    await fs.writeFile(path.join(sourceDir, 'includes', 'news', '2024-03-01.html'), '<li>March</li>');
+    await fs.writeFile(path.join(sourceDir, 'includes', 'divider.html'), '<li class="divider"></li>');
+    
+    await fs.writeFile(
+      path.join(sourceDir, 'index.html'),
+      '<html><head></head><body><ul><!--#include virtual="/includes/news/*.html" sort="-name" limit="2" separator="/includes/divider.html" --></ul></body></html>'
+    );
+    
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<!DOCTYPE html><html><head><title>Cards</title></head><body><slot></slot></body></html>'
+    );
+    await fs.writeFile(path.join(sourceDir, 'components', 'cards', 'a.html'), '<div class="card">A</div><style>.card{color:red}</style>');
+    await fs.writeFile(path.join(sourceDir, 'components', 'cards', 'b.html'), '<div class="card">B</div><style>.card{color:red}</style>');
+    
+    await fs.writeFile(
+      path.join(sourceDir, 'cards.html'),
+      '<div><include src="/components/cards/*.html" /></div>'
+    );
+  });
+  
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+  
+  it('should expand SSI glob includes with sort, limit and separator', async () => {
+    await build({ source: sourceDir, output: outputDir });
+    
+    const content = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(content.includes('<ul><li>March</li><li class="divider"></li><li>February</li></ul>'));
+  });
+  
+  it('should expand DOM-mode glob includes', async () => {
+    await build({ source: sourceDir, output: outputDir });
+    
+    const content = await fs.readFile(path.join(outputDir, 'cards.html'), 'utf-8');
+    assert(content.includes('<div class="card">A</div><div class="card">B</div>'));
+    assert.strictEqual(content.split('.card{color:red}').length, 2);
+  });
+  
+  it('should reject DOM-mode glob includes with an invalid limit or sort', async () => {
+    const pagePath = path.join(sourceDir, 'cards.html');
+    const cases = [
+      ['limit="0"', /limit must be a positive integer/],
+      ['sort="size"', /sort must be one of name, -name, date, -date/]
+    ];
+    
+    for (const [attribute, message] of cases) {
+      const page = `<div>\n  <include src="/components/cards/*.html" ${attribute} />\n</div>`;
+      
+      await assert.rejects(() => processDOMMode(page, pagePath, sourceDir), (error) => {
+        assert(error instanceof MalformedDirectiveError);
+        assert.match(error.message, message);
+        assert.strictEqual(error.filePath, pagePath);
+        assert.strictEqual(error.lineNumber, 2);
+        return true;
+      });
+    }
+  });
+  
+  it('should rebuild including pages when a matching file is added', async () => {
+    const result = await build({ source: sourceDir, output: outputDir });
+    
+    const newsPath = path.join(sourceDir, 'includes', 'news', '2024-04-20.html');
+    await fs.writeFile(newsPath, '<li>April</li>');
+    
+    const rebuild = await incrementalBuild(
+      { source: sourceDir, output: outputDir },
+      newsPath,
+      result.dependencyTracker,
+      result.assetTracker
+    );
+    
+    assert.strictEqual(rebuild.processed, 1);
+    const content = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(content.includes('<li>April</li><li class="divider"></li><li>March</li>'));
+  });
+  
+  it('should rebuild including pages when the separator changes', async () => {
+    const result = await build({ source: sourceDir, output: outputDir });
+    
+    const dividerPath = path.join(sourceDir, 'includes', 'divider.html');
+    await fs.writeFile(dividerPath, '<li class="rule"></li>');
+    
+    const rebuild = await incrementalBuild(
+      { source: sourceDir, output: outputDir },
+      dividerPath,
+      result.dependencyTracker,
+      result.assetTracker
+    );
+    
+    assert.strictEqual(rebuild.processed, 1);
+    const content = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(content.includes('<li>March</li><li class="rule"></li><li>February</li>'));
+  });
+  
+  it('should rebuild including pages when a matching file is removed', async () => {
+    const result = await build({ source: sourceDir, output: outputDir });
+    
+    const cardPath = path.join(sourceDir, 'components', 'cards', 'b.html');
+    await fs.rm(cardPath);
+    
+    const rebuild = await incrementalBuild(
+      { source: sourceDir, output: outputDir },
+      cardPath,
+      result.dependencyTracker,
+      result.assetTracker
+    );
+    
+    assert.strictEqual(rebuild.processed, 1);
+    const content = await fs.readFile(path.join(outputDir, 'cards.html'), 'utf-8');
+    assert(content.includes('<div class="card">A</div>'));
+    assert(!content.includes('<div class="card">B</div>'));
+  });
+});
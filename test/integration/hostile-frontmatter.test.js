@@ -0,0 +1,187 @@
+/**
+ * Integration tests for escaping hostile frontmatter values in markdown pages
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { build } from '../../src/core/file-processor.js';
+import { logger } from '../../src/utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/hostile-frontmatter');
+
+const HOSTILE = {
+  title: '</title><script>alert(1)</script>"\'&',
+  description: '" onload="alert(1)" x="',
+  excerptBody: '<img src=x onerror=alert(1)> is how it starts',
+  author: '"; alert(1); "</script><script>alert(2)</script>',
+  handle: 'x onmouseover=alert(1)',
+  tracking: "'); alert(1); ('",
+  link: ' JaVaScRiPt:alert(1)',
+  query: 'a&b=c#d "e"',
+  template: '{{ site.secret }}{{{ content }}}',
+  count: '0; alert(1); var x = 0',
+  color: 'red; background: url(javascript:alert(1))',
+  font: '"; } body { display: none } p { x: "',
+  images: 'a.jpg 1x, javascript:alert(1) 2x'
+};
+
+describe('Hostile frontmatter', () => {
+  let sourceDir;
+  let outputDir;
+
+  /**
+   * Build a markdown page and parse the result
+   * @param {Object} frontmatter - Frontmatter values (written as JSON, which is YAML)
+   * @param {string} body - Markdown body
+   * @param {string|null} layout - Site layout, or null for the built-in one
+   */
+  async function buildPage(frontmatter, body, layout = null) {
+    await fs.rm(testFixturesDir, { recursive: true, force: true });
+    await fs.mkdir(sourceDir, { recursive: true });
+    if (layout) {
+      await fs.writeFile(path.join(sourceDir, '_layout.html'), layout);
+    }
+
+    const yaml = Object.entries(frontmatter).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join('\n');
+    await fs.writeFile(path.join(sourceDir, 'index.md'), `---\n${yaml}\n---\n${body}\n`);
+
+    const result = await build({ source: sourceDir, output: outputDir });
+    assert.strictEqual(result.errors.length, 0);
+
+    const html = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    return { html, document: new JSDOM(html).window.document };
+  }
+
+  /**
+   * Get all event handler attributes in a document
+   */
+  function getHandlers(document) {
+    return [...document.querySelectorAll('*')].flatMap(element =>
+      [...element.attributes].filter(attribute => attribute.name.startsWith('on')).map(attribute => `${element.tagName}.${attribute.name}`)
+    );
+  }
+
+  beforeEach(() => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+    mock.method(logger, 'warn', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should escape the title and description in the built-in layout', async () => {
+    const { document } = await buildPage({ title: HOSTILE.title, description: HOSTILE.description }, 'Hello.');
+
+    assert.strictEqual(document.title, HOSTILE.title);
+    assert.strictEqual(document.querySelector('meta[name="description"]').getAttribute('content'), HOSTILE.description);
+    assert.strictEqual(document.querySelectorAll('script').length, 0);
+    assert.deepStrictEqual(getHandlers(document), []);
+  });
+
+  it('should escape the excerpt used as the built-in description', async () => {
+    const { document } = await buildPage({ title: 'Post' }, HOSTILE.excerptBody);
+
+    const description = document.querySelector('meta[name="description"]').getAttribute('content');
+    assert(description.includes('<img src=x onerror=alert(1)>'), 'the excerpt is kept as text');
+    assert.strictEqual(document.head.querySelectorAll('img').length, 0);
+  });
+
+  it('should escape values for text, attribute, URL and script contexts', async () => {
+    const layout = `<!DOCTYPE html><html><head><title>{{ title }}</title>
+<meta name="description" content='{{ description }}'>
+<script type="application/ld+json">{"headline": "{{ title }}", "author": "{{ author }}"}</script>
+</head><body>
+<a id="link" href="{{ link }}">Link</a>
+<a id="search" href="/search?q={{ query }}">Search</a>
+<span id="handle" title={{ handle }}>Handle</span>
+<button id="track" onclick="track('{{ tracking }}')">Go</button>
+<p id="template">{{ template }}</p>
+{{ content }}
+</body></html>`;
+
+    const { document } = await buildPage({
+      title: HOSTILE.title,
+      description: HOSTILE.description,
+      author: HOSTILE.author,
+      link: HOSTILE.link,
+      query: HOSTILE.query,
+      handle: HOSTILE.handle,
+      tracking: HOSTILE.tracking,
+      template: HOSTILE.template
+    }, 'Body.', layout);
+
+    assert.strictEqual(document.title, HOSTILE.title);
+    assert.strictEqual(document.querySelector('meta[name="description"]').getAttribute('content'), HOSTILE.description);
+
+    const scripts = document.querySelectorAll('script');
+    assert.strictEqual(scripts.length, 1);
+    assert.deepStrictEqual(JSON.parse(scripts[0].textContent), { headline: HOSTILE.title, author: HOSTILE.author });
+
+    assert.strictEqual(document.getElementById('link').getAttribute('href'), 'about:invalid');
+    assert.strictEqual(new URL(document.getElementById('search').getAttribute('href'), 'http://x/').searchParams.get('q'), HOSTILE.query);
+    assert.strictEqual(document.getElementById('handle').getAttribute('title'), HOSTILE.handle);
+
+    assert.deepStrictEqual(getHandlers(document), ['BUTTON.onclick']);
+    const handler = document.getElementById('track').getAttribute('onclick');
+    assert.match(handler, /^track\('[^']*'\)$/, 'the value stays inside the string literal');
+    assert.strictEqual(JSON.parse(`"${handler.slice(7, -2)}"`), HOSTILE.tracking);
+
+    assert.strictEqual(document.getElementById('template').textContent, HOSTILE.template);
+  });
+
+  it('should escape values outside script strings and in style and srcset contexts', async () => {
+    const layout = `<!DOCTYPE html><html><head>
+<script>var count = {{ count }};</script>
+<style>p { color: {{ color }}; font-family: "{{ font }}"; }</style>
+</head><body>
+<p id="styled" style="color: {{ color }}; font-family: '{{ font }}'">Styled</p>
+<img id="image" srcset="{{ images }}">
+<img id="second" srcset="a.jpg 1x, {{ link }} 2x">
+{{ content }}
+</body></html>`;
+
+    const { document } = await buildPage({
+      count: HOSTILE.count,
+      color: HOSTILE.color,
+      font: HOSTILE.font,
+      images: HOSTILE.images,
+      link: HOSTILE.link
+    }, 'Body.', layout);
+
+    const script = document.querySelector('script').textContent;
+    assert.strictEqual(script, `var count = ${JSON.stringify(HOSTILE.count)};`, 'the value is a single string literal');
+
+    const style = document.querySelector('style').textContent;
+    assert.strictEqual(style.match(/\{/g).length, 1, 'no new rules');
+    assert(!style.includes('url('));
+    assert(style.includes('color: invalid;'));
+
+    const styled = document.getElementById('styled').getAttribute('style');
+    assert(styled.startsWith('color: invalid; font-family: \''));
+    assert(!/[;}]/.test(styled.slice('color: invalid;'.length)), 'the font stays one string');
+
+    assert.strictEqual(document.getElementById('image').getAttribute('srcset'), 'a.jpg%201x%2C%20javascript:alert(1)%202x');
+    assert.strictEqual(document.getElementById('second').getAttribute('srcset'), 'a.jpg 1x, about:invalid 2x');
+    assert.deepStrictEqual(getHandlers(document), []);
+  });
+
+  it('should output {{{ }}} values raw', async () => {
+    const layout = '<html><body><div id="intro">{{{ intro }}}</div><div id="escaped">{{ intro }}</div>{{ content }}</body></html>';
+    const { document } = await buildPage({ intro: '<em>Trusted</em>' }, 'Body.', layout);
+
+    assert.strictEqual(document.querySelector('#intro em').textContent, 'Trusted');
+    assert.strictEqual(document.getElementById('escaped').textContent, '<em>Trusted</em>');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Integration tests for per-page markdown layouts
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+import { BuildError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/markdown-layouts');
+
+describe('Markdown layouts', () => {
+  let sourceDir;
+  let outputDir;
+
+  /**
+   * Read a built page
+   */
+  function readOutput(fileName) {
+    return fs.readFile(path.join(outputDir, fileName), 'utf-8');
+  }
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.writeFile(path.join(sourceDir, '_layout.html'), '<html><body class="site">{{ content }}</body></html>');
+    await fs.writeFile(path.join(sourceDir, 'layouts', 'docs.html'), '<html><body class="docs"><h1>{{ title }}</h1>{{ content }}</body></html>');
+
+    await fs.writeFile(path.join(sourceDir, 'index.md'), '# Home\n');
+    await fs.writeFile(path.join(sourceDir, 'guide.md'), '---\ntitle: Guide\nlayout: docs\n---\nRead me.\n');
+    await fs.writeFile(path.join(sourceDir, 'api.md'), '---\ntitle: API\nlayout: docs.html\n---\nCall me.\n');
+    await fs.writeFile(path.join(sourceDir, 'fragment.md'), '---\nlayout: false\n---\nJust *this*.\n');
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should select the layout named in the frontmatter', async () => {
+    await build({ source: sourceDir, output: outputDir });
+
+    assert((await readOutput('index.html')).includes('<body class="site">'));
+    assert((await readOutput('guide.html')).includes('<body class="docs"><h1>Guide</h1><p>Read me.</p>'));
+    assert((await readOutput('api.html')).includes('<body class="docs"><h1>API</h1>'));
+    assert.strictEqual((await readOutput('fragment.html')).trim(), '<p>Just <em>this</em>.</p>');
+  });
+
+  it('should fail pages whose layout does not exist', async () => {
+    await fs.writeFile(path.join(sourceDir, 'missing.md'), '---\nlayout: blog\n---\nText\n');
+
+    await assert.rejects(
+      () => build({ source: sourceDir, output: outputDir }),
+      error => error instanceof BuildError &&
+        error.cause.some(failure => failure.file.endsWith('missing.md') && failure.error.includes(path.join('layouts', 'blog.html')))
+    );
+  });
+
+  it('should rebuild exactly the markdown pages using a changed layout', async () => {
+    const buildResult = await build({ source: sourceDir, output: outputDir });
+
+    /**
+     * Rewrite a layout and run an incremental build for it
+     */
+    async function change(relativePath, content) {
+      const filePath = path.join(sourceDir, relativePath);
+      await fs.writeFile(filePath, content);
+      return incrementalBuild(
+        { source: sourceDir, output: outputDir },
+        filePath,
+        buildResult.dependencyTracker,
+        buildResult.assetTracker
+      );
+    }
+
+    let result = await change('layouts/docs.html', '<html><body class="manual">{{ content }}</body></html>');
+    assert.strictEqual(result.processed, 2);
+    assert((await readOutput('guide.html')).includes('<body class="manual">'));
+    assert((await readOutput('index.html')).includes('<body class="site">'));
+
+    result = await change('_layout.html', '<html><body class="home">{{ content }}</body></html>');
+    assert.strictEqual(result.processed, 1);
+    assert((await readOutput('index.html')).includes('<body class="home">'));
+  });
+
+  it('should rebuild pages on the built-in layout when a site-wide layout is added', async () => {
+    await fs.rm(path.join(sourceDir, '_layout.html'));
+    const buildResult = await build({ source: sourceDir, output: outputDir });
+    assert(!(await readOutput('index.html')).includes('class="added"'));
+
+    const layoutPath = path.join(sourceDir, 'includes', 'layout.html');
+    await fs.mkdir(path.dirname(layoutPath), { recursive: true });
+    await fs.writeFile(layoutPath, '<html><body class="added">{{ content }}</body></html>');
+    const result = await incrementalBuild(
+      { source: sourceDir, output: outputDir },
+      layoutPath,
+      buildResult.dependencyTracker,
+      buildResult.assetTracker
+    );
+
+    assert.strictEqual(result.processed, 1, 'pages with their own layout are left alone');
+    assert((await readOutput('index.html')).includes('<body class="added">'));
+  });
+});
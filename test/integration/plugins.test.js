@@ -0,0 +1,249 @@
+/**
+ * Integration tests for the plugin system
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+import { PluginManager, normalizeOutputPath } from '../../src/core/plugin-manager.js';
+import { BuildError, PluginError } from '../../src/utils/errors.js';
+import { createDompile } from '../../src/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/plugins');
+
+/**
+ * Plugin that records every hook call
+ */
+function createRecorderPlugin(calls) {
+  return {
+    name: 'recorder',
+    configResolved(config) {
+      calls.push('configResolved');
+      config.baseUrl = 'https://plugin.example';
+    },
+    beforeFile(content, context) {
+      calls.push(`beforeFile:${context.type}:${path.basename(context.filePath)}`);
+      return content.replace('%YEAR%', '2025');
+    },
+    afterFile(content, context) {
+      calls.push(`afterFile:${context.type}:${path.basename(context.filePath)}`);
+      return content.replace('</body>', '<!-- built --></body>');
+    },
+    beforeAssetCopy(assetFiles) {
+      calls.push(`beforeAssetCopy:${assetFiles.length}`);
+    },
+    afterSitemap(sitemapContent, context) {
+      calls.push('afterSitemap');
+      context.emitFile('robots.txt', `Sitemap: ${context.config.baseUrl}/sitemap.xml`);
+    },
+    buildEnd(results) {
+      calls.push(`buildEnd:${results.processed}`);
+    }
+  };
+}
+
+describe('plugin system', () => {
+  let sourceDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    await fs.writeFile(
+      path.join(sourceDir, 'index.html'),
+      '<!DOCTYPE html><html><head><title>Home</title></head><body><p>&copy; %YEAR%</p></body></html>'
+    );
+
+    await fs.writeFile(
+      path.join(sourceDir, 'post.md'),
+      '# Post\n\nWritten in %YEAR%.'
+    );
+
+    await fs.writeFile(
+      path.join(sourceDir, 'notes.txt'),
+      'first line\nsecond line'
+    );
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should run lifecycle hooks in build order', async () => {
+    const calls = [];
+    await build({ source: sourceDir, output: outputDir, plugins: [createRecorderPlugin(calls)] });
+
+    assert.strictEqual(calls[0], 'configResolved');
+    assert(calls.includes('beforeFile:html:index.html'));
+    assert(calls.includes('afterFile:markdown:post.md'));
+    assert(calls.indexOf('beforeAssetCopy:1') > calls.indexOf('afterFile:html:index.html'));
+    assert(calls.indexOf('afterSitemap') > calls.indexOf('beforeAssetCopy:1'));
+    assert.strictEqual(calls[calls.length - 1], 'buildEnd:2');
+  });
+
+  it('should apply content transforms and emit extra files', async () => {
+    await build({ source: sourceDir, output: outputDir, plugins: [createRecorderPlugin([])] });
+
+    const indexContent = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(indexContent.includes('&copy; 2025'));
+    assert(indexContent.includes('<!-- built --></body>'));
+
+    const postContent = await fs.readFile(path.join(outputDir, 'post.html'), 'utf-8');
+    assert(postContent.includes('Written in 2025.'));
+
+    const robots = await fs.readFile(path.join(outputDir, 'robots.txt'), 'utf-8');
+    assert.strictEqual(robots, 'Sitemap: https://plugin.example/sitemap.xml');
+  });
+
+  it('should pick the DOM pipeline from the transformed source', async () => {
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.writeFile(path.join(sourceDir, 'layouts', 'page.html'), '<html><head></head><body><header>Site</header><slot></slot></body></html>');
+    const calls = [];
+    const layoutPlugin = {
+      name: 'layout',
+      beforeFile: (content, context) => context.filePath.endsWith('.html') ? `<div data-layout="page.html">${content}</div>` : content,
+      afterFile(content, context) {
+        calls.push(`${context.type}:${path.basename(context.filePath)}`);
+        return content;
+      }
+    };
+
+    await fs.writeFile(path.join(sourceDir, 'index.html'), '<p>Home</p>');
+    await build({ source: sourceDir, output: outputDir, plugins: [layoutPlugin] });
+
+    const indexContent = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert(indexContent.includes('<header>Site</header>'));
+    assert(indexContent.includes('<p>Home</p>'));
+    assert(calls.includes('dom:index.html'));
+  });
+
+  it('should process file types registered by plugins', async () => {
+    const textPlugin = {
+      name: 'text-pages',
+      fileHandlers: [{
+        name: 'text',
+        test: (filePath) => filePath.endsWith('.txt'),
+        process: (content) => `<html><head></head><body><pre>${content}</pre></body></html>`
+      }]
+    };
+
+    const result = await build({ source: sourceDir, output: outputDir, plugins: [textPlugin] });
+    assert.strictEqual(result.processed, 3);
+
+    const notes = await fs.readFile(path.join(outputDir, 'notes.html'), 'utf-8');
+    assert(notes.includes('<pre>first line\nsecond line</pre>'));
+  });
+
+  it('should fire the same hooks in incremental builds', async () => {
+    const calls = [];
+    const plugins = [createRecorderPlugin(calls)];
+    const result = await build({ source: sourceDir, output: outputDir, plugins });
+
+    calls.length = 0;
+    const indexPath = path.join(sourceDir, 'index.html');
+    await incrementalBuild(
+      { source: sourceDir, output: outputDir, plugins },
+      indexPath,
+      result.dependencyTracker,
+      result.assetTracker
+    );
+
+    assert.deepStrictEqual(calls, [
+      'configResolved',
+      'beforeAssetCopy:0',
+      'beforeFile:html:index.html',
+      'afterFile:html:index.html',
+      'buildEnd:1'
+    ]);
+
+    const indexContent = await fs.readFile(indexPath.replace(sourceDir, outputDir), 'utf-8');
+    assert(indexContent.includes('<!-- built --></body>'));
+  });
+
+  it('should load plugins once for all builds of a site', async () => {
+    let loaded = 0;
+    const factory = () => {
+      loaded++;
+      return { name: 'counted' };
+    };
+    const site = createDompile({ source: sourceDir, output: outputDir, plugins: [factory] });
+
+    await site.build();
+    await site.rebuild(path.join(sourceDir, 'index.html'));
+    await site.rebuild(path.join(sourceDir, 'post.md'));
+    assert.strictEqual(loaded, 1);
+  });
+
+  it('should keep plugin output paths inside the output directory', async () => {
+    mock.method(logger, 'error', () => {});
+    const escapePlugin = {
+      name: 'escape',
+      fileHandlers: [{
+        test: (filePath) => filePath.endsWith('.txt'),
+        process: (content) => ({ content, outputPath: '../escaped.html' })
+      }]
+    };
+
+    await assert.rejects(() => build({ source: sourceDir, output: outputDir, plugins: [escapePlugin] }), (error) => {
+      assert(error instanceof BuildError);
+      assert.match(error.cause[0].error, /Plugin "escape" could not process notes\.txt: Output path must stay inside the output directory: \.\.\/escaped\.html/);
+      return true;
+    });
+    await assert.rejects(() => fs.access(path.join(testFixturesDir, 'escaped.html')));
+  });
+
+  it('should allow output names that only start with dots', () => {
+    assert.strictEqual(normalizeOutputPath('..well-known.json', 'Output path'), '..well-known.json');
+    assert.strictEqual(normalizeOutputPath('/...txt', 'Output path'), '...txt');
+    assert.strictEqual(normalizeOutputPath('a/../b.txt', 'Output path'), 'b.txt');
+    assert.throws(() => normalizeOutputPath('..', 'Output path'), /must stay inside the output directory/);
+    assert.throws(() => normalizeOutputPath('a/../../b.txt', 'Output path'), /must stay inside the output directory/);
+  });
+
+  it('should load plugins from factories with options', async () => {
+    const factory = (options) => ({ name: 'factory', marker: options.marker });
+    const manager = await PluginManager.create([[factory, { marker: 'x' }]]);
+
+    assert.strictEqual(manager.plugins[0].name, 'factory');
+    assert.strictEqual(manager.plugins[0].marker, 'x');
+  });
+
+  it('should load plugin packages from the project directory', async () => {
+    const packageDir = path.join(testFixturesDir, 'node_modules', 'dompile-plugin-stamp');
+    await fs.mkdir(packageDir, { recursive: true });
+    await fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'dompile-plugin-stamp', type: 'module', main: 'index.js' }));
+    await fs.writeFile(path.join(packageDir, 'index.js'), "export default { name: 'stamp' };");
+
+    const manager = await PluginManager.create(['dompile-plugin-stamp'], testFixturesDir);
+    assert.strictEqual(manager.plugins[0].name, 'stamp');
+
+    await assert.rejects(() => PluginManager.create(['dompile-plugin-missing'], testFixturesDir), (error) => {
+      assert(error instanceof PluginError);
+      assert(error.message.includes(`cannot find package "dompile-plugin-missing" from ${testFixturesDir}`));
+      return true;
+    });
+  });
+
+  it('should wrap hook failures in PluginError', async () => {
+    const manager = new PluginManager([{ name: 'broken', buildEnd() { throw new Error('boom'); } }]);
+
+    await assert.rejects(() => manager.callHook('buildEnd', {}), (error) => {
+      assert(error instanceof PluginError);
+      assert(error.message.includes('Plugin "broken" failed in buildEnd: boom'));
+      return true;
+    });
+  });
+});
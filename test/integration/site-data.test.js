@@ -0,0 +1,127 @@
+/**
+ * Integration tests for site data from the data directory
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build, incrementalBuild } from '../../src/core/file-processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/site-data');
+
+describe('Site data', () => {
+  let sourceDir;
+  let outputDir;
+  let buildResult;
+
+  /**
+   * Rewrite a source file and run an incremental build for it
+   */
+  async function change(relativePath, content) {
+    const filePath = path.join(sourceDir, relativePath);
+    await fs.writeFile(filePath, content);
+    return incrementalBuild(
+      { source: sourceDir, output: outputDir },
+      filePath,
+      buildResult.dependencyTracker,
+      buildResult.assetTracker
+    );
+  }
+
+  /**
+   * Read a built page
+   */
+  function readOutput(fileName) {
+    return fs.readFile(path.join(outputDir, fileName), 'utf-8');
+  }
+
+  beforeEach(async () => {
+    sourceDir = path.join(testFixturesDir, 'src');
+    outputDir = path.join(testFixturesDir, 'dist');
+
+    await fs.mkdir(path.join(sourceDir, '_data', 'authors'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'layouts'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'components'), { recursive: true });
+
+    await fs.writeFile(path.join(sourceDir, '_data', 'company.json'), '{"name": "Acme & Co", "founded": 1999}');
+    await fs.writeFile(path.join(sourceDir, '_data', 'team.csv'), 'name,role\nAnn,Lead\n"Bob ""B""",Dev\n');
+    await fs.writeFile(path.join(sourceDir, '_data', 'authors', 'ann.yaml'), 'name: Ann <ann@example.com>\n');
+
+    await fs.writeFile(
+      path.join(sourceDir, '_layout.html'),
+      '<!DOCTYPE html><html><head><title>{{ title }} | {{ site.company.name }}</title></head><body>{{ content }}</body></html>'
+    );
+    await fs.writeFile(
+      path.join(sourceDir, 'layouts', 'default.html'),
+      '<!DOCTYPE html><html><head><title data-token="site.company.name">Site</title></head><body><slot></slot></body></html>'
+    );
+    await fs.writeFile(path.join(sourceDir, 'components', 'byline.html'), '<p class="byline" data-token="site.authors.ann.name">Author</p>');
+
+    await fs.writeFile(
+      path.join(sourceDir, 'ssi.html'),
+      '<footer>&copy; <!--#echo var="site.company.founded" --> <!--#echo var="site.company.name" --></footer>'
+    );
+    await fs.writeFile(path.join(sourceDir, 'post.md'), '---\ntitle: Post\n---\n# Post\n');
+    await fs.writeFile(
+      path.join(sourceDir, 'team.html'),
+      '<main><ul><template data-each="site.team" data-as="member"><li data-token="member.name"></li></template></ul>' +
+      '<include src="byline.html"></include></main>'
+    );
+    await fs.writeFile(path.join(sourceDir, 'plain.html'), '<p>No data</p>');
+    await fs.writeFile(path.join(sourceDir, 'news.html'), '<p><!--#echo var="site.news.headline" --></p>');
+    await fs.writeFile(
+      path.join(sourceDir, 'links.html'),
+      '<main><a data-token="site.links.main.label" data-token-href="site.links.main.url">Link</a></main>'
+    );
+
+    buildResult = await build({ source: sourceDir, output: outputDir });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should expose data files to SSI, markdown layouts and DOM tokens', async () => {
+    assert((await readOutput('ssi.html')).includes('<footer>&copy; 1999 Acme &amp; Co</footer>'));
+    assert((await readOutput('post.html')).includes('<title>Post | Acme &amp; Co</title>'));
+
+    const team = await readOutput('team.html');
+    assert(team.includes('<title data-token="site.company.name">Acme &amp; Co</title>'));
+    assert(team.includes('<ul><li data-token="member.name">Ann</li><li data-token="member.name">Bob "B"</li></ul>'));
+    assert(team.includes('<p class="byline" data-token="site.authors.ann.name">Ann &lt;ann@example.com></p>'));
+  });
+
+  it('should rebuild only the pages that read a changed data file', async () => {
+    // ssi.html, post.md, and team.html and links.html through the DOM layout
+    let result = await change('_data/company.json', '{"name": "Initech", "founded": 2001}');
+    assert.strictEqual(result.processed, 4);
+    assert((await readOutput('ssi.html')).includes('2001 Initech'));
+    assert((await readOutput('post.html')).includes('<title>Post | Initech</title>'));
+
+    result = await change('_data/team.csv', 'name,role\nCy,Ops\n');
+    assert.strictEqual(result.processed, 1);
+    assert((await readOutput('team.html')).includes('<ul><li data-token="member.name">Cy</li></ul>'));
+
+    result = await change('_data/authors/ann.yaml', 'name: Ann Lee\n');
+    assert.strictEqual(result.processed, 1);
+    assert((await readOutput('team.html')).includes('>Ann Lee</p>'));
+  });
+
+  it('should rebuild the pages that looked up a data file before it was added', async () => {
+    let result = await change('_data/news.json', '{"headline": "Launched"}');
+    assert.strictEqual(result.processed, 1);
+    assert((await readOutput('news.html')).includes('<p>Launched</p>'));
+
+    await fs.mkdir(path.join(sourceDir, '_data', 'links'));
+    result = await change('_data/links/main.yaml', 'label: Docs\nurl: /docs/\n');
+    assert.strictEqual(result.processed, 1);
+    assert((await readOutput('links.html')).includes('<a data-token="site.links.main.label" href="/docs/">Docs</a>'));
+  });
+});
@@ -48,4 +48,16 @@ describe('parseArgs', () => {
       parseArgs(['build', '--unknown']);
     }, /Unknown option/);
   });
-});
\ No newline at end of file
+});
+
+describe('parseArgs explicit options', () => {
+  it('should parse config option', () => {
+    const args = parseArgs(['build', '--config', 'site.config.json']);
+    assert.strictEqual(args.config, 'site.config.json');
+  });
+
+  it('should record which options were given explicitly', () => {
+    const args = parseArgs(['build', '--output', 'public', '--pretty-urls']);
+    assert.deepStrictEqual(args.explicitOptions, ['output', 'prettyUrls']);
+  });
+});
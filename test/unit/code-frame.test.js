@@ -0,0 +1,34 @@
+/**
+ * Tests for code frame utilities
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getLocation, createCodeFrame } from '../../src/utils/code-frame.js';
+
+describe('code-frame', () => {
+  const content = '<html>\n<body>\n  <!--#include file="nav.html" -->\n</body>\n</html>';
+  
+  it('should convert offsets to 1-based line and column', () => {
+    assert.deepStrictEqual(getLocation(content, 0), { line: 1, column: 1 });
+    assert.deepStrictEqual(getLocation(content, content.indexOf('<!--#')), { line: 3, column: 3 });
+  });
+  
+  it('should render surrounding lines with a caret under the column', () => {
+    assert.strictEqual(createCodeFrame(content, 3, 3), [
+      '  1 | <html>',
+      '  2 | <body>',
+      '> 3 |   <!--#include file="nav.html" -->',
+      '    |   ^',
+      '  4 | </body>',
+      '  5 | </html>'
+    ].join('\n'));
+  });
+  
+  it('should limit context lines and offset displayed line numbers', () => {
+    assert.strictEqual(createCodeFrame(content, 3, 3, { contextLines: 0, lineOffset: 8 }), [
+      '> 11 |   <!--#include file="nav.html" -->',
+      '     |   ^'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for content collections
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  createCollectionEntry,
+  createCollections,
+  createCollectionsData,
+  createPageData
+} from '../../src/core/collections.js';
+import { DependencyTracker } from '../../src/core/dependency-tracker.js';
+
+/**
+ * Create an entry the way processMarkdown() describes a page
+ */
+function entry(relativePath, frontmatter = {}) {
+  const url = '/' + relativePath.replace(/(index)?\.md$/, '');
+  return createCollectionEntry(relativePath, url, { frontmatter, title: frontmatter.title || relativePath, excerpt: '' });
+}
+
+describe('collections', () => {
+  it('should group pages by frontmatter collection, directory and tags', () => {
+    assert.deepStrictEqual(entry('posts/hello.md', { tags: ['js', 'css'], collection: 'featured' }).names, ['featured', 'posts', 'js', 'css']);
+    assert.deepStrictEqual(entry('posts/2024/old.md', { tags: 'archive' }).names, ['posts', 'archive']);
+    assert.deepStrictEqual(entry('posts/index.md').names, [], 'a directory index lists the directory');
+    assert.deepStrictEqual(entry('about.md', { tags: [1, ' ', 'misc'] }).names, ['misc']);
+  });
+
+  it('should sort by date, newest first and undated last, and link neighbours', () => {
+    const collections = createCollections([
+      entry('posts/b.md', { date: '2025-02-01' }),
+      entry('posts/undated.md'),
+      entry('posts/a.md', { date: new Date('2025-01-01') }),
+      entry('posts/c.md', { date: 'not a date' }),
+      entry('posts/d.md', { date: '2025-03-01' })
+    ]);
+
+    const posts = collections.get('posts');
+    assert.deepStrictEqual(posts.map(item => item.url), ['/posts/d', '/posts/b', '/posts/a', '/posts/c', '/posts/undated']);
+    assert(posts[0].date instanceof Date);
+    assert.strictEqual(posts[0].next, null);
+    assert.strictEqual(posts[1].previous.url, '/posts/a');
+    assert.strictEqual(posts[1].next.url, '/posts/d');
+    assert.strictEqual(posts[4].previous, null);
+  });
+
+  it('should give each collection its own neighbours', () => {
+    const collections = createCollections([
+      entry('posts/a.md', { date: '2025-01-01', tags: ['js'] }),
+      entry('posts/b.md', { date: '2025-02-01' }),
+      entry('notes/c.md', { date: '2025-03-01', tags: ['js'] })
+    ]);
+
+    assert.strictEqual(collections.get('posts')[1].next.url, '/posts/b');
+    assert.strictEqual(collections.get('js')[1].next.url, '/notes/c');
+  });
+
+  it('should report the collections a page reads', () => {
+    const entries = [entry('posts/a.md', { date: '2025-01-01' }), entry('posts/b.md', { date: '2025-02-01' }), entry('about.md')];
+    const collections = createCollections(entries);
+    const reads = [];
+
+    const data = createCollectionsData(collections, name => reads.push(name));
+    assert.deepStrictEqual(Object.keys(data), ['posts']);
+    assert.deepStrictEqual(reads, []);
+    assert.strictEqual(data.posts.length, 2);
+
+    const page = createPageData(entries[0], collections, name => reads.push(name));
+    assert.strictEqual(page.collection, 'posts');
+    assert.strictEqual(page.next.url, '/posts/b');
+    assert.strictEqual(page.previous, null);
+    assert.deepStrictEqual(reads, ['posts', 'posts', 'posts']);
+
+    const about = createPageData(entries[2], collections, name => reads.push(name));
+    assert.strictEqual(about.collection, null);
+    assert.strictEqual(about.next, null);
+    assert.strictEqual(reads.length, 3);
+  });
+
+  it('should rebuild collection readers when any markdown page changes', () => {
+    const tracker = new DependencyTracker();
+    tracker.recordDependencies('/src/blog.md', []);
+    tracker.recordCollectionDependencies('/src/blog.md', ['posts', 'posts']);
+
+    assert.deepStrictEqual(tracker.getDependentPages('/src/posts/new.md'), ['/src/blog.md']);
+    assert.deepStrictEqual(tracker.getDependentPages('/src/blog.md'), []);
+    assert.deepStrictEqual(tracker.getDependentPages('/src/style.css'), []);
+    assert.deepStrictEqual(tracker.export().collectionsInPage, { '/src/blog.md': ['posts'] });
+
+    tracker.recordDependencies('/src/blog.md', []);
+    assert.deepStrictEqual(tracker.getDependentPages('/src/posts/new.md'), []);
+  });
+
+  it('should leave collection readers alone when a non-member file changes', () => {
+    const tracker = new DependencyTracker();
+    tracker.recordCollectionDependencies('/src/blog.md', ['posts']);
+    tracker.setCollectionFilter(filePath => filePath.endsWith('.md') && !filePath.startsWith('/src/includes/'));
+
+    assert.deepStrictEqual(tracker.getDependentPages('/src/includes/note.md'), []);
+    assert.deepStrictEqual(tracker.getDependentPages('/src/posts/new.md'), ['/src/blog.md']);
+  });
+});
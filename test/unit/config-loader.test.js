@@ -0,0 +1,170 @@
+/**
+ * Tests for project configuration loading
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  findConfigFile,
+  loadConfigFile,
+  validateConfig,
+  mergeConfig,
+  resolveConfig
+} from '../../src/core/config-loader.js';
+import { parseArgs } from '../../src/cli/args-parser.js';
+import { ConfigError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/config-loader');
+
+describe('config-loader', () => {
+  beforeEach(async () => {
+    await fs.mkdir(testFixturesDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('findConfigFile', () => {
+    it('should return null when no config file exists', async () => {
+      assert.strictEqual(await findConfigFile(testFixturesDir), null);
+    });
+
+    it('should prefer dompile.config.js over dompile.config.json', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'dompile.config.json'), '{}');
+      await fs.writeFile(path.join(testFixturesDir, 'dompile.config.js'), 'export default {};');
+
+      const found = await findConfigFile(testFixturesDir);
+      assert.strictEqual(found, path.join(testFixturesDir, 'dompile.config.js'));
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    it('should load JSON config and resolve paths relative to it', async () => {
+      const configPath = path.join(testFixturesDir, 'dompile.config.json');
+      await fs.writeFile(configPath, JSON.stringify({
+        source: 'site',
+        layoutsDir: '_layouts',
+        sitemap: { changefreq: 'daily' }
+      }));
+
+      const config = await loadConfigFile(configPath);
+      assert.strictEqual(config.source, path.join(testFixturesDir, 'site'));
+      assert.strictEqual(config.layoutsDir, '_layouts');
+      assert.strictEqual(config.sitemap.changefreq, 'daily');
+    });
+
+    it('should load ES module config exporting a function', async () => {
+      const configPath = path.join(testFixturesDir, 'dompile.config.mjs');
+      await fs.writeFile(configPath, 'export default async () => ({ prettyUrls: true });');
+
+      const config = await loadConfigFile(configPath);
+      assert.strictEqual(config.prettyUrls, true);
+    });
+
+    it('should reject markdown plugins given by name in JSON config', async () => {
+      const configPath = path.join(testFixturesDir, 'dompile.config.json');
+      await fs.writeFile(configPath, JSON.stringify({ markdown: { plugins: ['markdown-it-anchor'] } }));
+
+      await assert.rejects(() => loadConfigFile(configPath), (error) => {
+        assert(error instanceof ConfigError);
+        assert.strictEqual(error.configPath, configPath);
+        assert(error.issues.some(issue => issue.includes('"markdown.plugins[0]" must be a markdown-it plugin function')));
+        return true;
+      });
+    });
+
+    it('should report invalid JSON', async () => {
+      const configPath = path.join(testFixturesDir, 'dompile.config.json');
+      await fs.writeFile(configPath, '{ source: ');
+
+      await assert.rejects(() => loadConfigFile(configPath), /not valid JSON/);
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should reject unknown keys', () => {
+      assert.throws(() => validateConfig({ sauce: 'src' }, 'dompile.config.json'), (error) => {
+        assert(error instanceof ConfigError);
+        assert(error.message.includes('Unknown key "sauce"'));
+        return true;
+      });
+    });
+
+    it('should reject unknown nested keys', () => {
+      assert.throws(() => validateConfig({ markdown: { htlm: true } }), /Unknown key "markdown.htlm"/);
+    });
+
+    it('should reject values of the wrong type', () => {
+      assert.throws(() => validateConfig({ prettyUrls: 'yes' }), /"prettyUrls" must be of type boolean/);
+    });
+
+    it('should reject include depths that are not positive integers', () => {
+      assert.throws(() => validateConfig({ maxIncludeDepth: 0 }), /"maxIncludeDepth" must be a positive integer/);
+      validateConfig({ maxIncludeDepth: 25 });
+    });
+
+    it('should reject invalid sitemap change frequencies', () => {
+      assert.throws(() => validateConfig({ sitemap: { changefreq: 'sometimes' } }), /sitemap.changefreq/);
+    });
+
+    it('should accept a complete configuration', () => {
+      validateConfig({
+        source: 'src',
+        output: 'dist',
+        head: null,
+        layoutsDir: 'layouts',
+        componentsDir: 'components',
+        defaultLayout: 'base.html',
+        markdown: { linkify: false, plugins: [() => {}, [() => {}, { level: 2 }]] },
+        sitemap: { enabled: false, priority: 0.5 }
+      });
+    });
+  });
+
+  describe('mergeConfig', () => {
+    it('should merge nested sections key by key', () => {
+      const config = mergeConfig({ markdown: { breaks: true } });
+      assert.strictEqual(config.markdown.breaks, true);
+      assert.strictEqual(config.markdown.html, true);
+      assert.strictEqual(config.source, 'src');
+    });
+  });
+
+  describe('resolveConfig', () => {
+    it('should apply explicit flags on top of the config file', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'dompile.config.json'), JSON.stringify({
+        output: 'public',
+        baseUrl: 'https://config.example',
+        defaultLayout: 'base.html'
+      }));
+
+      const args = parseArgs(['build', '--base-url', 'https://flag.example']);
+      const config = await resolveConfig(args, testFixturesDir);
+
+      assert.strictEqual(config.output, path.join(testFixturesDir, 'public'));
+      assert.strictEqual(config.baseUrl, 'https://flag.example');
+      assert.strictEqual(config.defaultLayout, 'base.html');
+      assert.strictEqual(config.source, 'src');
+      assert.strictEqual(config.command, 'build');
+    });
+
+    it('should not apply arguments that were not given explicitly', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'dompile.config.json'), JSON.stringify({ source: 'site' }));
+
+      const config = await resolveConfig({ command: 'build', source: 'src', help: false }, testFixturesDir);
+
+      assert.strictEqual(config.source, path.join(testFixturesDir, 'site'));
+      assert.strictEqual(config.help, undefined);
+      assert.strictEqual(config.command, 'build');
+    });
+  });
+});
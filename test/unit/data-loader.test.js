@@ -0,0 +1,86 @@
+/**
+ * Tests for the data directory loader
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSiteData, getDataFileCandidates, loadDataFile, loadSiteData, parseCSV } from '../../src/core/data-loader.js';
+import { DataError } from '../../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataRoot = path.join(__dirname, '../fixtures/data-loader');
+
+describe('data-loader', () => {
+  beforeEach(async () => {
+    await fs.mkdir(dataRoot, { recursive: true });
+  });
+  
+  afterEach(async () => {
+    await fs.rm(dataRoot, { recursive: true, force: true });
+  });
+  
+  it('should load JSON before YAML', async () => {
+    await fs.writeFile(path.join(dataRoot, 'team.json'), '["json"]');
+    await fs.writeFile(path.join(dataRoot, 'team.yaml'), '- yaml\n');
+    await fs.writeFile(path.join(dataRoot, 'menu.yml'), 'items:\n  - Home\n');
+    
+    assert.deepStrictEqual(await loadDataFile(dataRoot, 'team'), { filePath: path.join(dataRoot, 'team.json'), data: ['json'] });
+    assert.deepStrictEqual((await loadDataFile(dataRoot, 'menu')).data, { items: ['Home'] });
+  });
+  
+  it('should return null for missing data', async () => {
+    assert.strictEqual(await loadDataFile(dataRoot, 'missing'), null);
+    assert.deepStrictEqual(
+      getDataFileCandidates(dataRoot, 'missing').map(file => path.basename(file)),
+      ['missing.json', 'missing.yaml', 'missing.yml', 'missing.csv']
+    );
+  });
+  
+  it('should reject invalid files and names', async () => {
+    await fs.writeFile(path.join(dataRoot, 'broken.json'), '[1,');
+    
+    await assert.rejects(() => loadDataFile(dataRoot, 'broken'), error =>
+      error instanceof DataError && error.message.startsWith('Invalid data file broken.json'));
+    assert.throws(() => getDataFileCandidates(dataRoot, '../secrets'), DataError);
+  });
+  
+  it('should load the whole directory as site data', async () => {
+    await fs.mkdir(path.join(dataRoot, 'authors'));
+    await fs.writeFile(path.join(dataRoot, 'site.yaml'), 'title: Docs\n');
+    await fs.writeFile(path.join(dataRoot, 'site.json'), '{"title": "Site"}');
+    await fs.writeFile(path.join(dataRoot, 'authors', 'ann.json'), '{"name": "Ann"}');
+    await fs.writeFile(path.join(dataRoot, 'notes.txt'), 'ignored');
+    
+    const read = [];
+    const site = createSiteData(await loadSiteData(dataRoot), filePath => read.push(path.basename(filePath)));
+    
+    assert.deepStrictEqual(Object.keys(site).sort(), ['authors', 'site']);
+    assert.strictEqual(site.site.title, 'Site');
+    assert.strictEqual(site.authors.ann.name, 'Ann');
+    assert.deepStrictEqual(read, ['site.json', 'ann.json']);
+  });
+  
+  it('should report data names looked up without a file', async () => {
+    await fs.mkdir(path.join(dataRoot, 'authors'), { recursive: true });
+    await fs.writeFile(path.join(dataRoot, 'authors', 'ann.json'), '{"name": "Ann"}');
+    const missing = [];
+    
+    const site = createSiteData(await loadSiteData(dataRoot), () => {}, name => missing.push(name));
+    
+    assert.strictEqual(Object.hasOwn(site, 'news'), false);
+    assert.strictEqual(site.authors.bob, undefined);
+    assert.strictEqual(site.authors.ann.name, 'Ann');
+    assert.deepStrictEqual(missing, ['news', 'authors/bob']);
+  });
+  
+  it('should parse CSV rows with quoted fields', () => {
+    assert.deepStrictEqual(parseCSV('name,quote\r\nAnn,"Hi, ""you"""\r\n\r\nBob,\n'), [
+      { name: 'Ann', quote: 'Hi, "you"' },
+      { name: 'Bob', quote: '' }
+    ]);
+    assert.throws(() => parseCSV('a\n"open'), /Unclosed quoted field/);
+  });
+});
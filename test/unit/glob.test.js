@@ -0,0 +1,74 @@
+/**
+ * Tests for glob matching and expansion
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isGlobPattern, matchesGlob, getGlobBase, expandGlob } from '../../src/utils/glob.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testFixturesDir = path.join(__dirname, '../fixtures/glob');
+
+describe('glob', () => {
+  beforeEach(async () => {
+    await fs.mkdir(path.join(testFixturesDir, 'news', '2024'), { recursive: true });
+    await fs.writeFile(path.join(testFixturesDir, 'news', 'b.html'), 'b');
+    await fs.writeFile(path.join(testFixturesDir, 'news', 'a.html'), 'a');
+    await fs.writeFile(path.join(testFixturesDir, 'news', 'c.txt'), 'c');
+    await fs.writeFile(path.join(testFixturesDir, 'news', '2024', 'd.html'), 'd');
+  });
+  
+  afterEach(async () => {
+    try {
+      await fs.rm(testFixturesDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+  
+  it('should detect glob patterns', () => {
+    assert.strictEqual(isGlobPattern('/news/*.html'), true);
+    assert.strictEqual(isGlobPattern('/news/item?.html'), true);
+    assert.strictEqual(isGlobPattern('/news/index.html'), false);
+  });
+  
+  it('should match single and multi-segment wildcards', () => {
+    assert.strictEqual(matchesGlob('/src/news/a.html', '/src/news/*.html'), true);
+    assert.strictEqual(matchesGlob('/src/news/2024/d.html', '/src/news/*.html'), false);
+    assert.strictEqual(matchesGlob('/src/news/2024/d.html', '/src/news/**/*.html'), true);
+    assert.strictEqual(matchesGlob('/src/news/a.html', '/src/news/**/*.html'), true);
+    assert.strictEqual(matchesGlob('/src/news/a1.html', '/src/news/a?.html'), true);
+    assert.strictEqual(matchesGlob('/src/newsXa.html', '/src/news.*.html'), false);
+  });
+  
+  it('should find the static base directory of a pattern', () => {
+    assert.strictEqual(getGlobBase('/src/news/**/*.html'), path.join('/src', 'news'));
+  });
+  
+  it('should expand patterns in name order', async () => {
+    const files = await expandGlob(path.join(testFixturesDir, 'news', '*.html'));
+    assert.deepStrictEqual(files.map(file => path.basename(file)), ['a.html', 'b.html']);
+    
+    const all = await expandGlob(path.join(testFixturesDir, 'news', '**', '*.html'), { sort: '-name', limit: 2 });
+    assert.deepStrictEqual(all.map(file => path.relative(testFixturesDir, file)), [
+      path.join('news', 'b.html'),
+      path.join('news', 'a.html')
+    ]);
+  });
+  
+  it('should sort by modification date', async () => {
+    await fs.utimes(path.join(testFixturesDir, 'news', 'a.html'), new Date(2024, 0, 2), new Date(2024, 0, 2));
+    await fs.utimes(path.join(testFixturesDir, 'news', 'b.html'), new Date(2024, 0, 1), new Date(2024, 0, 1));
+    
+    const files = await expandGlob(path.join(testFixturesDir, 'news', '*.html'), { sort: '-date' });
+    assert.deepStrictEqual(files.map(file => path.basename(file)), ['a.html', 'b.html']);
+  });
+  
+  it('should return no files for missing directories and reject unknown sort orders', async () => {
+    assert.deepStrictEqual(await expandGlob(path.join(testFixturesDir, 'missing', '*.html')), []);
+    await assert.rejects(() => expandGlob(path.join(testFixturesDir, '*.html'), { sort: 'size' }), /Unknown sort order/);
+  });
+});
@@ -8,7 +8,10 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { processIncludes, extractIncludeDependencies, hasIncludes, parseIncludeDirective } from '../../src/core/include-processor.js';
-import { IncludeNotFoundError } from '../../src/utils/errors.js';
+import { IncludeNotFoundError, MalformedDirectiveError, PathTraversalError, FileSystemError, IncludeDepthError, CircularDependencyError } from '../../src/utils/errors.js';
+import { formatTime, formatSize, encodeValue } from '../../src/core/ssi-variables.js';
+import { evaluateExpression } from '../../src/core/ssi-expression.js';
+import { DependencyTracker } from '../../src/core/dependency-tracker.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const testFixturesDir = path.join(__dirname, '../fixtures/include-processor');
@@ -170,4 +173,622 @@ describe('include-processor', () => {
       assert.strictEqual(parsed, null);
     });
   });
+  
+  describe('SSI variables', () => {
+    it('should echo variables set earlier in the page', async () => {
+      const html = '<!--#set var="title" value="Home" --><title><!--#echo var="title" --></title>';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<title>Home</title>');
+    });
+    
+    it('should make page variables visible to nested includes', async () => {
+      await fs.writeFile(
+        path.join(testFixturesDir, 'titled-header.html'),
+        '<header><h1><!--#echo var="title" --></h1><!--#include file="titled-nav.html" --></header>'
+      );
+      await fs.writeFile(
+        path.join(testFixturesDir, 'titled-nav.html'),
+        '<nav><!--#echo var="section" --></nav>'
+      );
+      
+      const html = '<!--#set var="title" value="About" --><!--#set var="section" value="company" --><!--#include file="titled-header.html" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<header><h1>About</h1><nav>company</nav></header>');
+    });
+    
+    it('should keep variables set inside an include out of the page scope', async () => {
+      await fs.writeFile(
+        path.join(testFixturesDir, 'setter.html'),
+        '<!--#set var="local" value="inner" -->'
+      );
+      
+      const html = '<!--#include file="setter.html" -->[<!--#echo var="local" -->]';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '[(none)]');
+    });
+    
+    it('should substitute variables in set values', async () => {
+      const html = '<!--#set var="site" value="Acme" --><!--#set var="title" value="About ${site} \\$5" --><!--#echo var="title" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, 'About Acme $5');
+    });
+    
+    it('should provide built-in document variables', async () => {
+      await fs.mkdir(path.join(testFixturesDir, 'blog'), { recursive: true });
+      const filePath = path.join(testFixturesDir, 'blog', 'post.html');
+      const html = '<!--#echo var="DOCUMENT_NAME" -->|<!--#echo var="DOCUMENT_URI" -->';
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, 'post.html|/blog/post.html');
+    });
+    
+    it('should format date built-ins', async () => {
+      const html = '<!--#echo var="DATE_LOCAL" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.match(result, /^[A-Z][a-z]+day, \d{2}-[A-Z][a-z]{2}-\d{4} \d{2}:\d{2}:\d{2} /);
+    });
+    
+    it('should apply echo encodings', async () => {
+      const html = '<!--#set var="q" value="a&b <c>" -->' +
+        '<!--#echo var="q" -->|<!--#echo encoding="none" var="q" -->|<!--#echo encoding="url" var="q" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, 'a&amp;b &lt;c&gt;|a&b <c>|a%26b%20%3Cc%3E');
+    });
+    
+    it('should reject set directives without a value', async () => {
+      const html = '<p>\n<!--#set var="title" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(() => processIncludes(html, filePath, testFixturesDir), (error) => {
+        assert(error instanceof MalformedDirectiveError);
+        assert.strictEqual(error.lineNumber, 2);
+        return true;
+      });
+    });
+    
+    it('should format times with strftime conversions', () => {
+      const date = new Date(Date.UTC(2024, 0, 5, 14, 3, 9));
+      assert.strictEqual(formatTime(date, '%Y-%m-%d %H:%M:%S %a %b', true), '2024-01-05 14:03:09 Fri Jan');
+    });
+    
+    it('should reject unknown encodings', () => {
+      assert.throws(() => encodeValue('x', 'base64'), /Unknown echo encoding/);
+    });
+  });
+  
+  describe('SSI conditionals', () => {
+    it('should pick the first matching branch', async () => {
+      const html = '<!--#set var="section" value="docs" -->' +
+        '<!--#if expr="$section = blog" -->B<!--#elif expr="$section = docs" -->D<!--#else -->E<!--#endif -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, 'D');
+    });
+    
+    it('should fall back to the else branch', async () => {
+      const html = '<!--#if expr="$missing" -->yes<!--#else -->no<!--#endif -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, 'no');
+    });
+    
+    it('should match DOCUMENT_URI against a regex and only include the taken branch', async () => {
+      await fs.mkdir(path.join(testFixturesDir, 'blog'), { recursive: true });
+      await fs.writeFile(path.join(testFixturesDir, 'blog-nav.html'), '<nav>blog</nav>');
+      
+      const html = '<!--#if expr="$DOCUMENT_URI = /^\\/blog\\//" -->' +
+        '<!--#include virtual="/blog-nav.html" -->' +
+        '<!--#else --><!--#include virtual="/missing-nav.html" --><!--#endif -->';
+      const filePath = path.join(testFixturesDir, 'blog', 'post.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<nav>blog</nav>');
+    });
+    
+    it('should nest conditionals and includes inside branches', async () => {
+      await fs.writeFile(
+        path.join(testFixturesDir, 'nav.html'),
+        '<!--#if expr="$section = docs" --><a class="active">Docs</a><!--#else --><a>Docs</a><!--#endif -->'
+      );
+      
+      const html = '<!--#set var="section" value="docs" -->' +
+        '<!--#if expr="$section" -->[<!--#if expr="$section != blog && !$hidden" --><!--#include file="nav.html" --><!--#endif -->]<!--#endif -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '[<a class="active">Docs</a>]');
+    });
+    
+    it('should ignore #set directives in branches that are not taken', async () => {
+      const html = '<!--#if expr="0 = 1" --><!--#set var="x" value="set" --><!--#endif --><!--#echo var="x" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '(none)');
+    });
+    
+    it('should reject unclosed #if blocks with the line of the #if', async () => {
+      const html = '<p>\n\n<!--#if expr="$a" -->\n<p>';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(() => processIncludes(html, filePath, testFixturesDir), (error) => {
+        assert(error instanceof MalformedDirectiveError);
+        assert.strictEqual(error.lineNumber, 3);
+        assert(error.message.includes('missing <!--#endif -->'));
+        return true;
+      });
+    });
+    
+    it('should reject stray #else and #endif directives', async () => {
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(() => processIncludes('<!--#endif -->', filePath, testFixturesDir), MalformedDirectiveError);
+      await assert.rejects(
+        () => processIncludes('<!--#if expr="a" --><!--#else --><!--#elif expr="b" --><!--#endif -->', filePath, testFixturesDir),
+        /after <!--#else -->/
+      );
+    });
+    
+    it('should reject invalid expressions', async () => {
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(
+        () => processIncludes('\n<!--#if expr="($a = b" -->x<!--#endif -->', filePath, testFixturesDir),
+        (error) => {
+          assert(error instanceof MalformedDirectiveError);
+          assert.strictEqual(error.lineNumber, 2);
+          return true;
+        }
+      );
+    });
+    
+    it('should evaluate expression operators', () => {
+      const scope = { a: 'apple', b: 'banana', empty: '' };
+      
+      assert.strictEqual(evaluateExpression('$a = apple', scope), true);
+      assert.strictEqual(evaluateExpression("'${a} pie' = 'apple pie'", scope), true);
+      assert.strictEqual(evaluateExpression('$a < $b', scope), true);
+      assert.strictEqual(evaluateExpression('$empty || $missing', scope), false);
+      assert.strictEqual(evaluateExpression('!($a = pear) && $b != /^c/', scope), true);
+      assert.strictEqual(evaluateExpression('$a = x || $b = banana && $a = apple', scope), true);
+      assert.throws(() => evaluateExpression('$a = /[/', scope), /invalid regular expression/);
+      assert.throws(() => evaluateExpression('$a & $b', scope), /use &&/);
+    });
+  });
+  
+  describe('SSI file information and #config', () => {
+    it('should print file sizes in the configured format', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'big.txt'), 'x'.repeat(1536));
+      
+      const html = '<!--#fsize file="big.txt" -->|<!--#config sizefmt="bytes" --><!--#fsize virtual="/big.txt" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '1.5K|1,536');
+    });
+    
+    it('should print modification times with the configured timefmt', async () => {
+      const target = path.join(testFixturesDir, 'dated.html');
+      await fs.writeFile(target, '<p>dated</p>');
+      const mtime = new Date(2024, 2, 9, 8, 30, 0);
+      await fs.utimes(target, mtime, mtime);
+      
+      const html = '<!--#config timefmt="%Y-%m-%d %H:%M" --><!--#flastmod file="dated.html" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '2024-03-09 08:30');
+    });
+    
+    it('should apply #config to included files', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'footer.html'), '<!--#echo var="nothing" -->');
+      
+      const html = '<!--#config echomsg="" --><!--#include file="footer.html" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '');
+    });
+    
+    it('should reject paths outside the source root', async () => {
+      const html = '<!--#fsize file="../../../etc/passwd" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(() => processIncludes(html, filePath, testFixturesDir), PathTraversalError);
+    });
+    
+    it('should fail for missing files', async () => {
+      const html = '<!--#flastmod file="missing.html" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(() => processIncludes(html, filePath, testFixturesDir), FileSystemError);
+    });
+    
+    it('should reject invalid #config attributes', async () => {
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(() => processIncludes('<!--#config sizefmt="huge" -->', filePath, testFixturesDir), /sizefmt must be/);
+      await assert.rejects(() => processIncludes('<!--#config colour="red" -->', filePath, testFixturesDir), /unknown attribute "colour"/);
+    });
+    
+    it('should replace unsupported directives with the error message', async () => {
+      const html = '<p><!--#exec cmd="ls" --></p><!--#config errmsg="" --><!--#printenv -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<p>[an error occurred while processing this directive]</p>');
+    });
+    
+    it('should abbreviate sizes', () => {
+      assert.strictEqual(formatSize(512), '512');
+      assert.strictEqual(formatSize(20 * 1024 * 1024), '20M');
+      assert.strictEqual(formatSize(1234567, 'bytes'), '1,234,567');
+    });
+  });
+  
+  describe('parameterised includes', () => {
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(testFixturesDir, 'card.html'),
+        '<a class="card" href="{{ href }}"><!--#echo var="title" --></a>'
+      );
+    });
+    
+    it('should pass extra attributes to the included file', async () => {
+      const html = '<!--#include file="card.html" title="Blue & Co" href="/blue" -->' +
+        '<!--#include virtual="/card.html" title="Red" href="/red" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(
+        result,
+        '<a class="card" href="/blue">Blue &amp; Co</a><a class="card" href="/red">Red</a>'
+      );
+    });
+    
+    it('should scope parameters to the include and its children', async () => {
+      await fs.writeFile(
+        path.join(testFixturesDir, 'card-list.html'),
+        '<!--#include file="card.html" href="/{{ section }}" --><!--#echo var="section" -->'
+      );
+      
+      const html = '<!--#set var="title" value="Page" -->' +
+        '<!--#include file="card-list.html" section="docs" -->|<!--#echo var="section" -->|{{ section }}';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<a class="card" href="/docs">Page</a>docs|(none)|{{ section }}');
+    });
+    
+    it('should substitute variables in parameter values', async () => {
+      const html = '<!--#set var="base" value="/shop" --><!--#include file="card.html" title="Shop" href="${base}/cart" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<a class="card" href="/shop/cart">Shop</a>');
+    });
+    
+    it('should parse and extract includes with parameters', () => {
+      const html = '<!--#include title="x" virtual="/card.html" href="y" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      assert.deepStrictEqual(parseIncludeDirective(html), {
+        type: 'virtual',
+        path: '/card.html',
+        params: { title: 'x', href: 'y' },
+        isGlob: false
+      });
+      assert.deepStrictEqual(
+        extractIncludeDependencies(html, filePath, testFixturesDir),
+        [path.join(testFixturesDir, 'card.html')]
+      );
+    });
+    
+    it('should record include parameters in the dependency tracker', () => {
+      const tracker = new DependencyTracker();
+      const pagePath = path.join(testFixturesDir, 'test.html');
+      const html = '<!--#include file="card.html" title="Blue" --><!--#include file="card.html" -->';
+      
+      tracker.analyzePage(pagePath, html, testFixturesDir);
+      
+      assert.deepStrictEqual(tracker.getIncludeParams(pagePath), [
+        { includePath: path.join(testFixturesDir, 'card.html'), params: { title: 'Blue' } }
+      ]);
+      assert.deepStrictEqual(tracker.getAffectedPages(path.join(testFixturesDir, 'card.html')), [pagePath]);
+      
+      tracker.removeFile(pagePath);
+      assert.deepStrictEqual(tracker.getIncludeParams(pagePath), []);
+    });
+  });
+  
+  describe('glob includes', () => {
+    beforeEach(async () => {
+      await fs.mkdir(path.join(testFixturesDir, 'news'), { recursive: true });
+      await fs.writeFile(path.join(testFixturesDir, 'news', 'one.html'), '<p><!--#echo var="label" --> 1</p>');
+      await fs.writeFile(path.join(testFixturesDir, 'news', 'two.html'), '<p><!--#echo var="label" --> 2</p>');
+    });
+    
+    it('should include every match, pass parameters and skip the including file', async () => {
+      const html = '<!--#include file="*.html" label="News" -->';
+      const filePath = path.join(testFixturesDir, 'news', 'index.html');
+      await fs.writeFile(filePath, html);
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<p>News 1</p><p>News 2</p>');
+    });
+    
+    it('should expand to nothing when no files match', async () => {
+      const html = '[<!--#include virtual="/archive/*.html" -->]';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '[]');
+    });
+    
+    it('should reject invalid limit and sort values', async () => {
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(
+        () => processIncludes('<!--#include virtual="/news/*.html" limit="0" -->', filePath, testFixturesDir),
+        /limit must be a positive integer/
+      );
+      await assert.rejects(
+        () => processIncludes('<!--#include virtual="/news/*.html" sort="size" -->', filePath, testFixturesDir),
+        MalformedDirectiveError
+      );
+    });
+    
+    it('should reject patterns outside the source root', async () => {
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(
+        () => processIncludes('<!--#include file="../../*.html" -->', filePath, testFixturesDir),
+        PathTraversalError
+      );
+    });
+    
+    it('should record glob includes in the dependency tracker', () => {
+      const tracker = new DependencyTracker();
+      const pagePath = path.join(testFixturesDir, 'test.html');
+      
+      tracker.analyzePage(pagePath, '<!--#include virtual="/news/*.html" -->', testFixturesDir);
+      
+      assert.deepStrictEqual(tracker.getPageDependencies(pagePath), []);
+      assert.deepStrictEqual(tracker.getAffectedPages(path.join(testFixturesDir, 'news', 'three.html')), [pagePath]);
+      assert.deepStrictEqual(tracker.getAffectedPages(path.join(testFixturesDir, 'other', 'three.html')), []);
+    });
+  });
+  
+  describe('markdown includes', () => {
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(testFixturesDir, 'intro.md'),
+        '---\nauthor: Ada\nsummary: Short intro\n---\n## Welcome\n\nWritten by <!--#echo var="author" -->.\n'
+      );
+    });
+    
+    it('should render markdown includes in HTML pages without frontmatter', async () => {
+      const html = '<section><!--#include file="intro.md" frontmatter="local" --></section>';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '<section><h2>Welcome</h2>\n<p>Written by Ada.</p>\n</section>');
+    });
+    
+    it('should keep frontmatter out of the include scope unless requested', async () => {
+      const html = '<!--#set var="author" value="Page" --><!--#include file="intro.md" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert(result.includes('<p>Written by Page.</p>'), 'the page\'s variables are not replaced');
+    });
+    
+    it('should let include parameters override frontmatter values', async () => {
+      const html = '<!--#include file="intro.md" frontmatter="local" author="Grace" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert(result.includes('<p>Written by Grace.</p>'));
+    });
+    
+    it('should export frontmatter to the including page on request', async () => {
+      const html = '<!--#include file="intro.md" frontmatter="export" --><meta name="description" content="<!--#echo var="summary" -->">';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir);
+      
+      assert(result.endsWith('<meta name="description" content="Short intro">'));
+      
+      const local = await processIncludes('<!--#include file="intro.md" frontmatter="local" --><!--#echo var="summary" -->', filePath, testFixturesDir);
+      assert(local.endsWith('(none)'));
+    });
+    
+    it('should insert markdown source when the including file is markdown', async () => {
+      const markdown = '# Page\n\n<!--#include file="intro.md" frontmatter="local" -->\n';
+      const filePath = path.join(testFixturesDir, 'page.md');
+      
+      const result = await processIncludes(markdown, filePath, testFixturesDir);
+      
+      assert.strictEqual(result, '# Page\n\n## Welcome\n\nWritten by Ada.\n\n');
+    });
+    
+    it('should reject unknown frontmatter modes', async () => {
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(
+        () => processIncludes('<!--#include file="intro.md" frontmatter="merge" -->', filePath, testFixturesDir),
+        MalformedDirectiveError
+      );
+    });
+  });
+  
+  describe('include depth', () => {
+    beforeEach(async () => {
+      // level-1.html includes level-2.html ... up to level-5.html
+      for (let level = 1; level <= 5; level++) {
+        const next = level < 5 ? `\n<!--#include file="level-${level + 1}.html" -->` : '<p>bottom</p>';
+        await fs.writeFile(path.join(testFixturesDir, `level-${level}.html`), `<div>${next}</div>`);
+      }
+    });
+    
+    it('should allow nesting up to the configured depth', async () => {
+      const html = '<!--#include file="level-1.html" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      const result = await processIncludes(html, filePath, testFixturesDir, new Set(), 0, null, { maxIncludeDepth: 5 });
+      
+      assert(result.includes('<p>bottom</p>'));
+    });
+    
+    it('should report the include stack when the depth is exceeded', async () => {
+      const html = '<main>\n<!--#include file="level-1.html" -->';
+      const filePath = path.join(testFixturesDir, 'test.html');
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath, testFixturesDir, new Set(), 0, null, { maxIncludeDepth: 3 }),
+        (error) => {
+          assert(error instanceof IncludeDepthError);
+          assert.strictEqual(error.maxDepth, 3);
+          assert.deepStrictEqual(error.includeStack.map(hop => `${path.basename(hop.filePath)}:${hop.lineNumber}`), [
+            'test.html:2',
+            'level-1.html:2',
+            'level-2.html:2',
+            'level-3.html:2'
+          ]);
+          assert(error.message.includes('Maximum include depth (3) exceeded'));
+          assert(error.message.includes(`${filePath}:2 → ${path.join(testFixturesDir, 'level-1.html')}:2`));
+          return true;
+        }
+      );
+    });
+  });
+  
+  describe('error locations', () => {
+    const filePath = () => path.join(testFixturesDir, 'test.html');
+    
+    it('should report file:line:column and a code frame for missing includes', async () => {
+      const html = '<body>\n  <main>\n    <!--#include file="missing.html" -->\n  </main>\n</body>';
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath(), testFixturesDir),
+        (error) => {
+          assert(error instanceof IncludeNotFoundError);
+          assert.strictEqual(error.lineNumber, 3);
+          assert.strictEqual(error.columnNumber, 5);
+          assert.strictEqual(error.message, `Include file not found: missing.html in ${filePath()}:3:5`);
+          assert(error.codeFrame.includes('> 3 |     <!--#include file="missing.html" -->'));
+          assert(error.codeFrame.includes('    |     ^'));
+          return true;
+        }
+      );
+    });
+    
+    it('should locate path traversal attempts', async () => {
+      const html = '<p>\n<!--#include virtual="/../../etc/passwd" --></p>';
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath(), testFixturesDir),
+        (error) => {
+          assert(error instanceof PathTraversalError);
+          assert.strictEqual(error.getLocation(), `${filePath()}:2:1`);
+          return true;
+        }
+      );
+    });
+    
+    it('should report the directive inside the include that failed', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'broken.html'), '<div>\n  <span><!--#include file="gone.html" --></span>\n</div>');
+      const html = '<!--#include file="broken.html" -->';
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath(), testFixturesDir),
+        (error) => {
+          assert(error instanceof IncludeNotFoundError);
+          assert.strictEqual(error.getLocation(), `${path.join(testFixturesDir, 'broken.html')}:2:9`);
+          return true;
+        }
+      );
+    });
+    
+    it('should point circular dependencies at the directive that closes the cycle', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'loop-a.html'), '<!--#include file="loop-b.html" -->');
+      await fs.writeFile(path.join(testFixturesDir, 'loop-b.html'), '<p>b</p>\n<!--#include file="loop-a.html" -->');
+      const html = '<!--#include file="loop-a.html" -->';
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath(), testFixturesDir),
+        (error) => {
+          assert(error instanceof CircularDependencyError);
+          assert.strictEqual(error.getLocation(), `${path.join(testFixturesDir, 'loop-b.html')}:2:1`);
+          assert(error.codeFrame.includes('> 2 | <!--#include file="loop-a.html" -->'));
+          return true;
+        }
+      );
+    });
+    
+    it('should count frontmatter lines in markdown includes', async () => {
+      await fs.writeFile(path.join(testFixturesDir, 'note.md'), '---\ntitle: Note\n---\n\n<!--#include file="gone.html" -->\n');
+      const html = '<!--#include file="note.md" -->';
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath(), testFixturesDir),
+        (error) => {
+          assert.strictEqual(error.getLocation(), `${path.join(testFixturesDir, 'note.md')}:5:1`);
+          assert(error.codeFrame.includes('> 5 | <!--#include file="gone.html" -->'));
+          return true;
+        }
+      );
+    });
+    
+    it('should add columns to malformed directive errors', async () => {
+      const html = 'text\n<p><!--#if expr="$a" -->\n';
+      
+      await assert.rejects(
+        () => processIncludes(html, filePath(), testFixturesDir),
+        (error) => {
+          assert(error instanceof MalformedDirectiveError);
+          assert.strictEqual(error.getLocation(), `${filePath()}:2:4`);
+          return true;
+        }
+      );
+    });
+  });
 });
\ No newline at end of file
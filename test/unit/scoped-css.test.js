@@ -0,0 +1,52 @@
+/**
+ * Tests for scoped component CSS
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { getScopeAttribute, scopeCSS } from '../../src/core/scoped-css.js';
+
+describe('scoped-css', () => {
+  const scope = '[data-scope-x]';
+  
+  it('should scope the last compound of every selector', () => {
+    assert.strictEqual(
+      scopeCSS('.title, .card > h2 { color: red; }', 'data-scope-x'),
+      `.title${scope}, .card > h2${scope} { color: red; }`
+    );
+  });
+  
+  it('should keep pseudo-elements last and leave nested selectors alone', () => {
+    assert.strictEqual(
+      scopeCSS('a:not(.b .c)::before, p:first-letter {}', 'data-scope-x'),
+      `a:not(.b .c)${scope}::before, p${scope}:first-letter {}`
+    );
+  });
+  
+  it('should scope rules inside grouping at-rules only', () => {
+    const css = '@import url("a;b.css");\n' +
+      '@media (min-width: 600px) { .a { x: 1 } }\n' +
+      '@keyframes spin { from { x: 1 } to { x: 2 } }';
+    
+    assert.strictEqual(scopeCSS(css, 'data-scope-x'), '@import url("a;b.css");\n' +
+      `@media (min-width: 600px) { .a${scope} { x: 1 } }\n` +
+      '@keyframes spin { from { x: 1 } to { x: 2 } }');
+  });
+  
+  it('should not be confused by braces and commas in strings and comments', () => {
+    assert.strictEqual(
+      scopeCSS('a[title="x, y"] { content: "}"; } /* } */ .b {}', 'data-scope-x'),
+      `a[title="x, y"]${scope} { content: "}"; }  .b${scope} {}`
+    );
+  });
+  
+  it('should derive a stable attribute from the component path', () => {
+    const root = path.join(path.sep, 'site', 'src');
+    const card = getScopeAttribute(path.join(root, 'components', 'card.html'), root);
+    
+    assert.match(card, /^data-scope-[0-9a-f]{8}$/);
+    assert.strictEqual(getScopeAttribute(path.join(root, 'components', 'card.html'), root), card);
+    assert.notStrictEqual(getScopeAttribute(path.join(root, 'components', 'alert.html'), root), card);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the layout template engine
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { renderTemplate, SafeString } from '../../src/core/template-engine.js';
+import { wrapInLayout } from '../../src/core/markdown-processor.js';
+import { TemplateError } from '../../src/utils/errors.js';
+import { logger } from '../../src/utils/logger.js';
+
+describe('template engine', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = mock.method(logger, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('should escape {{ }} output and leave {{{ }}} and safe strings raw', () => {
+    const data = { title: 'Q&A <draft>', html: '<b>bold</b>', content: new SafeString('<p>Body</p>') };
+
+    assert.strictEqual(
+      renderTemplate('<h1>{{ title }}</h1>{{{ html }}}{{ html }}{{ content }}', data),
+      '<h1>Q&amp;A &lt;draft&gt;</h1><b>bold</b>&lt;b&gt;bold&lt;/b&gt;<p>Body</p>'
+    );
+  });
+
+  it('should look up dotted paths through own properties only', () => {
+    const data = { author: { name: 'Ann', links: ['a', 'b'] } };
+
+    assert.strictEqual(renderTemplate('{{ author.name }}/{{ author.links.1 }}', data), 'Ann/b');
+    assert.strictEqual(renderTemplate('[{{ author.constructor }}][{{ author.toString }}]', data), '[][]');
+    assert.strictEqual(warn.mock.callCount(), 2);
+  });
+
+  it('should render #if, #unless and #else branches', () => {
+    const template = '{{#if tags}}tagged{{else}}untagged{{/if}}|{{#unless draft}}live{{/unless}}';
+
+    assert.strictEqual(renderTemplate(template, { tags: ['a'], draft: false }), 'tagged|live');
+    assert.strictEqual(renderTemplate(template, { tags: [], draft: true }), 'untagged|');
+    assert.strictEqual(renderTemplate('{{#if count}}some{{else}}none{{/if}}', { count: 0 }), 'none');
+    assert.strictEqual(warn.mock.callCount(), 0, 'missing block conditions are not reported');
+  });
+
+  it('should repeat #each over lists and objects', () => {
+    const data = {
+      section: 'docs',
+      pages: [{ title: 'Intro' }, { title: 'Setup' }],
+      links: { home: '/', blog: '/blog/' }
+    };
+
+    assert.strictEqual(
+      renderTemplate('{{#each pages}}{{ @index }}:{{ title }}@{{ section }}{{#unless @last}}, {{/unless}}{{/each}}', data),
+      '0:Intro@docs, 1:Setup@docs'
+    );
+    assert.strictEqual(renderTemplate('{{#each links}}<a href="{{ this }}">{{ @key }}</a>{{/each}}', data), '<a href="/">home</a><a href="/blog/">blog</a>');
+    assert.strictEqual(renderTemplate('{{#each missing}}x{{else}}empty{{/each}}', data), 'empty');
+  });
+
+  it('should format dates and numbers', () => {
+    const data = { date: new Date('2025-03-07T00:00:00Z'), published: '2024-12-25', price: 1234.5 };
+
+    assert.strictEqual(renderTemplate('{{ date date "%d %B %Y" }}', data), '07 March 2025');
+    assert.strictEqual(renderTemplate('{{ date published }}', data), '2024-12-25');
+    assert.strictEqual(renderTemplate('{{ number price 2 }}|{{ number price }}', data), '1,234.50|1,234.5');
+    assert.strictEqual(renderTemplate('{{ date }}', data), '2025-03-07T00:00:00.000Z');
+  });
+
+  it('should warn about unknown variables with the file and line', () => {
+    const result = renderTemplate('<title>{{ title }}</title>\n<p>{{ subtitle }}</p>', { title: 'Home' }, { filePath: 'layouts/page.html' });
+
+    assert.strictEqual(result, '<title>Home</title>\n<p></p>');
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown template variable "subtitle" in layouts\/page\.html:2/);
+  });
+
+  it('should reject malformed templates with their location', () => {
+    const cases = [
+      ['<main>\n{{#if title}}\n</main>', /Unclosed \{\{#if\}\} in page\.html:2:1/],
+      ['{{#each pages}}{{/if}}', /Unexpected \{\{\/if\}\} \(expected \{\{\/each\}\}\)/],
+      ['{{ upper title }}', /Unknown template helper "upper"/],
+      ['{{#with author}}{{/with}}', /Unknown block helper "#with"/],
+      ['{{ number title }}', /Helper "number" failed: "Home" is not a number/]
+    ];
+
+    for (const [template, message] of cases) {
+      assert.throws(() => renderTemplate(template, { title: 'Home' }, { filePath: 'page.html' }), error => {
+        assert(error instanceof TemplateError);
+        assert.match(error.message, message);
+        assert(error.codeFrame.includes('^'));
+        return true;
+      });
+    }
+  });
+
+  it('should escape values for the HTML context they land in', () => {
+    const data = { name: 'a b=c', path: '/docs/C# & more', query: 'x&y=z', text: '</script><b>' };
+
+    assert.strictEqual(renderTemplate('<p title={{ name }}>', data), '<p title=a&#32;b&#61;c>');
+    assert.strictEqual(renderTemplate('<a href="{{ path }}">', data), '<a href="/docs/C#%20&amp;%20more">');
+    assert.strictEqual(renderTemplate('<a href="/search?q={{ query }}">', data), '<a href="/search?q=x%26y%3Dz">');
+    assert.strictEqual(renderTemplate('<script>var t = "{{ text }}";</script><p>{{ text }}</p>', data),
+      '<script>var t = "\\u003c/script\\u003e\\u003cb\\u003e";</script><p>&lt;/script&gt;&lt;b&gt;</p>');
+  });
+
+  it('should replace URLs with unsafe schemes at the start of URL attributes', () => {
+    const unsafe = ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<b>', 'vbscript:x'];
+    for (const url of unsafe) {
+      assert.strictEqual(renderTemplate('<a href="{{ url }}">', { url }), '<a href="about:invalid">', url);
+    }
+    assert.strictEqual(warn.mock.callCount(), unsafe.length);
+
+    const safe = ['https://example.com/', 'mailto:ann@example.com', '/about/', '../up', '#top', 'docs/a:b'];
+    for (const url of safe) {
+      assert.notStrictEqual(renderTemplate('<img src="{{ url }}">', { url }), '<img src="about:invalid">', url);
+    }
+    assert.strictEqual(renderTemplate('<a href="/go/{{ url }}">', { url: 'javascript:x' }), '<a href="/go/javascript:x">');
+  });
+
+  it('should reject escaped values between attributes', () => {
+    assert.throws(() => renderTemplate('<div {{ attributes }}>', {}), /can't be escaped between attributes/);
+    assert.strictEqual(renderTemplate('<div {{{ attributes }}}>', { attributes: 'hidden' }), '<div hidden>');
+  });
+
+  it('should output script values outside string literals as JSON strings', () => {
+    const data = { n: '1; alert(1)', quote: '"\'`${x}</script>' };
+
+    assert.strictEqual(renderTemplate('<script>var n = {{ n }};</script>', data), '<script>var n = "1; alert(1)";</script>');
+    assert.strictEqual(renderTemplate('<script>var s = \'it\\\'s\'; var n = {{ n }};</script>', data), '<script>var s = \'it\\\'s\'; var n = "1; alert(1)";</script>');
+    assert.strictEqual(renderTemplate('<script>var t = `{{ quote }}`;</script>', data),
+      '<script>var t = `\\"\\u0027\\u0060\\u0024{x}\\u003c/script\\u003e`;</script>');
+    assert.strictEqual(renderTemplate('<button onclick="go({{ n }})">', data), '<button onclick="go(&quot;1; alert(1)&quot;)">');
+    assert.strictEqual(renderTemplate('<script>var url = "http://x/"; var n = {{ n }};</script>', data), '<script>var url = "http://x/"; var n = "1; alert(1)";</script>');
+  });
+
+  it('should reject escaped values inside script and style comments', () => {
+    assert.throws(() => renderTemplate('<script>// {{ note }}\n</script>', {}), /can't be escaped inside a script comment/);
+    assert.throws(() => renderTemplate('<script>/* {{ note }} */</script>', {}), /can't be escaped inside a script comment/);
+    assert.throws(() => renderTemplate('<style>/* {{ note }} */</style>', {}), /can't be escaped inside a style comment/);
+    assert.strictEqual(renderTemplate('<script>/* a */ var a = "{{ note }}";</script>', { note: 'x' }), '<script>/* a */ var a = "x";</script>');
+  });
+
+  it('should escape style values for CSS', () => {
+    const hostile = 'red; background: url(javascript:alert(1))';
+
+    assert.strictEqual(renderTemplate('<style>p { color: {{ color }}; }</style>', { color: '#c00' }), '<style>p { color: #c00; }</style>');
+    assert.strictEqual(renderTemplate('<p style="margin: {{ size }}">', { size: '1.5em 0' }), '<p style="margin: 1.5em 0">');
+    assert.strictEqual(renderTemplate('<style>p { color: {{ color }}; }</style>', { color: hostile }), '<style>p { color: invalid; }</style>');
+    assert.strictEqual(renderTemplate('<p style="color: {{ color }}">', { color: hostile }), '<p style="color: invalid">');
+    assert.strictEqual(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /Unsafe CSS value/);
+
+    assert.strictEqual(renderTemplate('<style>p::after { content: "{{ text }}"; }</style>', { text: '"}</style>' }),
+      '<style>p::after { content: "\\22 \\7d \\3c \\2f style\\3e "; }</style>');
+    assert.strictEqual(renderTemplate('<p style="font-family: \'{{ font }}\'">', { font: "a'; color: red" }),
+      '<p style="font-family: \'a\\27 \\3b \\20 color\\3a \\20 red\'">');
+  });
+
+  it('should check every srcset candidate', () => {
+    assert.strictEqual(renderTemplate('<img srcset="{{ url }}">', { url: 'javascript:alert(1)' }), '<img srcset="about:invalid">');
+    assert.strictEqual(renderTemplate('<img srcset="a.jpg 1x, {{ url }} 2x">', { url: 'javascript:alert(1)' }), '<img srcset="a.jpg 1x, about:invalid 2x">');
+    assert.strictEqual(renderTemplate('<img srcset="{{ url }} 2x">', { url: 'b.jpg 1x, c.jpg' }), '<img srcset="b.jpg%201x%2C%20c.jpg 2x">');
+    assert.strictEqual(warn.mock.callCount(), 2);
+  });
+
+  it('should render the default markdown layout with its description block', () => {
+    const page = wrapInLayout('<p>Hi</p>', {
+      frontmatter: { description: 'A "quoted" page' },
+      title: 'Hello',
+      excerpt: 'Hi'
+    }, null);
+
+    assert(page.includes('<title>Hello</title>'));
+    assert(page.includes('<meta name="description" content="A &quot;quoted&quot; page">'));
+    assert(page.includes('<p>Hi</p>'));
+
+    const plain = wrapInLayout('<p>Hi</p>', { frontmatter: {}, title: '', excerpt: '' }, null);
+    assert(plain.includes('<title>Untitled</title>'));
+    assert(!plain.includes('description'));
+  });
+});